@@ -1,5 +1,5 @@
 module.exports = {
-    skipFiles: ['helpers/', 'mocks/', 'services/gate/'],
+    skipFiles: ['helpers/', 'mocks/', 'services/gate/', 'Migrations.sol'],
     deepSkip: true,
     port: 8555,
     // norpc: true,
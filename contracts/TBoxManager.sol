@@ -4,10 +4,13 @@ import "./helpers/TBoxToken.sol";
 import "./helpers/ISettings.sol";
 import "./helpers/IToken.sol";
 import "./helpers/IOracle.sol";
+import "./helpers/FeeMath.sol";
+import "./helpers/Pausable.sol";
 
 
 /// @title TBoxManager
-contract TBoxManager is TBoxToken {
+contract TBoxManager is TBoxToken, Pausable {
+    using FeeMath for uint256;
 
     // Total packed Ether
     uint256 public globalETH;
@@ -18,6 +21,21 @@ contract TBoxManager is TBoxToken {
     // The address of the system settings contract
     ISettings public settings;
 
+    // The number of tokens of the Boxes settled after the shutdown
+    uint256 public settledTmv;
+
+    // The Ether of the settled Boxes backing their tokens
+    uint256 public settledEth;
+
+    // The surplus collateral of the settled Boxes by the Box owners
+    mapping (address => uint256) public surplus;
+
+    // The cumulative stability fee index
+    uint256 public feeIndex = 10 ** 18;
+
+    // The time the stability fee index was last updated
+    uint256 public lastDrip;
+
     /// @dev An array containing the Boxes struct for all Boxes in existence. The ID
     ///  of each Box is actually an index into this array.
     Box[] public boxes;
@@ -29,6 +47,8 @@ contract TBoxManager is TBoxToken {
         uint256     collateral;
         // The number of TMV withdrawn
         uint256     tmvReleased;
+        // The stability fee index the Box debt is charged up to
+        uint256     feeIndex;
     }
 
     /// @dev The Created event is fired whenever a new Box comes into existence. This includes
@@ -43,6 +63,23 @@ contract TBoxManager is TBoxToken {
     /// @dev The Capitalized event is fired whenever a Box is capitalized.
     event Capitalized(uint256 indexed id, address indexed owner, address indexed who, uint256 tmvAmount, uint256 totalEth, uint256 userEth);
 
+    /// @dev The Liquidated event is fired whenever an undercollateralized Box is liquidated.
+    event Liquidated(uint256 indexed id, address indexed owner, address indexed who, uint256 tmvAmount, uint256 totalEth, uint256 userEth);
+
+    /// @dev The FeeCharged event is fired whenever the accrued stability fee
+    ///  is added to a Box debt, the value is in tokens.
+    event FeeCharged(uint256 indexed id, uint256 value);
+
+    /// @dev The Settled event is fired whenever a Box is settled after the shutdown.
+    event Settled(uint256 indexed id, address indexed owner, uint256 tmvAmount, uint256 surplus);
+
+    /// @dev The Redeemed event is fired whenever tokens are redeemed after the shutdown.
+    event Redeemed(address indexed who, uint256 tmvAmount, uint256 ethAmount);
+
+    /// @dev The SurplusWithdrawn event is fired whenever a Box owner withdraws
+    ///  the surplus of the settled Boxes.
+    event SurplusWithdrawn(address indexed who, uint256 value);
+
     /// @dev The EthWithdrawn event is fired whenever Ether is withdrawn from a Box
     ///  using withdrawEth method.
     event EthWithdrawn(uint256 indexed id, uint256 value, address who);
@@ -65,9 +102,21 @@ contract TBoxManager is TBoxToken {
         _;
     }
 
-    /// @dev Throws if called by any account other than the owner.
+    /// @dev Throws if the system is shut down.
+    modifier notShutdown() {
+        require(settings.shutdownPrice() == 0, "System is shut down");
+        _;
+    }
+
+    /// @dev Throws if the system isn't shut down.
+    modifier onlyShutdown() {
+        require(settings.shutdownPrice() > 0, "System isn't shut down");
+        _;
+    }
+
+    /// @dev Throws if called by any account other than an operator.
     modifier onlyAdmin() {
-        require(settings.isFeeManager(msg.sender), "You have no access");
+        require(settings.isOperator(msg.sender), "You have no access");
         _;
     }
 
@@ -87,6 +136,7 @@ contract TBoxManager is TBoxToken {
     /// @param _settings The address of the system settings contract.
     constructor(address _settings) TBoxToken("TBoxToken", "TBX") public {
         settings = ISettings(_settings);
+        lastDrip = now;
     }
 
     /// @notice The funds are safe.
@@ -104,18 +154,26 @@ contract TBoxManager is TBoxToken {
         // amount of Ether used in the entire system collateralization
         uint256 _fees = address(this).balance.sub(globalETH);
 
+        // The stability fee is collected in tokens
+        uint256 _tmvFees = IToken(settings.tmvAddress()).balanceOf(address(this));
+
         // Check that the fee is collected
-        require(_fees > 0, "There is no available fees");
+        require(_fees > 0 || _tmvFees > 0, "There is no available fees");
 
         // Transfer fee to provided address
-        _beneficiary.transfer(_fees);
+        if (_tmvFees > 0) {
+            IToken(settings.tmvAddress()).transfer(_beneficiary, _tmvFees);
+        }
+        if (_fees > 0) {
+            _beneficiary.transfer(_fees);
+        }
     }
 
     /// @dev Checks possibility of the issue of the specified token amount
     ///  for provided Ether collateral and creates new Box
     /// @param _tokensToWithdraw Number of tokens to withdraw
     /// @return New Box ID.
-    function create(uint256 _tokensToWithdraw) public payable validTx returns (uint256) {
+    function create(uint256 _tokensToWithdraw) public payable validTx notShutdown whenNotPaused returns (uint256) {
         // Check that msg.value isn't smaller than minimum deposit
         require(msg.value >= settings.minDeposit(), "Deposit is very small");
 
@@ -148,8 +206,11 @@ contract TBoxManager is TBoxToken {
             IToken(settings.tmvAddress()).mint(msg.sender, _tokensToWithdraw);
         }
 
+        // Update the stability fee index
+        drip();
+
         // The id of the new Box
-        uint256 _id = boxes.push(Box(msg.value, _tokensToWithdraw)).sub(1);
+        uint256 _id = boxes.push(Box(msg.value, _tokensToWithdraw, feeIndex)).sub(1);
 
         // Increase global Ether counter
         globalETH = globalETH.add(msg.value);
@@ -169,6 +230,9 @@ contract TBoxManager is TBoxToken {
     /// @param _id A Box ID to close.
     function close(uint256 _id) external onlyApprovedOrOwner(_id) {
 
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
         // Address of the owner of the Box
         address _owner = _tokenOwner[_id];
 
@@ -205,11 +269,14 @@ contract TBoxManager is TBoxToken {
     /// @dev Allows the user to capitalize a Box with specified number of tokens.
     /// @param _id A Box ID to capitalize.
     /// @param _tmv Specified number of tokens to capitalize.
-    function capitalize(uint256 _id, uint256 _tmv) public validTx {
+    function capitalize(uint256 _id, uint256 _tmv) public validTx notShutdown {
 
         // The maximum number of tokens for which Box can be capitalized
         uint256 _maxCapAmount = maxCapAmount(_id);
 
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
         // Check the number of tokens
         require(_tmv <= _maxCapAmount && _tmv >= 10 ** 17, "Tokens amount out of range");
 
@@ -218,13 +285,13 @@ contract TBoxManager is TBoxToken {
 
         // Calculate the Ether equivalent of tokens according to the logic
         // where 1 TMV is equal to 1 USD
-        uint256 _equivalentETH = _tmv.mul(precision).div(rate());
+        uint256 _equivalentETH = _tmv.ethShareDown(FeeMath.divider(), rate());
 
         // Calculate system fee
-        uint256 _fee = _tmv.mul(settings.sysFee()).div(rate());
+        uint256 _fee = _tmv.ethShareDown(settings.sysFee(), rate());
 
         // Calculate user bonus
-        uint256 _userReward = _tmv.mul(settings.userFee()).div(rate());
+        uint256 _userReward = _tmv.ethShareDown(settings.userFee(), rate());
 
         // Decrease Box's collateral amount
         boxes[_id].collateral = boxes[_id].collateral.sub(_fee.add(_userReward).add(_equivalentETH));
@@ -242,6 +309,51 @@ contract TBoxManager is TBoxToken {
         emit Capitalized(_id, ownerOf(_id), msg.sender, _tmv, _equivalentETH.add(_userReward).add(_fee), _equivalentETH.add(_userReward));
     }
 
+    /// @dev Allows anyone to liquidate a Box with collateral percent lower than
+    ///  minStability by repaying all of its tokens. The liquidator receives the Ether
+    ///  equivalent of the tokens plus the user bonus, or the whole collateral when
+    ///  it is not enough. The rest of the collateral goes to the system fee.
+    /// @param _id A Box ID to liquidate.
+    function liquidate(uint256 _id) external onlyExists(_id) validTx notShutdown {
+        // Check collateral percent of the Box
+        require(collateralPercent(_id) < settings.minStability(), "It's only possible to liquidate undercollateralized Boxes");
+
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
+        // Burn all the tokens of the Box
+        uint256 _tmv = boxes[_id].tmvReleased;
+        _burnTMV(msg.sender, _tmv);
+
+        uint256 _collateral = boxes[_id].collateral;
+
+        // Calculate the Ether equivalent of tokens with the user bonus
+        uint256 _userEth = _tmv.ethShareDown(FeeMath.divider().add(settings.userFee()), rate());
+
+        // The insolvent Box is given away entirely
+        if (_userEth > _collateral) {
+            _userEth = _collateral;
+        }
+
+        // The owner of the Box
+        address _owner = ownerOf(_id);
+
+        // Remove a Box
+        delete boxes[_id];
+
+        // Burn Box token
+        _burn(_owner, _id);
+
+        // Decrease global Ether counter
+        globalETH = globalETH.sub(_collateral);
+
+        // Send the discounted collateral to the person who made liquidation happen
+        msg.sender.transfer(_userEth);
+
+        // Fire the event
+        emit Liquidated(_id, _owner, msg.sender, _tmv, _collateral, _userEth);
+    }
+
     /// @notice This allows you not to be tied to the current ETH/USD rate.
     /// @dev Allows an owner or approved user of the Box to withdraw maximum amount
     ///  of Ether from the Box.
@@ -254,9 +366,12 @@ contract TBoxManager is TBoxToken {
     ///  of Ether from the Box.
     /// @param _id A Box ID.
     /// @param _amount The number of Ether to withdraw.
-    function withdrawEth(uint256 _id, uint256 _amount) public onlyApprovedOrOwner(_id) validTx {
+    function withdrawEth(uint256 _id, uint256 _amount) public onlyApprovedOrOwner(_id) validTx notShutdown whenNotPaused {
         require(_amount > 0, "Withdrawing zero");
 
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
         require(_amount <= withdrawableEth(_id), "You can't withdraw so much");
 
         // Decrease Box's collateral amount
@@ -284,9 +399,12 @@ contract TBoxManager is TBoxToken {
     ///  of TMV tokens from the Box.
     /// @param _id A Box ID.
     /// @param _amount The number of tokens to withdraw.
-    function withdrawTmv(uint256 _id, uint256 _amount) public onlyApprovedOrOwner(_id) validTx {
+    function withdrawTmv(uint256 _id, uint256 _amount) public onlyApprovedOrOwner(_id) validTx notShutdown whenNotPaused {
         require(_amount > 0, "Withdrawing zero");
 
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
         // Check the number of tokens
         require(_amount <= boxWithdrawableTmv(_id), "You can't withdraw so much");
 
@@ -321,6 +439,9 @@ contract TBoxManager is TBoxToken {
     function addTmv(uint256 _id, uint256 _amount) external onlyExists(_id) {
         require(_amount > 0, "Don't add 0");
 
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
         // Check the number of tokens
         require(_amount <= boxes[_id].tmvReleased, "Too much tokens");
 
@@ -335,13 +456,16 @@ contract TBoxManager is TBoxToken {
     /// @dev Allows anyone to close Box with collateral amount smaller than 3 USD.
     ///  The person who made closing happen will benefit like capitalization.
     /// @param _id A Box ID.
-    function closeDust(uint256 _id) external onlyExists(_id) validTx {
+    function closeDust(uint256 _id) external onlyExists(_id) validTx notShutdown {
         // Check collateral percent of the Box
         require(collateralPercent(_id) >= settings.minStability(), "This Box isn't collapsable");
 
         // Check collateral amount of the Box
         require(boxes[_id].collateral.mul(rate()) < precision.mul(3).mul(10 ** 18), "It's only possible to collapse dust");
 
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
         // Burn needed TMV amount to close
         uint256 _tmvReleased = boxes[_id].tmvReleased;
         _burnTMV(msg.sender, _tmvReleased);
@@ -350,10 +474,10 @@ contract TBoxManager is TBoxToken {
 
         // Calculate the Ether equivalent of tokens according to the logic
         // where 1 TMV is equal to 1 USD
-        uint256 _eth = _tmvReleased.mul(precision).div(rate());
+        uint256 _eth = _tmvReleased.ethShareDown(FeeMath.divider(), rate());
 
         // Calculate user bonus
-        uint256 _userReward = _tmvReleased.mul(settings.userFee()).div(rate());
+        uint256 _userReward = _tmvReleased.ethShareDown(settings.userFee(), rate());
 
         // The owner of the Box
         address _owner = ownerOf(_id);
@@ -374,6 +498,153 @@ contract TBoxManager is TBoxToken {
         emit Closed(_id, _owner, msg.sender);
     }
 
+    /// @dev Allows anyone to settle a Box after the shutdown. The Ether backing
+    ///  the tokens of the Box at the shutdown price is set aside for redemption
+    ///  and the surplus is credited to the owner of the Box to withdraw.
+    /// @param _id A Box ID to settle.
+    function settle(uint256 _id) external onlyExists(_id) onlyShutdown {
+        // Charge the accrued stability fee
+        _chargeFee(_id);
+
+        uint256 _tmv = boxes[_id].tmvReleased;
+        uint256 _collateral = boxes[_id].collateral;
+
+        // Calculate the Ether equivalent of tokens at the shutdown price
+        uint256 _debt = _tmv.mul(precision).div(rate());
+
+        // The collateral of an insolvent Box is set aside entirely
+        uint256 _surplus;
+        if (_collateral > _debt) {
+            _surplus = _collateral.sub(_debt);
+        }
+
+        // The owner of the Box
+        address _owner = ownerOf(_id);
+
+        // Remove a Box
+        delete boxes[_id];
+
+        // Burn Box token
+        _burn(_owner, _id);
+
+        // Increase settled counters
+        settledTmv = settledTmv.add(_tmv);
+        settledEth = settledEth.add(_collateral.sub(_surplus));
+
+        // The surplus stays in global Ether until the owner withdraws it
+        surplus[_owner] = surplus[_owner].add(_surplus);
+
+        // Fire the event
+        emit Settled(_id, _owner, _tmv, _surplus);
+    }
+
+    /// @dev Allows anyone to redeem tokens for Ether pro rata against the Ether
+    ///  set aside for the tokens once every Box is settled, so every holder gets
+    ///  the same share whatever order the Boxes were settled in.
+    /// @param _amount The number of tokens to redeem.
+    function redeem(uint256 _amount) external onlyShutdown {
+        require(_amount > 0, "Redeeming zero");
+
+        // The share is final only when there are no Boxes left
+        require(totalSupply() == 0, "Boxes aren't settled yet");
+
+        // Calculate the share of the tokens in the settled Ether
+        uint256 _eth = _amount.mul(settledEth).div(settledTmv);
+
+        // Burn the tokens
+        _burnTMV(msg.sender, _amount);
+
+        // Decrease settled counters
+        settledTmv = settledTmv.sub(_amount);
+        settledEth = settledEth.sub(_eth);
+
+        // Decrease global Ether counter
+        globalETH = globalETH.sub(_eth);
+
+        // Send the Ether to the person who made redemption happen
+        msg.sender.transfer(_eth);
+
+        // Fire the event
+        emit Redeemed(msg.sender, _amount, _eth);
+    }
+
+    /// @dev Allows an owner of the settled Boxes to withdraw their surplus.
+    function withdrawSurplus() external {
+        uint256 _amount = surplus[msg.sender];
+        require(_amount > 0, "There is no surplus");
+
+        surplus[msg.sender] = 0;
+
+        // Decrease global Ether counter
+        globalETH = globalETH.sub(_amount);
+
+        // Send the surplus to its owner
+        msg.sender.transfer(_amount);
+
+        // Fire the event
+        emit SurplusWithdrawn(msg.sender, _amount);
+    }
+
+    /// @dev Updates the cumulative stability fee index.
+    function drip() public {
+        feeIndex = currentFeeIndex();
+        lastDrip = now;
+    }
+
+    /// @dev Charges the accrued stability fee of a Box. Can be called by anyone,
+    ///  e.g. to read the Box views with the fee tokens minted.
+    function chargeFee(uint256 _id) external onlyExists(_id) {
+        _chargeFee(_id);
+    }
+
+    /// @dev Returns the stability fee index accrued up to now. The index stops
+    ///  growing once the system is shut down.
+    function currentFeeIndex() public view returns(uint256) {
+        if (settings.shutdownPrice() > 0) {
+            return feeIndex;
+        }
+        uint256 _accrued = feeIndex.mul(now.sub(lastDrip)).shareDown(settings.stabilityFee());
+        return feeIndex.add(_accrued.div(365 days));
+    }
+
+    /// @dev Given a Box ID, returns the number of tokens the Box owes as stability fee.
+    function accruedFee(uint256 _id) public view onlyExists(_id) returns(uint256) {
+        uint256 _tmv = boxes[_id].tmvReleased;
+        return _tmv.mul(currentFeeIndex()).div(boxes[_id].feeIndex).sub(_tmv);
+    }
+
+    /// @dev Given a Box ID, returns the Box with the accrued stability fee
+    ///  added to its debt.
+    function _box(uint256 _id) internal view returns(Box memory box) {
+        box = boxes[_id];
+        box.tmvReleased = box.tmvReleased.add(accruedFee(_id));
+        box.feeIndex = currentFeeIndex();
+    }
+
+    /// @dev Charges the accrued stability fee by adding it to the Box debt.
+    ///  The fee tokens are minted to the contract and become withdrawable
+    ///  through withdrawFee, the Box pays them back on closing or TMV adding.
+    function _chargeFee(uint256 _id) internal {
+        drip();
+
+        Box memory box = _box(_id);
+        uint256 _fee = box.tmvReleased.sub(boxes[_id].tmvReleased);
+        boxes[_id] = box;
+
+        if (_fee > 0) {
+            // Mint the fee tokens to the system
+            IToken(settings.tmvAddress()).mint(address(this), _fee);
+
+            // Fire the event
+            emit FeeCharged(_id, _fee);
+        }
+    }
+
+    /// @dev Returns the settings contract holding the pause flags.
+    function _pauseSettings() internal view returns(ISettings) {
+        return settings;
+    }
+
     /// @dev Burns specified number of TMV tokens.
     function _burnTMV(address _from, uint256 _amount) internal {
         if (_amount > 0) {
@@ -382,14 +653,19 @@ contract TBoxManager is TBoxToken {
         }
     }
 
-    /// @dev Returns current oracle ETH/USD price with precision.
+    /// @dev Returns current oracle ETH/USD price with precision,
+    ///  or the settlement price once the system is shut down.
     function rate() public view returns(uint256) {
+        uint256 _shutdownPrice = settings.shutdownPrice();
+        if (_shutdownPrice > 0) {
+            return _shutdownPrice;
+        }
         return IOracle(settings.oracleAddress()).ethUsdPrice();
     }
 
     /// @dev Given a Box ID, returns a number of tokens that can be withdrawn.
     function boxWithdrawableTmv(uint256 _id) public view onlyExists(_id) returns(uint256) {
-        Box memory box = boxes[_id];
+        Box memory box = _box(_id);
 
         // Number of tokens that can be withdrawn for Box's collateral
         uint256 _amount = withdrawableTmv(box.collateral);
@@ -411,17 +687,18 @@ contract TBoxManager is TBoxToken {
         if (_avlbl == 0) {
             return 0;
         }
-        uint256 _rest = boxes[_id].collateral.sub(_avlbl);
+        uint256 _collateral = _box(_id).collateral;
+        uint256 _rest = _collateral.sub(_avlbl);
         if (_rest < settings.minDeposit()) {
-            return boxes[_id].collateral.sub(settings.minDeposit());
+            return _collateral.sub(settings.minDeposit());
         }
         else return _avlbl;
     }
 
     /// @dev Given a Box ID, returns amount of ETH that is not used in collateralization.
     function _freeEth(uint256 _id) internal view returns(uint256) {
-        // Grab a reference to the Box
-        Box memory box = boxes[_id];
+        // Grab a copy of the Box
+        Box memory box = _box(_id);
 
         // When there are no tokens withdrawn
         if (box.tmvReleased == 0) {
@@ -465,7 +742,7 @@ contract TBoxManager is TBoxToken {
 
     /// @dev Given a Box ID, returns collateral percent.
     function collateralPercent(uint256 _id) public view onlyExists(_id) returns(uint256) {
-        Box memory box = boxes[_id];
+        Box memory box = _box(_id);
         if (box.tmvReleased == 0) {
             return 10**27; //some unreachable number
         }
@@ -544,7 +821,7 @@ contract TBoxManager is TBoxToken {
         uint256 _colP = collateralPercent(_id);
         require(_colP >= settings.minStability() && _colP < settings.maxStability(), "It's only possible to capitalize toxic Boxes");
 
-        Box memory box = boxes[_id];
+        Box memory box = _box(_id);
 
         uint256 _num = box.tmvReleased.mul(settings.ratio()).sub(box.collateral.mul(rate()));
         uint256 _div = settings.ratio().sub(settings.minStability());
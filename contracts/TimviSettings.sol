@@ -1,6 +1,7 @@
 pragma solidity 0.4.25;
 
 import "./helpers/ManagerRole.sol";
+import "./helpers/ITBoxManager.sol";
 
 
 /// @title TimviSettings
@@ -12,6 +13,12 @@ contract TimviSettings is ManagerRole {
     event TotalFeeUpdated(uint256 _value);
     event GlobalSafetyBagUpdated(uint256 _value);
     event GasPriceLimitUpdated(uint256 _value);
+    event StabilityFeeUpdated(uint256 _value);
+    event EmergencyShutdown(uint256 _price);
+    event Paused(address _account);
+    event Unpaused(address _account);
+    event ModulePaused(address _module, address _account);
+    event ModuleUnpaused(address _module, address _account);
 
     uint256 public minDeposit;
     uint256 public sysFee;
@@ -21,10 +28,22 @@ contract TimviSettings is ManagerRole {
 
     uint256 public globalSafetyBag;
 
+    // Annual stability fee rate on Box debt with precision
+    uint256 public stabilityFee;
+
     uint256 public totalFee;
     address public oracleAddress;
     address public tmvAddress;
 
+    // The final ETH/USD price, non-zero once the system is shut down
+    uint256 public shutdownPrice;
+
+    // Halts the entry points of every module while set
+    bool public paused;
+
+    // Module addresses mapped to their own pause flags
+    mapping(address => bool) public modulePaused;
+
     constructor() public {
         minDeposit = 50 finney;
         sysFee = 3000; // 3%
@@ -66,7 +85,7 @@ contract TimviSettings is ManagerRole {
         emit UserFeeUpdated(userFee);
     }
 
-    function setOracleAddress(address _addr) external onlyFeeManager {
+    function setOracleAddress(address _addr) external onlyOracleManager {
         require(_addr != address(0), "Zero address");
         oracleAddress = _addr;
     }
@@ -83,11 +102,71 @@ contract TimviSettings is ManagerRole {
         emit GlobalSafetyBagUpdated(globalSafetyBag);
     }
 
+    function setStabilityFee(uint256 _value) external onlyFeeManager {
+        require(_value <= 20000, "Value out of range");
+        _drip();
+        stabilityFee = _value;
+        emit StabilityFeeUpdated(stabilityFee);
+    }
+
     function setTmvAddress(address _addr) external onlySettingsManager {
         require(_addr != address(0), "Zero address");
         tmvAddress = _addr;
     }
 
+    /// @dev Shuts the system down irreversibly fixing the final ETH/USD price.
+    /// @param _price The settlement price with precision.
+    function emergencyShutdown(uint256 _price) external onlyFeeManager {
+        require(shutdownPrice == 0, "System is already shut down");
+        require(_price > 0, "Zero price");
+        _drip();
+        shutdownPrice = _price;
+        emit EmergencyShutdown(shutdownPrice);
+    }
+
+    /// @dev Pauses the whole system. Exits stay open.
+    function pause() external onlyGuardian {
+        require(!paused, "System is already paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /// @dev Resumes the whole system. Only governance can unpause.
+    function unpause() external onlyFeeManager {
+        require(paused, "System isn't paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /// @dev Pauses a single module, e.g. Gate.
+    /// @param _module The module address.
+    function pauseModule(address _module) external onlyGuardian {
+        require(!modulePaused[_module], "Module is already paused");
+        modulePaused[_module] = true;
+        emit ModulePaused(_module, msg.sender);
+    }
+
+    /// @dev Resumes a single module. Only governance can unpause.
+    /// @param _module The module address.
+    function unpauseModule(address _module) external onlyFeeManager {
+        require(modulePaused[_module], "Module isn't paused");
+        modulePaused[_module] = false;
+        emit ModuleUnpaused(_module, msg.sender);
+    }
+
+    /// @dev Returns whether the system or the module is paused.
+    /// @param _module The module address.
+    function isPaused(address _module) external view returns(bool) {
+        return paused || modulePaused[_module];
+    }
+
+    /// @dev Accrues the stability fee at the current rate before it changes.
+    function _drip() internal {
+        if (tBoxManager != address(0)) {
+            ITBoxManager(tBoxManager).drip();
+        }
+    }
+
     function minStability() public view returns(uint256) {
         return 100000 + totalFee;
     }
@@ -0,0 +1,169 @@
+pragma solidity 0.4.25;
+
+import "../helpers/SafeMath.sol";
+import "../helpers/ISettings.sol";
+import "../helpers/IOracle.sol";
+
+
+/// @title Timelock
+/// @dev Delays the parameter changes of the system. Once the Timelock is the fee
+///  manager of TimviSettings, every setter call has to be queued by the admin and
+///  can be executed only after `delay` seconds, so users have time to react.
+///  The delay and the admin are changed through the queue as well. Only the
+///  shutdown at the oracle price is forwarded at once, a manual settlement price
+///  has to be queued like any other change.
+contract Timelock {
+    using SafeMath for uint256;
+
+    // The bounds of the delay in seconds
+    uint256 public constant MIN_DELAY = 1 hours;
+    uint256 public constant MAX_DELAY = 30 days;
+
+    /// @notice The address of the admin account.
+    address public admin;
+
+    // The address of the system settings contract
+    ISettings public settings;
+
+    // The minimum time between queueing and executing a change in seconds
+    uint256 public delay;
+
+    /// @dev An array containing the Change struct for all Changes ever queued.
+    ///  The ID of each Change is an index into this array.
+    Change[] internal changes;
+
+    // The IDs of the Changes neither executed nor cancelled
+    uint256[] internal pending;
+
+    // Change IDs mapped to their position in `pending` plus one
+    mapping(uint256 => uint256) internal pendingPositions;
+
+    /// @dev The Change struct. A call to `target` with `data` allowed after `eta`.
+    struct Change {
+        address target;
+        bytes data;
+        uint256 eta;
+    }
+
+    /// @dev The ChangeQueued event is fired whenever a Change is queued.
+    event ChangeQueued(uint256 id, address target, bytes data, uint256 eta);
+
+    /// @dev The ChangeExecuted event is fired whenever a Change is executed.
+    event ChangeExecuted(uint256 id, address target, bytes data);
+
+    /// @dev The ChangeCancelled event is fired whenever a Change is cancelled.
+    event ChangeCancelled(uint256 id);
+
+    event DelayUpdated(uint256 value);
+    event AdminChanged(address admin);
+
+    /// @dev Access modifier for admin-only functionality.
+    modifier onlyAdmin() {
+        require(admin == msg.sender, "You have no access");
+        _;
+    }
+
+    /// @dev Access modifier for functionality changed through the queue only.
+    modifier onlyTimelock() {
+        require(msg.sender == address(this), "Call it through the queue");
+        _;
+    }
+
+    /// @dev Throws if the Change isn't waiting to be executed.
+    modifier onlyPending(uint256 _id) {
+        require(pendingPositions[_id] > 0, "Change isn't pending");
+        _;
+    }
+
+    /// @param _settings The address of the system settings contract.
+    /// @param _delay The minimum time between queueing and executing in seconds.
+    constructor(ISettings _settings, uint256 _delay) public {
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Delay out of range");
+        admin = msg.sender;
+        settings = _settings;
+        delay = _delay;
+
+        emit AdminChanged(admin);
+        emit DelayUpdated(delay);
+    }
+
+    /// @dev Queues a call, e.g. TimviSettings.setSysCom, to be executed after the delay.
+    /// @param _target The address of the contract to call.
+    /// @param _data The ABI encoded call.
+    /// @return The Change ID.
+    function queue(address _target, bytes _data) external onlyAdmin returns(uint256) {
+        require(_target != address(0), "Zero address, be careful");
+
+        uint256 _eta = now.add(delay);
+        uint256 _id = changes.push(Change(_target, _data, _eta)).sub(1);
+        pending.push(_id);
+        pendingPositions[_id] = pending.length;
+
+        emit ChangeQueued(_id, _target, _data, _eta);
+        return _id;
+    }
+
+    /// @dev Executes a queued Change once its delay has passed. Can be called by anyone.
+    /// @param _id A Change ID.
+    function execute(uint256 _id) external onlyPending(_id) {
+        Change memory _change = changes[_id];
+        require(now >= _change.eta, "Change is locked");
+
+        _removePending(_id);
+        require(_change.target.call(_change.data), "Change failed");
+
+        emit ChangeExecuted(_id, _change.target, _change.data);
+    }
+
+    /// @dev Cancels a queued Change.
+    /// @param _id A Change ID.
+    function cancel(uint256 _id) external onlyAdmin onlyPending(_id) {
+        _removePending(_id);
+        emit ChangeCancelled(_id);
+    }
+
+    /// @dev Shuts the system down at once at the current oracle price, emergencies
+    ///  can't wait for the delay. The settlement price splits the collateral between
+    ///  the TMV holders and the Box owners, so the admin can't choose it here.
+    function emergencyShutdown() external onlyAdmin {
+        settings.emergencyShutdown(IOracle(settings.oracleAddress()).ethUsdPrice());
+    }
+
+    /// @dev Sets the delay. Has to be queued.
+    function setDelay(uint256 _delay) external onlyTimelock {
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Delay out of range");
+        delay = _delay;
+        emit DelayUpdated(_delay);
+    }
+
+    /// @dev Sets the admin address. Has to be queued.
+    function changeAdmin(address _newAdmin) external onlyTimelock {
+        require(_newAdmin != address(0), "Zero address, be careful");
+        admin = _newAdmin;
+        emit AdminChanged(_newAdmin);
+    }
+
+    /// @dev Returns the IDs of the Changes waiting to be executed.
+    function pendingChanges() external view returns(uint256[]) {
+        return pending;
+    }
+
+    /// @dev Returns a Change.
+    /// @param _id A Change ID.
+    /// @return The target, the call data, the time it can be executed after and
+    ///  whether it is still pending.
+    function getChange(uint256 _id) external view returns(address, bytes, uint256, bool) {
+        Change memory _change = changes[_id];
+        return (_change.target, _change.data, _change.eta, pendingPositions[_id] > 0);
+    }
+
+    function _removePending(uint256 _id) internal {
+        uint256 _index = pendingPositions[_id].sub(1);
+        uint256 _last = pending[pending.length.sub(1)];
+
+        pending[_index] = _last;
+        pendingPositions[_last] = _index.add(1);
+        pending.length--;
+        delete pendingPositions[_id];
+    }
+}
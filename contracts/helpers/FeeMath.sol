@@ -0,0 +1,42 @@
+pragma solidity 0.4.25;
+
+import "./SafeMath.sol";
+
+
+/// @title FeeMath
+/// @dev Fee and percentage arithmetic shared by the system contracts. Percentages
+///  are fixed-point numbers with DIVIDER as 100%, so 500 is 0.5% and 150000 is 150%.
+///  Every function states its rounding direction.
+library FeeMath {
+    using SafeMath for uint256;
+
+    // The fixed-point value of 100%
+    uint256 internal constant DIVIDER = 100000;
+
+    /// @dev Returns the fixed-point value of 100%.
+    function divider() internal pure returns(uint256) {
+        return DIVIDER;
+    }
+
+    /// @dev Returns the `_percent` share of `_amount` rounded down.
+    function shareDown(uint256 _amount, uint256 _percent) internal pure returns(uint256) {
+        return _amount.mul(_percent).div(DIVIDER);
+    }
+
+    /// @dev Returns `_amount` without its `_percent` share. The share is rounded
+    ///  down, so the rest is rounded up.
+    function deduct(uint256 _amount, uint256 _percent) internal pure returns(uint256) {
+        return _amount.sub(shareDown(_amount, _percent));
+    }
+
+    /// @dev Returns the `_percent` share of the Ether worth of `_tmv` tokens at
+    ///  the ETH/USD `_rate`, rounded down. The rate has the precision of the percentages.
+    function ethShareDown(uint256 _tmv, uint256 _percent, uint256 _rate) internal pure returns(uint256) {
+        return _tmv.mul(_percent).div(_rate);
+    }
+
+    /// @dev Returns the amount `_amount` is the `_percent` share of, rounded down.
+    function whole(uint256 _amount, uint256 _percent) internal pure returns(uint256) {
+        return _amount.mul(DIVIDER).div(_percent);
+    }
+}
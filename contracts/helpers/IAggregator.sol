@@ -0,0 +1,9 @@
+pragma solidity 0.4.25;
+
+
+/// @title IAggregator
+/// @dev Interface for getting the data from the price feed aggregator.
+interface IAggregator {
+    function currentAnswer() external view returns(uint256);
+    function updatedHeight() external view returns(uint256);
+}
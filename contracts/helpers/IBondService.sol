@@ -0,0 +1,8 @@
+pragma solidity 0.4.25;
+
+
+/// @title IBondService
+/// @dev Interface for notifying the BondService about the position token transfers.
+interface IBondService {
+    function onPositionTransfer(address _from, address _to, uint256 _id) external;
+}
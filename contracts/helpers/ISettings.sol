@@ -15,5 +15,12 @@ interface ISettings {
     function minStability() external view returns(uint256);
     function gasPriceLimit() external view returns(uint256);
     function isFeeManager(address account) external view returns (bool);
+    function isOracleManager(address account) external view returns (bool);
+    function isGuardian(address account) external view returns (bool);
+    function isOperator(address account) external view returns (bool);
     function tBoxManager() external view returns(address);
+    function shutdownPrice() external view returns(uint256);
+    function stabilityFee() external view returns(uint256);
+    function emergencyShutdown(uint256 _price) external;
+    function isPaused(address _module) external view returns(bool);
 }
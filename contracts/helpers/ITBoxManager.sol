@@ -10,7 +10,9 @@ interface ITBoxManager {
     function transferFrom(address from, address to, uint256 tokenId) external;
     function close(uint256 id) external;
     function withdrawPercent(uint256 _collateral) external view returns(uint256);
-    function boxes(uint256 id) external view returns(uint256, uint256);
+    function boxes(uint256 id) external view returns(uint256, uint256, uint256);
+    function accruedFee(uint256 _id) external view returns(uint256);
+    function chargeFee(uint256 _id) external;
     function withdrawEth(uint256 _id, uint256 _amount) external;
     function withdrawTmv(uint256 _id, uint256 _amount) external;
     function withdrawableEth(uint256 id) external view returns(uint256);
@@ -20,4 +22,6 @@ interface ITBoxManager {
     function capitalize(uint256 _id, uint256 _tmv) external;
     function boxWithdrawableTmv(uint256 _id) external view returns(uint256);
     function addEth(uint256 _id) external payable;
+    function addTmv(uint256 _id, uint256 _amount) external;
+    function drip() external;
 }
@@ -0,0 +1,54 @@
+pragma solidity 0.4.25;
+
+import "./SafeMath.sol";
+
+
+/// @title IdLists
+/// @dev Lists of entity IDs, e.g. the open Orders or the Bonds of an address,
+///  supporting removal in constant time and paginated reading.
+library IdLists {
+    using SafeMath for uint256;
+
+    struct IdList {
+        // The IDs in no particular order
+        uint256[] ids;
+        // The positions of the IDs in the list
+        mapping(uint256 => uint256) positions;
+    }
+
+    /// @dev Appends an ID to a list remembering its position.
+    function add(IdList storage _list, uint256 _id) internal {
+        _list.positions[_id] = _list.ids.push(_id).sub(1);
+    }
+
+    /// @dev Removes an ID from a list moving the last ID to its position.
+    function remove(IdList storage _list, uint256 _id) internal {
+        uint256 _position = _list.positions[_id];
+        uint256 _last = _list.ids[_list.ids.length.sub(1)];
+        _list.ids[_position] = _last;
+        _list.positions[_last] = _position;
+        _list.ids.length--;
+        delete _list.positions[_id];
+    }
+
+    /// @dev Returns the number of IDs in a list.
+    function length(IdList storage _list) internal view returns(uint256) {
+        return _list.ids.length;
+    }
+
+    /// @dev Returns up to `_limit` IDs of a list starting from `_offset`.
+    function page(IdList storage _list, uint256 _offset, uint256 _limit) internal view returns(uint256[]) {
+        if (_offset >= _list.ids.length) {
+            return new uint256[](0);
+        }
+        uint256 _end = _offset.add(_limit);
+        if (_end > _list.ids.length) {
+            _end = _list.ids.length;
+        }
+        uint256[] memory _ids = new uint256[](_end.sub(_offset));
+        for (uint256 i = _offset; i < _end; i++) {
+            _ids[i.sub(_offset)] = _list.ids[i];
+        }
+        return _ids;
+    }
+}
@@ -2,19 +2,55 @@ pragma solidity 0.4.25;
 
 import "./Roles.sol";
 
+
+/// @title ManagerRole
+/// @dev Role-based access to the system settings. Fee managers govern the parameters
+///  and grant or revoke the oracle manager, guardian and operator roles. A fee manager
+///  can grant its own role or pass it on, but only the Timelock removes another one
+///  and the last one can't leave. Oracle managers set the oracle, guardians can only
+///  pause and only fee managers unpause. Operators withdraw the fees, which shouldn't
+///  wait for the delay once a Timelock is the fee manager. The settings manager sets
+///  the Timelock and registers the contract managers allowed to mint and burn TMV
+///  until it is renounced.
 contract ManagerRole {
+    using Roles for Roles.Role;
 
-    event HumanManagerAdded(address indexed account);
-    event HumanManagerRemoved(address indexed account);
+    event FeeManagerAdded(address indexed account);
+    event FeeManagerRemoved(address indexed account);
+    event OracleManagerAdded(address indexed account);
+    event OracleManagerRemoved(address indexed account);
+    event GuardianAdded(address indexed account);
+    event GuardianRemoved(address indexed account);
+    event OperatorAdded(address indexed account);
+    event OperatorRemoved(address indexed account);
     event ContractManagerAdded(address indexed account);
+    event ContractManagerRemoved(address indexed account);
+
+    Roles.Role private feeManagers;
+    Roles.Role private oracleManagers;
+    Roles.Role private guardians;
+    Roles.Role private operators;
+    Roles.Role private contractManagerRole;
+
+    // The registered contract managers, TBoxManager among them
+    address[] private contractManagerList;
 
-    address public feeManager;
     address public settingsManager;
+
+    // The Timelock allowed to remove the fee managers
+    address public timelock;
+
+    uint256 public feeManagersCount;
+
+    // The primary logic contract used by the services
     address public tBoxManager;
 
     constructor () internal {
         settingsManager = msg.sender;
-        feeManager = msg.sender;
+        _addFeeManager(msg.sender);
+        _addOracleManager(msg.sender);
+        _addGuardian(msg.sender);
+        _addOperator(msg.sender);
     }
 
     modifier onlyFeeManager() {
@@ -22,6 +58,21 @@ contract ManagerRole {
         _;
     }
 
+    modifier onlyOracleManager() {
+        require(isOracleManager(msg.sender));
+        _;
+    }
+
+    modifier onlyGuardian() {
+        require(isGuardian(msg.sender));
+        _;
+    }
+
+    modifier onlyTimelock() {
+        require(msg.sender == timelock);
+        _;
+    }
+
     modifier onlySettingsManager() {
         require(isSettingsManager(msg.sender));
         _;
@@ -33,7 +84,19 @@ contract ManagerRole {
     }
 
     function isFeeManager(address account) public view returns (bool) {
-        return account == feeManager;
+        return feeManagers.has(account);
+    }
+
+    function isOracleManager(address account) public view returns (bool) {
+        return oracleManagers.has(account);
+    }
+
+    function isGuardian(address account) public view returns (bool) {
+        return guardians.has(account);
+    }
+
+    function isOperator(address account) public view returns (bool) {
+        return operators.has(account);
     }
 
     function isSettingsManager(address account) public view returns (bool) {
@@ -41,25 +104,164 @@ contract ManagerRole {
     }
 
     function isContractManager(address account) public view returns (bool) {
-        return account == tBoxManager;
+        return contractManagerRole.has(account);
     }
 
-    function setContractManager(address account) public onlySettingsManager {
-        _setContract(account);
+    /// @dev Returns the registered contract managers.
+    function contractManagers() external view returns (address[]) {
+        return contractManagerList;
+    }
+
+    function addFeeManager(address account) public onlyFeeManager {
+        _addFeeManager(account);
     }
 
+    /// @dev Removes another fee manager. Has to be queued with the Timelock.
+    function removeFeeManager(address account) public onlyTimelock {
+        _removeFeeManager(account);
+    }
+
+    /// @dev Passes the fee manager role of the caller to `account`.
     function changeFeeManager(address account) public onlyFeeManager {
+        _addFeeManager(account);
+        _removeFeeManager(msg.sender);
+    }
+
+    function renounceFeeManager() public {
+        _removeFeeManager(msg.sender);
+    }
+
+    function addOracleManager(address account) public onlyFeeManager {
+        _addOracleManager(account);
+    }
+
+    function removeOracleManager(address account) public onlyFeeManager {
+        _removeOracleManager(account);
+    }
+
+    function renounceOracleManager() public {
+        _removeOracleManager(msg.sender);
+    }
+
+    function addGuardian(address account) public onlyFeeManager {
+        _addGuardian(account);
+    }
+
+    function removeGuardian(address account) public onlyFeeManager {
+        _removeGuardian(account);
+    }
+
+    function renounceGuardian() public {
+        _removeGuardian(msg.sender);
+    }
+
+    function addOperator(address account) public onlyFeeManager {
+        _addOperator(account);
+    }
+
+    function removeOperator(address account) public onlyFeeManager {
+        _removeOperator(account);
+    }
+
+    function renounceOperator() public {
+        _removeOperator(msg.sender);
+    }
+
+    /// @dev Sets the Timelock allowed to remove the fee managers.
+    function setTimelock(address account) public onlySettingsManager {
         require(account != address(0));
-        feeManager = account;
+        timelock = account;
+    }
+
+    /// @dev Replaces the primary logic contract, the previous one can't mint or burn anymore.
+    function setContractManager(address account) public onlySettingsManager {
+        _setContract(account);
+    }
+
+    /// @dev Registers one more contract allowed to mint and burn TMV.
+    function addContractManager(address account) public onlySettingsManager {
+        _addContractManager(account);
+    }
+
+    function removeContractManager(address account) public onlySettingsManager {
+        require(account != tBoxManager);
+        _removeContractManager(account);
     }
 
     function renounceSettingsManager() public onlySettingsManager {
         settingsManager = address(0);
     }
 
-
     function _setContract(address account) internal {
+        require(account != address(0));
+        if (tBoxManager != address(0)) {
+            _removeContractManager(tBoxManager);
+        }
         tBoxManager = account;
+        if (!isContractManager(account)) {
+            _addContractManager(account);
+        }
+    }
+
+    function _addFeeManager(address account) internal {
+        feeManagers.add(account);
+        feeManagersCount++;
+        emit FeeManagerAdded(account);
+    }
+
+    function _removeFeeManager(address account) internal {
+        // At least one fee manager has to remain
+        require(feeManagersCount > 1);
+        feeManagers.remove(account);
+        feeManagersCount--;
+        emit FeeManagerRemoved(account);
+    }
+
+    function _addOracleManager(address account) internal {
+        oracleManagers.add(account);
+        emit OracleManagerAdded(account);
+    }
+
+    function _removeOracleManager(address account) internal {
+        oracleManagers.remove(account);
+        emit OracleManagerRemoved(account);
+    }
+
+    function _addGuardian(address account) internal {
+        guardians.add(account);
+        emit GuardianAdded(account);
+    }
+
+    function _removeGuardian(address account) internal {
+        guardians.remove(account);
+        emit GuardianRemoved(account);
+    }
+
+    function _addOperator(address account) internal {
+        operators.add(account);
+        emit OperatorAdded(account);
+    }
+
+    function _removeOperator(address account) internal {
+        operators.remove(account);
+        emit OperatorRemoved(account);
+    }
+
+    function _addContractManager(address account) internal {
+        contractManagerRole.add(account);
+        contractManagerList.push(account);
         emit ContractManagerAdded(account);
     }
+
+    function _removeContractManager(address account) internal {
+        contractManagerRole.remove(account);
+        for (uint256 i = 0; i < contractManagerList.length; i++) {
+            if (contractManagerList[i] == account) {
+                contractManagerList[i] = contractManagerList[contractManagerList.length - 1];
+                contractManagerList.length--;
+                break;
+            }
+        }
+        emit ContractManagerRemoved(account);
+    }
 }
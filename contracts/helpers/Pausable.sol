@@ -0,0 +1,24 @@
+pragma solidity 0.4.25;
+
+import "./ISettings.sol";
+
+
+/// @title Pausable
+/// @dev Halts the entry points of a module while TimviSettings has the whole system
+///  or the module paused. Exits stay open, so they don't use the modifier.
+contract Pausable {
+
+    /// @dev Throws if the system or this module is paused.
+    modifier whenNotPaused() {
+        _checkNotPaused();
+        _;
+    }
+
+    /// @dev The whenNotPaused check, kept out of the modifier body to keep the contracts small.
+    function _checkNotPaused() internal view {
+        require(!_pauseSettings().isPaused(address(this)), "System is paused");
+    }
+
+    /// @dev Returns the settings contract holding the pause flags.
+    function _pauseSettings() internal view returns(ISettings);
+}
@@ -0,0 +1,21 @@
+pragma solidity 0.4.25;
+
+
+contract AggregatorMock {
+
+    uint256 public currentAnswer;
+    uint256 public updatedHeight;
+
+    constructor(uint256 _answer) public {
+        setAnswer(_answer);
+    }
+
+    function setAnswer(uint256 _answer) public {
+        currentAnswer = _answer;
+        updatedHeight = block.number;
+    }
+
+    function setUpdatedHeight(uint256 _height) public {
+        updatedHeight = _height;
+    }
+}
@@ -0,0 +1,14 @@
+pragma solidity 0.4.25;
+
+
+/// @dev An account which calls other contracts but rejects incoming Ether.
+contract EtherRejectorMock {
+
+    function execute(address _target, bytes _data) external payable {
+        require(_target.call.value(msg.value)(_data), "Call failed");
+    }
+
+    function() external payable {
+        revert("Ether is rejected");
+    }
+}
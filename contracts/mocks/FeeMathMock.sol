@@ -0,0 +1,27 @@
+pragma solidity 0.4.25;
+
+import "../helpers/FeeMath.sol";
+
+contract FeeMathMock {
+
+    function divider() public pure returns (uint256) {
+        return FeeMath.divider();
+    }
+
+    function shareDown(uint256 amount, uint256 percent) public pure returns (uint256) {
+        return FeeMath.shareDown(amount, percent);
+    }
+
+    function deduct(uint256 amount, uint256 percent) public pure returns (uint256) {
+        return FeeMath.deduct(amount, percent);
+    }
+
+    function ethShareDown(uint256 tmv, uint256 percent, uint256 rate) public pure returns (uint256) {
+        return FeeMath.ethShareDown(tmv, percent, rate);
+    }
+
+    function whole(uint256 amount, uint256 percent) public pure returns (uint256) {
+        return FeeMath.whole(amount, percent);
+    }
+
+}
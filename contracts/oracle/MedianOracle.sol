@@ -0,0 +1,211 @@
+pragma solidity 0.4.25;
+
+import "../helpers/SafeMath.sol";
+import "../helpers/ISettings.sol";
+import "../helpers/IAggregator.sol";
+
+
+/// @title MedianOracle
+/// @dev ETH/USD oracle publishing the median of several whitelisted price feeds.
+contract MedianOracle {
+    using SafeMath for uint256;
+
+    /// @dev Working means the last update was published, otherwise the
+    ///  status tells why the last update was refused.
+    enum Status { Working, NotEnoughFeeds, Deviated }
+
+    // Precision using for USD and deviation
+    uint256 public precision = 100000;
+
+    // The address of the system settings contract
+    ISettings public settings;
+
+    // The whitelisted price feeds
+    address[] public feeds;
+
+    // Whether an address is a whitelisted price feed
+    mapping(address => bool) public isFeed;
+
+    // The number of blocks after which a feed answer or the published price is stale
+    uint256 public expiration;
+
+    // The maximum spread between the fresh feed answers relative to the median
+    uint256 public maxDeviation;
+
+    // The minimum number of fresh feeds required to publish a price
+    uint256 public minFeeds;
+
+    // The feed answer divided by divisor is the price with precision
+    uint256 public divisor;
+
+    // The last published price
+    uint256 public lastGoodPrice;
+
+    // The block the last price was published in
+    uint256 public lastGoodBlock;
+
+    // The status of the last update
+    Status public status;
+
+    /// @dev The PriceUpdated event is fired whenever a new price is published.
+    event PriceUpdated(uint256 ethUsdPrice);
+
+    /// @dev The StatusUpdated event is fired whenever the update status changes.
+    event StatusUpdated(uint8 status);
+
+    event FeedAdded(address feed);
+    event FeedRemoved(address feed);
+    event ExpirationUpdated(uint256 value);
+    event MaxDeviationUpdated(uint256 value);
+    event MinFeedsUpdated(uint256 value);
+
+    /// @dev Throws if called by any account other than the oracle manager.
+    modifier onlyAdmin() {
+        require(settings.isOracleManager(msg.sender), "You have no access");
+        _;
+    }
+
+    /// @param _settings The address of the system settings contract.
+    /// @param _expiration The number of blocks after which a feed answer or the price is stale.
+    /// @param _maxDeviation The maximum spread between the feeds with precision.
+    /// @param _divisor The feed answer divisor.
+    constructor(ISettings _settings, uint256 _expiration, uint256 _maxDeviation, uint256 _divisor) public {
+        require(_divisor > 0, "Zero divisor");
+        settings = _settings;
+        expiration = _expiration;
+        maxDeviation = _maxDeviation;
+        divisor = _divisor;
+        minFeeds = 1;
+        status = Status.NotEnoughFeeds;
+
+        emit ExpirationUpdated(expiration);
+        emit MaxDeviationUpdated(maxDeviation);
+        emit MinFeedsUpdated(minFeeds);
+    }
+
+    /// @dev Returns the last published ETH/USD price with precision,
+    ///  reverts when it wasn't updated for the expiration number of blocks.
+    function ethUsdPrice() external view returns(uint256) {
+        require(lastGoodPrice > 0, "Oracle has no price");
+        require(block.number.sub(lastGoodBlock) < expiration, "Price is stale");
+        return lastGoodPrice;
+    }
+
+    /// @dev Reads the feeds and publishes their median when enough of them
+    ///  are fresh and they agree with each other. Anyone can call it.
+    /// @return Whether the price was published.
+    function update() external returns(bool) {
+        (uint256 _price, Status _status) = _median();
+
+        if (_status != status) {
+            status = _status;
+            emit StatusUpdated(uint8(status));
+        }
+
+        if (_status != Status.Working) {
+            return false;
+        }
+
+        lastGoodPrice = _price;
+        lastGoodBlock = block.number;
+        emit PriceUpdated(lastGoodPrice);
+        return true;
+    }
+
+    /// @dev Returns the price the update would publish and the status it would set.
+    function peek() external view returns(uint256, uint8) {
+        (uint256 _price, Status _status) = _median();
+        return (_price, uint8(_status));
+    }
+
+    /// @dev Returns the number of the whitelisted feeds.
+    function feedsCount() external view returns(uint256) {
+        return feeds.length;
+    }
+
+    function addFeed(address _feed) external onlyAdmin {
+        require(_feed != address(0), "Zero address");
+        require(!isFeed[_feed], "Feed is already added");
+        require(feeds.length < 10, "Too many feeds");
+        isFeed[_feed] = true;
+        feeds.push(_feed);
+        emit FeedAdded(_feed);
+    }
+
+    function removeFeed(address _feed) external onlyAdmin {
+        require(isFeed[_feed], "Feed isn't added");
+        isFeed[_feed] = false;
+        for (uint256 i = 0; i < feeds.length; i++) {
+            if (feeds[i] == _feed) {
+                feeds[i] = feeds[feeds.length - 1];
+                feeds.length--;
+                break;
+            }
+        }
+        emit FeedRemoved(_feed);
+    }
+
+    function setExpiration(uint256 _value) external onlyAdmin {
+        require(_value > 0, "Value out of range");
+        expiration = _value;
+        emit ExpirationUpdated(expiration);
+    }
+
+    function setMaxDeviation(uint256 _value) external onlyAdmin {
+        require(_value <= precision, "Value out of range");
+        maxDeviation = _value;
+        emit MaxDeviationUpdated(maxDeviation);
+    }
+
+    function setMinFeeds(uint256 _value) external onlyAdmin {
+        require(_value > 0 && _value <= 10, "Value out of range");
+        minFeeds = _value;
+        emit MinFeedsUpdated(minFeeds);
+    }
+
+    /// @dev Returns the median of the fresh feed answers with precision
+    ///  and the status of the feeds.
+    function _median() internal view returns(uint256, Status) {
+        uint256[] memory _answers = new uint256[](feeds.length);
+        uint256 _count;
+
+        // Skip the stale feeds and the empty answers
+        for (uint256 i = 0; i < feeds.length; i++) {
+            IAggregator _feed = IAggregator(feeds[i]);
+            if (block.number.sub(_feed.updatedHeight()) >= expiration) {
+                continue;
+            }
+            uint256 _answer = _feed.currentAnswer();
+            if (_answer > 0) {
+                _answers[_count++] = _answer;
+            }
+        }
+
+        if (_count == 0 || _count < minFeeds) {
+            return (0, Status.NotEnoughFeeds);
+        }
+
+        // Sort the fresh answers
+        for (i = 1; i < _count; i++) {
+            uint256 _value = _answers[i];
+            uint256 j = i;
+            while (j > 0 && _answers[j - 1] > _value) {
+                _answers[j] = _answers[j - 1];
+                j--;
+            }
+            _answers[j] = _value;
+        }
+
+        uint256 _price = _answers[_count / 2];
+        if (_count % 2 == 0) {
+            _price = _price.add(_answers[_count / 2 - 1]) / 2;
+        }
+
+        // Refuse to publish when the feeds disagree too much
+        if (_answers[_count - 1].sub(_answers[0]).mul(precision).div(_price) > maxDeviation) {
+            return (0, Status.Deviated);
+        }
+
+        return (_price.div(divisor), Status.Working);
+    }
+}
@@ -0,0 +1,164 @@
+pragma solidity 0.4.25;
+
+import "../helpers/SafeMath.sol";
+import "../helpers/ISettings.sol";
+import "../helpers/IOracle.sol";
+
+
+/// @title OracleSecurityModule
+/// @dev ETH/USD oracle wrapper publishing the source price with a delay.
+///  A price read from the source becomes the next price and is published
+///  as the current one on the first update after the delay. Price propagation
+///  is paused when a single update moves the price too much.
+contract OracleSecurityModule {
+    using SafeMath for uint256;
+
+    // Precision using for USD and percentage
+    uint256 public precision = 100000;
+
+    // The address of the system settings contract
+    ISettings public settings;
+
+    // The oracle the prices are read from
+    IOracle public source;
+
+    // The minimum time between the updates in seconds
+    uint256 public delay;
+
+    // The maximum price change of a single update with precision
+    uint256 public maxChange;
+
+    // The published price
+    uint256 public currentPrice;
+
+    // The price published on the next update
+    uint256 public nextPrice;
+
+    // The time of the last update
+    uint256 public lastUpdate;
+
+    // Whether price propagation is paused
+    bool public paused;
+
+    /// @dev The PriceUpdated event is fired whenever the current price is published.
+    event PriceUpdated(uint256 ethUsdPrice);
+
+    /// @dev The NextPriceUpdated event is fired whenever the next price is read from the source.
+    event NextPriceUpdated(uint256 ethUsdPrice);
+
+    /// @dev The Paused event is fired whenever price propagation is paused. The source
+    ///  price is zero when the oracle manager pauses it.
+    event Paused(uint256 currentPrice, uint256 sourcePrice);
+
+    /// @dev The Unpaused event is fired whenever the oracle manager resumes price propagation.
+    event Unpaused(uint256 nextPrice);
+
+    event SourceUpdated(address source);
+    event DelayUpdated(uint256 value);
+    event MaxChangeUpdated(uint256 value);
+
+    /// @dev Throws if called by any account other than the oracle manager.
+    modifier onlyAdmin() {
+        require(settings.isOracleManager(msg.sender), "You have no access");
+        _;
+    }
+
+    /// @dev Throws if price propagation is paused.
+    modifier whenNotPaused() {
+        require(!paused, "Price propagation is paused");
+        _;
+    }
+
+    /// @dev The constructor publishes the current source price.
+    /// @param _settings The address of the system settings contract.
+    /// @param _source The address of the source oracle.
+    /// @param _delay The minimum time between the updates in seconds.
+    /// @param _maxChange The maximum price change of a single update with precision.
+    constructor(ISettings _settings, IOracle _source, uint256 _delay, uint256 _maxChange) public {
+        settings = _settings;
+        source = _source;
+        delay = _delay;
+        maxChange = _maxChange;
+
+        currentPrice = source.ethUsdPrice();
+        nextPrice = currentPrice;
+        lastUpdate = now;
+
+        emit SourceUpdated(source);
+        emit DelayUpdated(delay);
+        emit MaxChangeUpdated(maxChange);
+        emit PriceUpdated(currentPrice);
+        emit NextPriceUpdated(nextPrice);
+    }
+
+    /// @dev Returns the published ETH/USD price with precision.
+    function ethUsdPrice() external view returns(uint256) {
+        return currentPrice;
+    }
+
+    /// @dev Returns the earliest time of the next update.
+    function nextUpdate() public view returns(uint256) {
+        return lastUpdate.add(delay);
+    }
+
+    /// @dev Publishes the next price and reads the new one from the source.
+    ///  Anyone can call it once the delay has passed.
+    function update() external whenNotPaused {
+        require(now >= nextUpdate(), "Delay hasn't passed");
+
+        uint256 _price = source.ethUsdPrice();
+
+        // The next price is trusted by now
+        if (currentPrice != nextPrice) {
+            currentPrice = nextPrice;
+            emit PriceUpdated(currentPrice);
+        }
+
+        // Pause price propagation on a sharp move
+        uint256 _change = _price > currentPrice ? _price.sub(currentPrice) : currentPrice.sub(_price);
+        if (_change.mul(precision).div(currentPrice) > maxChange) {
+            paused = true;
+            emit Paused(currentPrice, _price);
+            return;
+        }
+
+        nextPrice = _price;
+        lastUpdate = now;
+        emit NextPriceUpdated(nextPrice);
+    }
+
+    /// @dev Allows the oracle manager to pause price propagation.
+    function pause() external onlyAdmin whenNotPaused {
+        paused = true;
+        emit Paused(currentPrice, 0);
+    }
+
+    /// @dev Allows the oracle manager to resume price propagation accepting
+    ///  the source price as the next price.
+    function unpause() external onlyAdmin {
+        require(paused, "Price propagation isn't paused");
+        paused = false;
+        nextPrice = source.ethUsdPrice();
+        lastUpdate = now;
+        emit Unpaused(nextPrice);
+        emit NextPriceUpdated(nextPrice);
+    }
+
+    function setSource(IOracle _source) external onlyAdmin {
+        require(_source != address(0), "Zero address");
+        source = _source;
+        emit SourceUpdated(source);
+    }
+
+    function setDelay(uint256 _value) external onlyAdmin {
+        require(_value <= 1 days, "Value out of range");
+        delay = _value;
+        emit DelayUpdated(delay);
+    }
+
+    function setMaxChange(uint256 _value) external onlyAdmin {
+        require(_value > 0 && _value <= precision, "Value out of range");
+        maxChange = _value;
+        emit MaxChangeUpdated(maxChange);
+    }
+}
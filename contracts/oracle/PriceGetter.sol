@@ -0,0 +1,102 @@
+pragma solidity 0.4.25;
+
+import '../helpers/Address.sol';
+import '../helpers/IAggregator.sol';
+
+/// @title PriceGetter
+/// @dev ETH/USD oracle reading a price feed aggregator. The aggregator is
+///  replaced in two steps: the admin proposes a new one and accepts it once
+///  it serves fresh data.
+contract PriceGetter {
+    using Address for address;
+
+    /// @notice The address of the admin account.
+    address public admin;
+
+    // The price feed aggregator
+    IAggregator public aggr;
+
+    // The proposed price feed aggregator
+    IAggregator public pendingAggr;
+
+    // The number of blocks after which the aggregator data are outdated
+    uint256 public expiration;
+
+    // The aggregator answer divided by divisor is the price with precision
+    uint256 public divisor;
+
+    event AggregatorProposed(address aggregator);
+    event AggregatorUpdated(address aggregator);
+    event ExpirationUpdated(uint256 value);
+    event DivisorUpdated(uint256 value);
+    event AdminChanged(address admin);
+
+    /// @dev Access modifier for admin-only functionality.
+    modifier onlyAdmin() {
+        require(admin == msg.sender, "You have no access");
+        _;
+    }
+
+    /// @dev The contract constructor sets the original `admin` of the contract to the sender account.
+    /// @param _aggr The address of the price feed aggregator.
+    /// @param _expiration The number of blocks after which the data are outdated.
+    /// @param _divisor The aggregator answer divisor.
+    constructor(IAggregator _aggr, uint256 _expiration, uint256 _divisor) public {
+        require(address(_aggr).isContract(), "Aggregator isn't a contract");
+        require(_expiration > 0, "Value out of range");
+        require(_divisor > 0, "Value out of range");
+        admin = msg.sender;
+        aggr = _aggr;
+        expiration = _expiration;
+        divisor = _divisor;
+
+        emit AggregatorUpdated(aggr);
+        emit ExpirationUpdated(expiration);
+        emit DivisorUpdated(divisor);
+        emit AdminChanged(admin);
+    }
+
+    function ethUsdPrice() public view returns (uint256) {
+        return _price(aggr);
+    }
+
+    /// @dev Proposes a new price feed aggregator.
+    function proposeAggregator(IAggregator _aggr) external onlyAdmin {
+        require(address(_aggr).isContract(), "Aggregator isn't a contract");
+        pendingAggr = _aggr;
+        emit AggregatorProposed(pendingAggr);
+    }
+
+    /// @dev Switches to the proposed aggregator if it serves fresh data.
+    function acceptAggregator() external onlyAdmin {
+        require(pendingAggr != address(0), "There is no proposed aggregator");
+        require(_price(pendingAggr) > 0, "Zero price");
+        aggr = pendingAggr;
+        pendingAggr = IAggregator(0);
+        emit AggregatorUpdated(aggr);
+    }
+
+    function setExpiration(uint256 _value) external onlyAdmin {
+        require(_value > 0, "Value out of range");
+        expiration = _value;
+        emit ExpirationUpdated(expiration);
+    }
+
+    function setDivisor(uint256 _value) external onlyAdmin {
+        require(_value > 0, "Value out of range");
+        divisor = _value;
+        emit DivisorUpdated(divisor);
+    }
+
+    function changeAdmin(address _newAdmin) external onlyAdmin {
+        require(_newAdmin != address(0), "Zero address, be careful");
+        admin = _newAdmin;
+        emit AdminChanged(admin);
+    }
+
+    /// @dev Returns the aggregator answer with precision.
+    function _price(IAggregator _aggr) internal view returns (uint256) {
+        require(block.number - _aggr.updatedHeight() < expiration, "Oracle data are outdated");
+        return _aggr.currentAnswer() / divisor;
+    }
+}
@@ -1,15 +1,21 @@
 pragma solidity 0.4.25;
 
 import "../../helpers/SafeMath.sol";
+import "../../helpers/FeeMath.sol";
+import "../../helpers/IdLists.sol";
 import "../../helpers/IToken.sol";
 import "../../helpers/ISettings.sol";
 import "../../helpers/ITBoxManager.sol";
 import "../../helpers/IOracle.sol";
+import "../../helpers/Pausable.sol";
+import "./BondToken.sol";
 
 
 /// @title BondService
-contract BondService {
+contract BondService is Pausable {
     using SafeMath for uint256;
+    using FeeMath for uint256;
+    using IdLists for IdLists.IdList;
 
     /// @notice The address of the admin account.
     address public admin;
@@ -23,19 +29,48 @@ contract BondService {
     // Commission percentage charged from the holder
     uint256 public holderFee;
 
-    // The percentage divider
-    uint256 public divider = 100000;
-
     // The minimum deposit amount
     uint256 public minEther;
 
     // The settings contract address
     ISettings public settings;
 
+    // The ERC721 token representing the issuer side of the matched Bonds
+    BondToken public issuerToken;
+
+    // The ERC721 token representing the holder side of the matched Bonds
+    BondToken public holderToken;
+
     /// @dev An array containing the Bond struct for all Bonds in existence. The ID
     ///  of each Bond is actually an index into this array.
     Bond[] public bonds;
 
+    // The rollover terms proposed by the issuers of the matched Bonds
+    mapping(uint256 => Rollover) public rollovers;
+
+    // The IDs of the open issuer requests
+    IdLists.IdList internal issueRequests;
+
+    // The IDs of the open holder requests
+    IdLists.IdList internal buyRequests;
+
+    // The IDs of the matched Bonds
+    IdLists.IdList internal matchedBonds;
+
+    // The IDs of the existing Bonds by issuer
+    mapping(address => IdLists.IdList) internal issuerBonds;
+
+    // The IDs of the existing Bonds by holder
+    mapping(address => IdLists.IdList) internal holderBonds;
+
+    /// @dev The new terms of a matched Bond proposed by the issuer.
+    struct Rollover {
+        // The new expiration in seconds since the rollover
+        uint256 expiration;
+        // The new percentage of the holder commission fee
+        uint256 yearFee;
+    }
+
     /// @dev The main Bond struct. Every Bond is represented by a copy
     ///  of this structure.
     struct Bond {
@@ -60,6 +95,9 @@ contract BondService {
         // The timestamp of the Bond creation
         // Sets at the matching moment
         uint256         createdAt;
+        // The timestamp the holder fee is paid up to
+        // Sets at the matching, rollover and repayment moments
+        uint256         feePaidAt;
     }
 
 
@@ -75,6 +113,24 @@ contract BondService {
     /// @dev The BondMatched event is fired whenever a Bond is matched.
     event BondMatched(uint256 id, address who, uint256 tBox, uint256 tmv, uint256 sysFee, address counteragent);
 
+    /// @dev The BondPartiallyFilled event is fired whenever a part of a Bond request is split
+    ///  off to be matched. The part is a new Bond, the request stays open with the remainder.
+    event BondPartiallyFilled(uint256 id, uint256 part, uint256 deposit, uint256 remainder);
+
+    /// @dev The RolloverProposed event is fired whenever the issuer proposes new terms of a Bond.
+    event RolloverProposed(uint256 id, uint256 expiration, uint256 yearFee);
+
+    /// @dev The BondRolledOver event is fired whenever the holder accepts new terms of a Bond.
+    ///  The expiration is the new expiration time, the fee is the settled holder fee.
+    event BondRolledOver(uint256 id, uint256 expiration, uint256 yearFee, uint256 fee);
+
+    /// @dev The BondCollateralAdded event is fired whenever the issuer adds Ether to the TBox of a Bond.
+    event BondCollateralAdded(uint256 id, uint256 amount, address who);
+
+    /// @dev The BondRepaid event is fired whenever the issuer repays a part of the Bond TMV.
+    ///  `fee` is the holder fee accrued on the previous amount.
+    event BondRepaid(uint256 id, uint256 amount, uint256 tmv, uint256 fee);
+
     /// @dev The BondFinished event is fired whenever a Bond is finished.
     event BondFinished(uint256 id, address issuer, address holder);
 
@@ -84,12 +140,13 @@ contract BondService {
     event BondHolderFeeUpdated(uint256 _value);
     event BondIssuerFeeUpdated(uint256 _value);
     event BondMinEtherUpdated(uint256 _value);
+    event BondTokensUpdated(address issuerToken, address holderToken);
     event IssuerRightsTransferred(address indexed from, address indexed to, uint indexed id);
     event HolderRightsTransferred(address indexed from, address indexed to, uint indexed id);
 
     /// @dev Defends against front-running attacks.
     modifier validTx() {
-        require(tx.gasprice <= settings.gasPriceLimit(), "Gas price is greater than allowed");
+        _checkGasPrice();
         _;
     }
 
@@ -99,14 +156,16 @@ contract BondService {
         _;
     }
 
-    /// @dev Access modifier for issuer-only functionality.
+    /// @dev Access modifier for issuer-only functionality. The issuer of a matched
+    ///  Bond is the owner of its issuer token.
     /// @param _id A Bond ID.
     modifier onlyIssuer(uint256 _id) {
         require(bonds[_id].issuer == msg.sender, "You are not the issuer");
         _;
     }
 
-    /// @dev Access modifier for holder-only functionality.
+    /// @dev Access modifier for holder-only functionality. The holder of a matched
+    ///  Bond is the owner of its holder token.
     /// @param _id A Bond ID.
     modifier onlyHolder(uint256 _id) {
         require(bonds[_id].holder == msg.sender, "You are not the holder");
@@ -168,7 +227,7 @@ contract BondService {
     /// @return New Bond ID.
     function leverage(uint256 _percent, uint256 _expiration, uint256 _yearFee) public payable returns (uint256) {
         require(msg.value >= minEther, "Too small funds");
-        require(_percent >= ITBoxManager(settings.tBoxManager()).withdrawPercent(msg.value), "Collateralization is not enough");
+        require(_percent >= _tBoxManager().withdrawPercent(msg.value), "Collateralization is not enough");
         require(_expiration >= 1 days && _expiration <= 365 days, "Expiration out of range");
         require(_yearFee <= 25000, "Fee out of range");
 
@@ -214,9 +273,11 @@ contract BondService {
             _yearFee,
             0,
             0,
+            0,
             0
         );
         uint256 _id = bonds.push(_bond).sub(1);
+        _addRequest(_id);
         emit BondCreated(_id, msg.sender, msg.value, _percent, _expiration, _yearFee);
         return _id;
     }
@@ -225,6 +286,13 @@ contract BondService {
     /// @param _id A Bond ID.
     function close(uint256 _id) external singleOwner(_id) {
         uint256 _eth = bonds[_id].deposit;
+        if (bonds[_id].issuer != address(0)) {
+            issueRequests.remove(_id);
+            issuerBonds[msg.sender].remove(_id);
+        } else {
+            buyRequests.remove(_id);
+            holderBonds[msg.sender].remove(_id);
+        }
         delete bonds[_id];
         msg.sender.transfer(_eth);
         emit BondClosed(_id, msg.sender);
@@ -282,7 +350,7 @@ contract BondService {
     function changePercent(uint256 _id, uint256 _percent) internal {
         uint256 _oldPercent = bonds[_id].percent;
         if (_percent != 0 && _oldPercent != _percent) {
-            require(_percent >= ITBoxManager(settings.tBoxManager()).withdrawPercent(bonds[_id].deposit), "Collateralization is not enough");
+            require(_percent >= _tBoxManager().withdrawPercent(bonds[_id].deposit), "Collateralization is not enough");
             bonds[_id].percent = _percent;
         }
     }
@@ -305,52 +373,107 @@ contract BondService {
 
     /// @dev Uses to match the issuer request.
     /// @param _id A Bond ID.
-    function takeIssueRequest(uint256 _id) external payable issueRequest(_id) validTx {
+    function takeIssueRequest(uint256 _id) external payable issueRequest(_id) validTx whenNotPaused {
+        _takeIssueRequest(_id);
+    }
+
+    /// @dev Uses to match a part of the issuer request.
+    /// @param _id A Bond ID.
+    /// @param _deposit The part of the issuer deposit to match.
+    function takeIssueRequestPart(uint256 _id, uint256 _deposit) external payable issueRequest(_id) validTx whenNotPaused {
+        _takeIssueRequest(_split(_id, _deposit));
+    }
+
+    /// @dev Uses to match the holder request.
+    /// @param _id A Bond ID.
+    function takeBuyRequest(uint256 _id) external payable buyRequest(_id) validTx whenNotPaused {
+        _takeBuyRequest(_id);
+    }
+
+    /// @dev Uses to match a part of the holder request.
+    /// @param _id A Bond ID.
+    /// @param _deposit The part of the holder deposit to match.
+    function takeBuyRequestPart(uint256 _id, uint256 _deposit) external payable buyRequest(_id) validTx whenNotPaused {
+        _takeBuyRequest(_split(_id, _deposit));
+    }
+
+    /// @dev Splits a part off the request as a new Bond request.
+    /// @param _id A Bond ID.
+    /// @param _deposit The deposit of the part.
+    /// @return The ID of the part.
+    function _split(uint256 _id, uint256 _deposit) internal returns(uint256) {
+        require(_deposit >= minEther, "Too small funds");
+        require(_deposit < bonds[_id].deposit, "The part exceeds the request");
+
+        uint256 _remainder = bonds[_id].deposit.sub(_deposit);
+        require(_remainder >= minEther, "Too small remainder");
+
+        Bond memory _bond = bonds[_id];
+        _bond.deposit = _deposit;
+        uint256 _part = bonds.push(_bond).sub(1);
+        _addRequest(_part);
+        bonds[_id].deposit = _remainder;
+
+        emit BondPartiallyFilled(_id, _part, _deposit, _remainder);
+        return _part;
+    }
+
+    function _takeIssueRequest(uint256 _id) internal {
 
         address _issuer = bonds[_id].issuer;
-        uint256 _eth = bonds[_id].deposit.mul(divider).div(bonds[_id].percent);
+        uint256 _eth = bonds[_id].deposit.whole(bonds[_id].percent);
 
         require(msg.value == _eth, "Incorrect ETH value");
 
-        uint256 _sysEth = _eth.mul(issuerFee).div(divider);
+        uint256 _sysEth = _eth.shareDown(issuerFee);
         systemETH = systemETH.add(_sysEth);
 
         uint256 _tmv = _eth.mul(rate()).div(precision());
-        uint256 _box = ITBoxManager(settings.tBoxManager()).create.value(bonds[_id].deposit)(_tmv);
+        uint256 _box = _tBoxManager().create.value(bonds[_id].deposit)(_tmv);
 
         bonds[_id].holder = msg.sender;
         bonds[_id].tmv = _tmv;
+        issueRequests.remove(_id);
+        matchedBonds.add(_id);
+        holderBonds[msg.sender].add(_id);
         bonds[_id].expiration = bonds[_id].expiration.add(now);
         bonds[_id].sysFee = holderFee;
         bonds[_id].tBoxId = _box;
         bonds[_id].createdAt = now;
+        bonds[_id].feePaidAt = now;
+
+        _mintPositions(_id);
 
         _issuer.transfer(_eth.sub(_sysEth));
-        IToken(settings.tmvAddress()).transfer(msg.sender, _tmv);
+        _token().transfer(msg.sender, _tmv);
         emit BondMatched(_id, msg.sender, _box, _tmv, holderFee, _issuer);
     }
 
-    /// @dev Uses to match the holder request.
-    /// @param _id A Bond ID.
-    function takeBuyRequest(uint256 _id) external payable buyRequest(_id) validTx {
+    function _takeBuyRequest(uint256 _id) internal {
 
         address _holder = bonds[_id].holder;
 
-        uint256 _sysEth = bonds[_id].deposit.mul(issuerFee).div(divider);
+        uint256 _sysEth = bonds[_id].deposit.shareDown(issuerFee);
         systemETH = systemETH.add(_sysEth);
 
         uint256 _tmv = bonds[_id].deposit.mul(rate()).div(precision());
-        uint256 _box = ITBoxManager(settings.tBoxManager()).create.value(msg.value)(_tmv);
+        uint256 _box = _tBoxManager().create.value(msg.value)(_tmv);
 
         bonds[_id].issuer = msg.sender;
         bonds[_id].tmv = _tmv;
+        buyRequests.remove(_id);
+        matchedBonds.add(_id);
+        issuerBonds[msg.sender].add(_id);
         bonds[_id].expiration = bonds[_id].expiration.add(now);
         bonds[_id].sysFee = holderFee;
         bonds[_id].tBoxId = _box;
         bonds[_id].createdAt = now;
+        bonds[_id].feePaidAt = now;
+
+        _mintPositions(_id);
 
         msg.sender.transfer(bonds[_id].deposit.sub(_sysEth));
-        IToken(settings.tmvAddress()).transfer(_holder, _tmv);
+        _token().transfer(_holder, _tmv);
         emit BondMatched(_id, msg.sender, _box, _tmv, holderFee, _holder);
     }
 
@@ -364,40 +487,107 @@ contract BondService {
         // since the expiration period cannot exceed 365 days.
         require(now < bond.expiration, "Bond expired");
 
-        uint256 _secondsPast = now.sub(bond.createdAt);
         (uint256 _eth, ) = getBox(bond.tBoxId);
+        address _holder = bond.holder;
+
+        _payYearFee(_id);
+
+        if (_eth > 0) {
+            _tBoxManager().transferFrom(address(this), msg.sender, bond.tBoxId);
+        }
+        // when TBox no longer exists
+        _removeMatched(_id);
+        delete bonds[_id];
+
+        emit BondFinished(_id, msg.sender, _holder);
+    }
+
+    /// @dev Proposes new terms of a matched Bond to the holder. A new proposal
+    ///  replaces the previous one.
+    /// @param _id A Bond ID.
+    /// @param _expiration The new expiration in seconds since the rollover.
+    /// @param _yearFee The new percentage of the commission.
+    function proposeRollover(uint256 _id, uint256 _expiration, uint256 _yearFee) external onlyIssuer(_id) matched(_id) {
+        require(now < bonds[_id].expiration, "Bond expired");
+        require(_expiration >= 1 days && _expiration <= 365 days, "Expiration out of range");
+        require(_yearFee <= 25000, "Fee out of range");
+
+        rollovers[_id] = Rollover(_expiration, _yearFee);
+        emit RolloverProposed(_id, _expiration, _yearFee);
+    }
+
+    /// @dev Accepts the proposed terms of a Bond. The holder fee accrued so far
+    ///  is paid by the issuer and the Bond continues with the same TBox.
+    /// @param _id A Bond ID.
+    function acceptRollover(uint256 _id) external onlyHolder(_id) validTx whenNotPaused {
+        Rollover memory _rollover = rollovers[_id];
+        require(_rollover.expiration > 0, "There is no proposed rollover");
+        require(now < bonds[_id].expiration, "Bond expired");
+
+        uint256 _fee = _payYearFee(_id);
+
+        bonds[_id].expiration = now.add(_rollover.expiration);
+        bonds[_id].yearFee = _rollover.yearFee;
+        bonds[_id].sysFee = holderFee;
+        bonds[_id].feePaidAt = now;
+        delete rollovers[_id];
+
+        emit BondRolledOver(_id, bonds[_id].expiration, bonds[_id].yearFee, _fee);
+    }
+
+    /// @dev Adds Ether to the TBox of a matched Bond.
+    /// @param _id A Bond ID.
+    function addCollateral(uint256 _id) external payable onlyIssuer(_id) matched(_id) {
+        _tBoxManager().addEth.value(msg.value)(bonds[_id].tBoxId);
+        emit BondCollateralAdded(_id, msg.value, msg.sender);
+    }
+
+    /// @dev Repays a part of the TMV withdrawn to the holder. The holder fee
+    ///  accrued on the previous amount is paid first, the rest of the term
+    ///  accrues on the reduced one.
+    /// @param _id A Bond ID.
+    /// @param _amount The number of tokens to repay.
+    function repay(uint256 _id, uint256 _amount) external onlyIssuer(_id) matched(_id) validTx {
+        require(now < bonds[_id].expiration, "Bond expired");
+
+        uint256 _fee = _payYearFee(_id);
+        bonds[_id].feePaidAt = now;
+
+        _token().transferFrom(msg.sender, address(this), _amount);
+        _tBoxManager().addTmv(bonds[_id].tBoxId, _amount);
+        bonds[_id].tmv = bonds[_id].tmv.sub(_amount);
+
+        emit BondRepaid(_id, _amount, bonds[_id].tmv, _fee);
+    }
 
+    /// @dev Transfers the holder fee accrued since it was last paid from the issuer.
+    /// @param _id A Bond ID.
+    /// @return The holder fee including the system commission.
+    function _payYearFee(uint256 _id) internal returns(uint256) {
+        Bond memory bond = bonds[_id];
+
+        uint256 _secondsPast = now.sub(bond.feePaidAt);
         uint256 _yearFee = bond.tmv
             .mul(_secondsPast)
-            .mul(bond.yearFee)
-            .div(365 days)
-            .div(divider);
-        uint256 _sysTMV = _yearFee.mul(bond.sysFee).div(divider);
-
-        address _holder = bond.holder;
+            .shareDown(bond.yearFee)
+            .div(365 days);
+        uint256 _sysTMV = _yearFee.shareDown(bond.sysFee);
 
         if (_sysTMV > 0) {
-            IToken(settings.tmvAddress()).transferFrom(
-                msg.sender,
+            _token().transferFrom(
+                bond.issuer,
                 address(this),
                 _sysTMV
             );
         }
         if (_yearFee > 0) {
-            IToken(settings.tmvAddress()).transferFrom(
-                msg.sender,
-                _holder,
+            _token().transferFrom(
+                bond.issuer,
+                bond.holder,
                 _yearFee.sub(_sysTMV)
             );
         }
-
-        if (_eth > 0) {
-            ITBoxManager(settings.tBoxManager()).transferFrom(address(this), msg.sender, bond.tBoxId);
-        }
-        // when TBox no longer exists
-        delete bonds[_id];
-
-        emit BondFinished(_id, msg.sender, _holder);
+        return _yearFee;
     }
 
     /// @dev Executes expiration process of the bond.
@@ -409,43 +599,48 @@ contract BondService {
 
         if (_eth == 0) {
             emit BondExpired(_id, bonds[_id].issuer, bonds[_id].holder);
+            _removeMatched(_id);
             delete bonds[_id];
             return;
         }
 
-        uint256 _collateralPercent = ITBoxManager(settings.tBoxManager()).collateralPercent(bonds[_id].tBoxId);
+        // The withdrawable Ether depends on the token supply, so the fee tokens
+        // are minted before it is read
+        _tBoxManager().chargeFee(bonds[_id].tBoxId);
+
+        uint256 _collateralPercent = _tBoxManager().collateralPercent(bonds[_id].tBoxId);
         uint256 _targetCollateralPercent = settings.globalTargetCollateralization();
         if (_collateralPercent > _targetCollateralPercent) {
             uint256 _ethTarget = _tmv.mul(_targetCollateralPercent).div(rate()); // mul and div by precision are omitted
             uint256 _issuerEth = _eth.sub(_ethTarget);
-            uint256 _withdrawableEth = ITBoxManager(settings.tBoxManager()).withdrawableEth(
+            uint256 _withdrawableEth = _tBoxManager().withdrawableEth(
                 bonds[_id].tBoxId
             );
             if (_issuerEth > _withdrawableEth) {
                 _issuerEth = _withdrawableEth;
             }
-            ITBoxManager(settings.tBoxManager()).withdrawEth(
+            _tBoxManager().withdrawEth(
                 bonds[_id].tBoxId,
                 _issuerEth
             );
             bonds[_id].issuer.transfer(_issuerEth);
         }
 
-        _eth = ITBoxManager(settings.tBoxManager()).withdrawableEth(
+        _eth = _tBoxManager().withdrawableEth(
             bonds[_id].tBoxId
         );
 
-        uint256 _commission = _eth.mul(bonds[_id].sysFee).div(divider);
+        uint256 _commission = _eth.shareDown(bonds[_id].sysFee);
 
         if (_commission > 0) {
-            ITBoxManager(settings.tBoxManager()).withdrawEth(
+            _tBoxManager().withdrawEth(
                 bonds[_id].tBoxId,
                 _commission
             );
             systemETH = systemETH.add(_commission);
         }
 
-        ITBoxManager(settings.tBoxManager()).transferFrom(
+        _tBoxManager().transferFrom(
             address(this),
             bonds[_id].holder,
             bonds[_id].tBoxId
@@ -453,13 +648,86 @@ contract BondService {
 
         emit BondExpired(_id, bonds[_id].issuer, bonds[_id].holder);
 
+        _removeMatched(_id);
         delete bonds[_id];
     }
 
-    /// @dev Returns TBox parameters.
-    /// @param _id A Bond ID.
-    function getBox(uint256 _id) public view returns(uint256, uint256) {
-        return ITBoxManager(settings.tBoxManager()).boxes(_id);
+    /// @dev Returns the collateral and the debt of a TBox, the stability fee
+    ///  accrued but not charged yet included.
+    /// @param _id A TBox ID.
+    function getBox(uint256 _id) public view returns(uint256 _eth, uint256 _tmv) {
+        (_eth, _tmv, ) = _tBoxManager().boxes(_id);
+        // A closed TBox is deleted and owes nothing
+        if (_eth > 0) {
+            _tmv = _tmv.add(_tBoxManager().accruedFee(_id));
+        }
+    }
+
+    /// @dev Returns the percentage divider.
+    function divider() external pure returns(uint256) {
+        return FeeMath.divider();
+    }
+
+    /// @dev Returns the number of the open issuer requests.
+    function issueRequestsCount() external view returns(uint256) {
+        return issueRequests.length();
+    }
+
+    /// @dev Returns the number of the open holder requests.
+    function buyRequestsCount() external view returns(uint256) {
+        return buyRequests.length();
+    }
+
+    /// @dev Returns the number of the matched Bonds.
+    function matchedBondsCount() external view returns(uint256) {
+        return matchedBonds.length();
+    }
+
+    /// @dev Returns the number of the existing Bonds of an issuer.
+    function issuerBondsCount(address _issuer) external view returns(uint256) {
+        return issuerBonds[_issuer].length();
+    }
+
+    /// @dev Returns the number of the existing Bonds of a holder.
+    function holderBondsCount(address _holder) external view returns(uint256) {
+        return holderBonds[_holder].length();
+    }
+
+    /// @dev Returns a page of the open issuer request IDs.
+    /// @param _offset The position of the first ID.
+    /// @param _limit The maximum number of IDs.
+    function getIssueRequests(uint256 _offset, uint256 _limit) external view returns(uint256[]) {
+        return issueRequests.page(_offset, _limit);
+    }
+
+    /// @dev Returns a page of the open holder request IDs.
+    /// @param _offset The position of the first ID.
+    /// @param _limit The maximum number of IDs.
+    function getBuyRequests(uint256 _offset, uint256 _limit) external view returns(uint256[]) {
+        return buyRequests.page(_offset, _limit);
+    }
+
+    /// @dev Returns a page of the matched Bond IDs.
+    /// @param _offset The position of the first ID.
+    /// @param _limit The maximum number of IDs.
+    function getMatchedBonds(uint256 _offset, uint256 _limit) external view returns(uint256[]) {
+        return matchedBonds.page(_offset, _limit);
+    }
+
+    /// @dev Returns a page of the existing Bond IDs of an issuer.
+    /// @param _issuer The address of the issuer.
+    /// @param _offset The position of the first ID.
+    /// @param _limit The maximum number of IDs.
+    function getIssuerBonds(address _issuer, uint256 _offset, uint256 _limit) external view returns(uint256[]) {
+        return issuerBonds[_issuer].page(_offset, _limit);
+    }
+
+    /// @dev Returns a page of the existing Bond IDs of a holder.
+    /// @param _holder The address of the holder.
+    /// @param _offset The position of the first ID.
+    /// @param _limit The maximum number of IDs.
+    function getHolderBonds(address _holder, uint256 _offset, uint256 _limit) external view returns(uint256[]) {
+        return holderBonds[_holder].page(_offset, _limit);
     }
 
     /// @dev Needs to claim funds from the logic contract to execute finishing and expiration.
@@ -518,9 +786,29 @@ contract BondService {
         admin = _newAdmin;
     }
 
-    /// @dev Returns precision using for USD and commission calculation.
+    /// @dev The validTx check, kept out of the modifier body to keep the contract within the size limit.
+    function _checkGasPrice() internal view {
+        require(tx.gasprice <= settings.gasPriceLimit(), "Gas price is greater than allowed");
+    }
+
+    /// @dev Returns the settings contract holding the pause flags.
+    function _pauseSettings() internal view returns(ISettings) {
+        return settings;
+    }
+
+    /// @dev Returns the TBoxManager contract.
+    function _tBoxManager() internal view returns(ITBoxManager) {
+        return ITBoxManager(settings.tBoxManager());
+    }
+
+    /// @dev Returns the TMV token contract.
+    function _token() internal view returns(IToken) {
+        return IToken(settings.tmvAddress());
+    }
+
+    /// @dev Returns precision using for USD calculation.
     function precision() public view returns(uint256) {
-        return ITBoxManager(settings.tBoxManager()).precision();
+        return _tBoxManager().precision();
     }
 
     /// @dev Returns current oracle ETH/USD price with precision.
@@ -528,17 +816,93 @@ contract BondService {
         return IOracle(settings.oracleAddress()).ethUsdPrice();
     }
 
-    /// @dev Transfers issuer's rights of an Order.
+    /// @dev Sets the position tokens. They can't be changed later.
+    /// @param _issuerToken The token of the issuer side.
+    /// @param _holderToken The token of the holder side.
+    function setTokens(BondToken _issuerToken, BondToken _holderToken) external onlyAdmin {
+        require(issuerToken == address(0), "Tokens are already set");
+        require(_issuerToken.service() == address(this) && _holderToken.service() == address(this), "Tokens of another service");
+        issuerToken = _issuerToken;
+        holderToken = _holderToken;
+        emit BondTokensUpdated(issuerToken, holderToken);
+    }
+
+    /// @dev Transfers issuer's rights of an Order. The rights of
+    ///  a matched Bond are transferred with its issuer token.
     function transferIssuerRights(address _to, uint256 _id) external onlyIssuer(_id) {
         require(_to != address(0), "Zero address, be careful");
-        bonds[_id].issuer = _to;
-        emit IssuerRightsTransferred(msg.sender, _to, _id);
+        if (bonds[_id].holder != address(0)) {
+            issuerToken.transferFrom(msg.sender, _to, _id);
+        } else {
+            _moveIssuer(msg.sender, _to, _id);
+        }
     }
 
-    /// @dev Transfers holder's rights of an Order.
+    /// @dev Transfers holder's rights of an Order. The rights of
+    ///  a matched Bond are transferred with its holder token.
     function transferHolderRights(address _to, uint256 _id) external onlyHolder(_id) {
         require(_to != address(0), "Zero address, be careful");
+        if (bonds[_id].issuer != address(0)) {
+            holderToken.transferFrom(msg.sender, _to, _id);
+        } else {
+            _moveHolder(msg.sender, _to, _id);
+        }
+    }
+
+    /// @dev Follows the position token owners. Called by the tokens on every transfer.
+    function onPositionTransfer(address _from, address _to, uint256 _id) external {
+        if (msg.sender == address(issuerToken)) {
+            _moveIssuer(_from, _to, _id);
+        } else {
+            require(msg.sender == address(holderToken), "You have no access");
+            _moveHolder(_from, _to, _id);
+        }
+    }
+
+    function _moveIssuer(address _from, address _to, uint256 _id) internal {
+        issuerBonds[_from].remove(_id);
+        issuerBonds[_to].add(_id);
+        bonds[_id].issuer = _to;
+        // The new issuer hasn't agreed to the proposed terms
+        delete rollovers[_id];
+        emit IssuerRightsTransferred(_from, _to, _id);
+    }
+
+    function _moveHolder(address _from, address _to, uint256 _id) internal {
+        holderBonds[_from].remove(_id);
+        holderBonds[_to].add(_id);
         bonds[_id].holder = _to;
-        emit HolderRightsTransferred(msg.sender, _to, _id);
+        emit HolderRightsTransferred(_from, _to, _id);
+    }
+
+    /// @dev Mints the position tokens of a matched Bond to its parties.
+    /// @param _id A Bond ID.
+    function _mintPositions(uint256 _id) internal {
+        require(issuerToken != address(0), "Tokens aren't set");
+        issuerToken.mint(bonds[_id].issuer, _id);
+        holderToken.mint(bonds[_id].holder, _id);
+    }
+
+    /// @dev Adds a new Bond request to the order book and the address index.
+    /// @param _id A Bond ID.
+    function _addRequest(uint256 _id) internal {
+        if (bonds[_id].issuer != address(0)) {
+            issueRequests.add(_id);
+            issuerBonds[bonds[_id].issuer].add(_id);
+        } else {
+            buyRequests.add(_id);
+            holderBonds[bonds[_id].holder].add(_id);
+        }
+    }
+
+    /// @dev Removes a matched Bond from the order book and the address indexes.
+    /// @param _id A Bond ID.
+    function _removeMatched(uint256 _id) internal {
+        matchedBonds.remove(_id);
+        delete rollovers[_id];
+        issuerBonds[bonds[_id].issuer].remove(_id);
+        holderBonds[bonds[_id].holder].remove(_id);
+        issuerToken.burn(_id);
+        holderToken.burn(_id);
     }
 }
@@ -0,0 +1,51 @@
+pragma solidity 0.4.25;
+
+import "../../helpers/TBoxToken.sol";
+import "../../helpers/IBondService.sol";
+
+
+/// @title BondToken
+/// @dev ERC721 token representing one side of the matched Bonds. The token ID
+///  is the Bond ID. BondService mints and burns the tokens and is notified
+///  of every transfer to keep the Bond parties in sync with the token owners.
+contract BondToken is TBoxToken {
+
+    // The BondService the positions belong to
+    address public service;
+
+    /// @dev Access modifier for BondService-only functionality.
+    modifier onlyService() {
+        require(msg.sender == service, "You have no access");
+        _;
+    }
+
+    /// @param _name The token name.
+    /// @param _symbol The token symbol.
+    /// @param _service The address of the BondService.
+    constructor(string _name, string _symbol, address _service) TBoxToken(_name, _symbol) public {
+        require(_service != address(0), "Zero address, be careful");
+        service = _service;
+    }
+
+    /// @dev Mints the position of a matched Bond.
+    function mint(address _to, uint256 _id) external onlyService {
+        _mint(_to, _id);
+    }
+
+    /// @dev Burns the position of a finished or expired Bond.
+    function burn(uint256 _id) external onlyService {
+        _burn(ownerOf(_id), _id);
+    }
+
+    /// @dev Transfers a position and notifies the BondService.
+    function transferFrom(address _from, address _to, uint256 _id) public {
+        super.transferFrom(_from, _to, _id);
+        IBondService(service).onPositionTransfer(_from, _to, _id);
+    }
+
+    /// @dev BondService is an operator of every owner to move the rights
+    ///  transferred through it.
+    function isApprovedForAll(address _owner, address _operator) public view returns (bool) {
+        return _operator == service || super.isApprovedForAll(_owner, _operator);
+    }
+}
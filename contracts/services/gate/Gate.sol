@@ -1,15 +1,18 @@
 pragma solidity 0.4.25;
 
 import "../../helpers/SafeMath.sol";
+import "../../helpers/FeeMath.sol";
 import "../../helpers/ISettings.sol";
 import "../../helpers/IToken.sol";
 import "../../helpers/IOracle.sol";
 import "../../helpers/ITBoxManager.sol";
+import "../../helpers/Pausable.sol";
 
 
 /// @title Gate
-contract Gate {
+contract Gate is Pausable {
     using SafeMath for uint256;
+    using FeeMath for uint256;
 
     /// @notice The address of the admin account.
     address public admin;
@@ -26,6 +29,21 @@ contract Gate {
     // The address to transfer tokens
     address public timviWallet;
 
+    // The ID of the oldest Order which may be waiting in the queue
+    uint256 public queueHead;
+
+    // The gas the queue processing may spend whenever the contract is funded
+    uint256 public queueGasBudget;
+
+    // The gas kept to settle one more Order
+    uint256 private constant SETTLEMENT_GAS = 100000;
+
+    // The Ether rejected by the owners of the settled Orders, kept for claiming
+    mapping(address => uint256) public claimable;
+
+    // The total Ether kept for claiming
+    uint256 public totalClaimable;
+
     ISettings public settings;
 
     /// @dev An array containing the Order struct for all Orders in existence. The ID
@@ -45,8 +63,17 @@ contract Gate {
     /// @dev The OrderCancelled event is fired whenever an Order is cancelled.
     event OrderCancelled(uint256 id, address owner, uint256 tmv);
 
-    /// @dev The OrderFilled event is fired whenever an Order is filled.
-    event OrderFilled(uint256 id, address owner, uint256 tmvTotal, uint256 tmvExecution, uint256 ethTotal, uint256 ethExecution);
+    /// @dev The OrderFilled event is fired whenever an Order is filled. `tmvRemainder`
+    ///  is the TMV amount left queued after a partial fill.
+    event OrderFilled(
+        uint256 id,
+        address owner,
+        uint256 tmvTotal,
+        uint256 tmvExecution,
+        uint256 ethTotal,
+        uint256 ethExecution,
+        uint256 tmvRemainder
+    );
 
     /// @dev The OrderFilledPool event is fired whenever an Order is filled.
     event OrderFilledPool(uint256 id, address owner, uint256 tmv, uint256 eth);
@@ -57,12 +84,17 @@ contract Gate {
     /// @dev The Funded event is fired whenever the contract is funded.
     event Funded(uint256 eth);
 
+    /// @dev The Claimed event is fired whenever an Order owner claims the Ether
+    ///  they rejected on settlement.
+    event Claimed(address owner, address beneficiary, uint256 eth);
+
     /// @dev The AdminChanged event is fired whenever the admin is changed.
     event AdminChanged(address admin);
 
     event GateTmvFeeUpdated(uint256 value);
     event GateEthFeeUpdated(uint256 value);
     event GateMinOrderUpdated(uint256 value);
+    event GateQueueGasBudgetUpdated(uint256 value);
     event TimviWalletChanged(address wallet);
     event GateFundsWithdrawn(uint256 value);
 
@@ -90,22 +122,33 @@ contract Gate {
         feePercentTMV = 500; // 0.5%
         feePercentETH = 500; // 0.5%
         minOrder = 10 ** 18; // 1 TMV by default
+        queueGasBudget = 500000;
 
         emit GateTmvFeeUpdated(feePercentTMV);
         emit GateEthFeeUpdated(feePercentETH);
         emit GateMinOrderUpdated(minOrder);
+        emit GateQueueGasBudgetUpdated(queueGasBudget);
         emit TimviWalletChanged(timviWallet);
         emit AdminChanged(admin);
     }
 
+    /// @dev Funds the contract and settles the oldest queued Orders.
     function fundAdmin() external payable {
         emit Funded(msg.value);
+        _processQueue(uint256(-1), queueGasBudget);
     }
 
-    /// @dev Withdraws ETH.
+    /// @dev Accepts plain Ether like fundAdmin. Transfers limited to the 2300 gas
+    ///  stipend only fund the contract.
+    function () external payable {
+        emit Funded(msg.value);
+        _processQueue(uint256(-1), queueGasBudget);
+    }
+
+    /// @dev Withdraws ETH except the Ether kept for claiming.
     function withdraw(address _beneficiary, uint256 _amount) external onlyAdmin {
         require(_beneficiary != address(0), "Zero address, be careful");
-        require(address(this).balance >= _amount, "Insufficient funds");
+        require(_available() >= _amount, "Insufficient funds");
         _beneficiary.transfer(_amount);
         emit GateFundsWithdrawn(_amount);
     }
@@ -133,6 +176,14 @@ contract Gate {
         emit GateMinOrderUpdated(_value);
     }
 
+    /// @dev Sets the gas the queue processing may spend on funding.
+    function setQueueGasBudget(uint256 _value) external onlyAdmin {
+        require(_value <= 5000000, "Too much");
+
+        queueGasBudget = _value;
+        emit GateQueueGasBudgetUpdated(_value);
+    }
+
     /// @dev Sets timvi wallet address.
     function setTimviWallet(address _wallet) external onlyAdmin {
         require(_wallet != address(0), "Zero address, be careful");
@@ -148,15 +199,33 @@ contract Gate {
         emit AdminChanged(msg.sender);
     }
 
-    function convert(uint256 _amount) external validTx {
+    /// @dev Converts TMV to Ether or queues an Order when the contract lacks Ether.
+    function convert(uint256 _amount) external validTx whenNotPaused {
+        _convert(_amount, 0);
+    }
+
+    /// @dev Converts like convert, reverting if the Ether payout at the current rate
+    ///  and fee is below `_minEth`. A queued Order would be paid at the rate of its
+    ///  settlement, so with a nonzero `_minEth` it reverts instead of queueing.
+    function convertMin(uint256 _amount, uint256 _minEth) external validTx whenNotPaused {
+        _convert(_amount, _minEth);
+    }
+
+    function _convert(uint256 _amount, uint256 _minEth) internal {
         require(_amount >= minOrder, "Too small amount");
         require(IToken(settings.tmvAddress()).allowance(msg.sender, address(this)) >= _amount, "Gate is not approved to transfer enough tokens");
         uint256 eth = tmv2eth(_amount);
-        if (address(this).balance >= eth) {
+        require(eth >= _minEth, "Payout is below the minimum");
+
+        // Only funding settles the queue, a conversion just waits behind it
+        _skipRemoved();
+        if (queueHead == orders.length && _available() >= eth) {
             IToken(settings.tmvAddress()).transferFrom(msg.sender, timviWallet, _amount);
             msg.sender.transfer(eth);
             emit Converted(msg.sender, _amount, eth);
         } else {
+            // The payout of a queued Order isn't known in advance
+            require(_minEth == 0, "Can't convert immediately");
             IToken(settings.tmvAddress()).transferFrom(msg.sender, address(this), _amount);
             uint256 id = orders.push(Order(msg.sender, _amount)).sub(1);
             emit OrderCreated(id, msg.sender, _amount);
@@ -173,38 +242,52 @@ contract Gate {
         emit OrderCancelled(_id, msg.sender, tmv);
     }
 
-    /// @dev Fills Orders by ids array.
-    function multiFill(uint256[] _ids) external onlyAdmin() payable {
+    /// @dev Funds the contract and settles the `_count` oldest queued Orders.
+    ///  Reverts unless all of them are settled.
+    function multiFill(uint256 _count) external onlyAdmin() payable {
 
         if (msg.value > 0) {
             emit Funded(msg.value);
         }
 
-        for (uint256 i = 0; i < _ids.length; i++) {
-            uint256 id = _ids[i];
-
-            require(orders[id].owner != address(0), "Order doesn't exist");
+        require(_processQueue(_count, gasleft()) == _count, "Not enough funds or orders");
+    }
 
-            uint256 tmv = orders[id].amount;
-            uint256 eth = tmv2eth(tmv);
+    /// @dev Sends the Ether an owner rejected on settlement to the beneficiary.
+    /// @param _beneficiary The address to send the Ether to.
+    function claim(address _beneficiary) external {
+        require(_beneficiary != address(0), "Zero address, be careful");
 
-            require(address(this).balance >= eth, "Not enough funds");
+        uint256 eth = claimable[msg.sender];
+        require(eth > 0, "There is nothing to claim");
 
-            address owner = orders[id].owner;
-            if (owner.send(eth)) {
-                delete orders[id];
-                IToken(settings.tmvAddress()).transfer(timviWallet, tmv);
-                emit OrderFilledPool(id, owner, tmv, eth);
-            }
-        }
+        claimable[msg.sender] = 0;
+        totalClaimable = totalClaimable.sub(eth);
+        _beneficiary.transfer(eth);
+        emit Claimed(msg.sender, _beneficiary, eth);
     }
 
     /// @dev Fills an Order by id.
-    function fill(uint256 _id) external payable validTx {
+    function fill(uint256 _id) external payable validTx whenNotPaused {
         require(orders[_id].owner != address(0), "Order doesn't exist");
+        _fill(_id, orders[_id].amount);
+    }
 
-        // Retrieve values from storage
-        uint256 tmv = orders[_id].amount;
+    /// @dev Fills a part of an Order, the rest of the Order stays queued.
+    /// @param _id An Order ID.
+    /// @param _amount The TMV amount to buy.
+    function fillPart(uint256 _id, uint256 _amount) external payable validTx whenNotPaused {
+        require(orders[_id].owner != address(0), "Order doesn't exist");
+        require(_amount >= minOrder, "Too small amount");
+        require(_amount <= orders[_id].amount, "The part exceeds the order");
+
+        uint256 remainder = orders[_id].amount - _amount;
+        require(remainder == 0 || remainder >= minOrder, "Too small remainder");
+
+        _fill(_id, _amount);
+    }
+
+    function _fill(uint256 _id, uint256 tmv) internal {
         address owner = orders[_id].owner;
 
         // Calculate the demand amount of Ether
@@ -215,24 +298,95 @@ contract Gate {
         emit Funded(eth);
 
         // Calculate execution values
-        uint256 tmvFee = tmv.mul(feePercentTMV).div(precision());
-        uint256 ethFee = eth.mul(feePercentETH).div(precision());
+        uint256 tmvFee = tmv.shareDown(feePercentTMV);
+        uint256 ethFee = eth.shareDown(feePercentETH);
 
         uint256 tmvExecution = tmv.sub(tmvFee);
         uint256 ethExecution = eth.sub(ethFee);
 
-        // Remove record about an order
-        delete orders[_id];
+        // Reduce an order or remove the record about it
+        uint256 remainder = orders[_id].amount.sub(tmv);
+        if (remainder > 0) {
+            orders[_id].amount = remainder;
+        } else {
+            delete orders[_id];
+        }
 
         // Transfer order' funds
-        owner.transfer(ethExecution);
+        _pay(owner, ethExecution);
         IToken(settings.tmvAddress()).transfer(msg.sender, tmvExecution);
         IToken(settings.tmvAddress()).transfer(timviWallet, tmvFee);
 
         // Return Ether rest if exist
         msg.sender.transfer(msg.value.sub(eth));
 
-        emit OrderFilled(_id, owner, tmv, tmvExecution, eth, ethExecution);
+        emit OrderFilled(_id, owner, tmv, tmvExecution, eth, ethExecution, remainder);
+    }
+
+    /// @dev Settles up to `_count` oldest queued Orders with the contract Ether.
+    ///  Can be called by anyone.
+    /// @return The number of settled Orders.
+    function processQueue(uint256 _count) external returns(uint256) {
+        return _processQueue(_count, gasleft());
+    }
+
+    /// @dev Settles the queued Orders in the order they were created until the
+    ///  contract can't pay for the next one, so later Orders never get ahead of
+    ///  earlier ones.
+    function _processQueue(uint256 _count, uint256 _gasBudget) internal returns(uint256 settled) {
+        if (gasleft() < SETTLEMENT_GAS) {
+            return 0;
+        }
+        uint256 gasFloor = gasleft() > _gasBudget ? gasleft() - _gasBudget : 0;
+
+        uint256 id = queueHead;
+        while (settled < _count && id < orders.length && gasleft() > gasFloor.add(SETTLEMENT_GAS)) {
+            address owner = orders[id].owner;
+            if (owner != address(0)) {
+                uint256 eth = tmv2eth(orders[id].amount);
+                if (_available() < eth) {
+                    break;
+                }
+                _settle(id, eth);
+                settled++;
+            }
+            id++;
+        }
+        queueHead = id;
+    }
+
+    /// @dev Moves the queue head past the cancelled and filled Orders.
+    function _skipRemoved() internal {
+        uint256 id = queueHead;
+        while (id < orders.length && orders[id].owner == address(0)) {
+            id++;
+        }
+        queueHead = id;
+    }
+
+    /// @dev Settles a queued Order paying its owner the Ether.
+    function _settle(uint256 _id, uint256 _eth) internal {
+        address owner = orders[_id].owner;
+        uint256 tmv = orders[_id].amount;
+        delete orders[_id];
+
+        IToken(settings.tmvAddress()).transfer(timviWallet, tmv);
+        _pay(owner, _eth);
+        emit OrderFilledPool(_id, owner, tmv, _eth);
+    }
+
+    /// @dev Sends Ether to an Order owner. The Ether the owner rejects is kept
+    ///  for claiming, so the owner can't block the queue.
+    function _pay(address _owner, uint256 _eth) internal {
+        if (!_owner.send(_eth)) {
+            claimable[_owner] = claimable[_owner].add(_eth);
+            totalClaimable = totalClaimable.add(_eth);
+        }
+    }
+
+    /// @dev Returns the contract Ether except the Ether kept for claiming.
+    function _available() internal view returns(uint256) {
+        return address(this).balance.sub(totalClaimable);
     }
 
     /// @dev Returns current oracle ETH/USD price with precision.
@@ -240,7 +394,7 @@ contract Gate {
         return IOracle(settings.oracleAddress()).ethUsdPrice();
     }
 
-    /// @dev Returns precision using for USD and commission calculation.
+    /// @dev Returns precision using for USD calculation.
     function precision() public view returns(uint256) {
         return ITBoxManager(settings.tBoxManager()).precision();
     }
@@ -252,8 +406,12 @@ contract Gate {
     }
 
     /// @dev Reduces the amount by system fee.
-    function chargeFee(uint256 _amount, uint256 _percent) public view returns(uint256) {
-        uint256 fee = _amount.mul(_percent).div(precision());
-        return _amount.sub(fee);
+    function chargeFee(uint256 _amount, uint256 _percent) public pure returns(uint256) {
+        return _amount.deduct(_percent);
+    }
+
+    /// @dev Returns the settings contract holding the pause flags.
+    function _pauseSettings() internal view returns(ISettings) {
+        return settings;
     }
 }
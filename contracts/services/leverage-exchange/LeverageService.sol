@@ -1,13 +1,18 @@
 pragma solidity 0.4.25;
 
 import "../../helpers/SafeMath.sol";
+import "../../helpers/FeeMath.sol";
+import "../../helpers/IdLists.sol";
 import "../../helpers/ISettings.sol";
 import "../../helpers/IToken.sol";
 import "../../helpers/ITBoxManager.sol";
+import "../../helpers/Pausable.sol";
 
 /// @title LeverageService
-contract LeverageService {
+contract LeverageService is Pausable {
     using SafeMath for uint256;
+    using FeeMath for uint256;
+    using IdLists for IdLists.IdList;
 
     /// @notice The address of the admin account.
     address public admin;
@@ -21,9 +26,6 @@ contract LeverageService {
     // Commission percentage of exchange
     uint256 public feeExchange;
 
-    // The percentage divider
-    uint256 public divider = 100000;
-
     // The minimum deposit amount
     uint256 public minEther;
 
@@ -33,6 +35,12 @@ contract LeverageService {
     ///  of each Order is actually an index into this array.
     Order[] public orders;
 
+    // The IDs of the open leverage Orders
+    IdLists.IdList internal leverageOrders;
+
+    // The IDs of the open exchange Orders
+    IdLists.IdList internal exchangeOrders;
+
     /// @dev The main Order struct. Every Order is represented by a copy
     ///  of this structure.
     struct Order {
@@ -41,14 +49,40 @@ contract LeverageService {
         // 0: exchange order
         // > 0: leverage order
         uint256 percent;
+        // The minimum acceptable ETH/USD rate
+        uint256 minRate;
+        // The maximum acceptable ETH/USD rate, 0 for no limit
+        uint256 maxRate;
+        // The time after which the Order can't be matched, 0 for no deadline
+        uint256 deadline;
+    }
+
+    /// @dev The taker amounts of matching an Order, see rankOrders.
+    struct Quote {
+        uint256 id;
+        uint256 eth;
+        uint256 tmv;
+        // The ETH per TMV for leverage Orders or the TMV per ETH for exchange ones, with precision
+        uint256 price;
     }
 
     /// @dev The OrderCreated event is fired whenever a new Order comes into existence.
-    event OrderCreated(uint256 id, address owner, uint256 pack, uint256 percent);
+    event OrderCreated(
+        uint256 id,
+        address owner,
+        uint256 pack,
+        uint256 percent,
+        uint256 minRate,
+        uint256 maxRate,
+        uint256 deadline
+    );
 
     /// @dev The OrderClosed event is fired whenever Order is closed.
     event OrderClosed(uint256 id, address who);
 
+    /// @dev The OrderExpired event is fired whenever an expired Order is refunded.
+    event OrderExpired(uint256 id, address owner, address who);
+
     /// @dev The OrderMatched event is fired whenever an Order is matched.
     event OrderMatched(uint256 id, uint256 tBox, address who, address owner);
 
@@ -148,44 +182,194 @@ contract LeverageService {
         admin = _newAdmin;
     }
 
-    /// @dev Creates an Order.
+    /// @dev Creates an Order matched at any rate and without a deadline.
     function create(uint256 _percent) public payable returns (uint256) {
+        return createLimit(_percent, 0, 0, 0);
+    }
+
+    /// @dev Creates an Order matched only within the rate range and before the deadline.
+    /// @param _percent The collateral percentage, 0 for an exchange order.
+    /// @param _minRate The minimum acceptable ETH/USD rate with precision.
+    /// @param _maxRate The maximum acceptable ETH/USD rate with precision, 0 for no limit.
+    /// @param _deadline The time after which the Order can't be matched, 0 for no deadline.
+    function createLimit(uint256 _percent, uint256 _minRate, uint256 _maxRate, uint256 _deadline)
+    public
+    payable
+    returns (uint256)
+    {
         require(msg.value >= minEther, "Too small funds");
         require(_percent == 0
             || _percent >= ITBoxManager(settings.tBoxManager()).withdrawPercent(msg.value),
             "Collateral percent out of range"
         );
+        require(_maxRate == 0 || _maxRate >= _minRate, "Rate range is invalid");
+        require(_deadline == 0 || _deadline > now, "Deadline has passed");
 
-        Order memory _order = Order(msg.sender, msg.value, _percent);
+        Order memory _order = Order(msg.sender, msg.value, _percent, _minRate, _maxRate, _deadline);
         uint256 _id = orders.push(_order).sub(1);
-        emit OrderCreated(_id, msg.sender, msg.value, _percent);
+        _openOrders(_id).add(_id);
+        emit OrderCreated(_id, msg.sender, msg.value, _percent, _minRate, _maxRate, _deadline);
         return _id;
     }
 
     /// @dev Closes an Order.
     function close(uint256 _id) external onlyOwner(_id) {
         uint256 _eth = orders[_id].pack;
+        _openOrders(_id).remove(_id);
         delete orders[_id];
         msg.sender.transfer(_eth);
         emit OrderClosed(_id, msg.sender);
     }
 
-    /// @dev Uses to match a leverage Order.
-    function takeLeverageOrder(uint256 _id) external payable ensureLeverageOrder(_id) validTx returns(uint256) {
+    /// @dev Refunds an Order which has passed its deadline to the owner.
+    ///  Can be called by anyone.
+    function expire(uint256 _id) external {
         address _owner = orders[_id].owner;
-        uint256 _eth = orders[_id].pack.mul(divider).div(orders[_id].percent);
+        require(_owner != address(0), "Order doesn't exist");
+        require(orders[_id].deadline != 0 && now > orders[_id].deadline, "Order hasn't expired");
 
-        require(msg.value == _eth, "Incorrect ETH value");
+        uint256 _eth = orders[_id].pack;
+        _openOrders(_id).remove(_id);
+        delete orders[_id];
+        _owner.transfer(_eth);
+        emit OrderExpired(_id, _owner, msg.sender);
+    }
+
+    /// @dev Uses to match a leverage Order.
+    function takeLeverageOrder(uint256 _id) external payable ensureLeverageOrder(_id) validTx whenNotPaused returns(uint256) {
+        require(msg.value == _cost(_id), "Incorrect ETH value");
+        return _takeLeverageOrder(_id, _rate(_id));
+    }
+
+    /// @dev Uses to match an exchange Order.
+    function takeExchangeOrder(uint256 _id) external payable ensureExchangeOrder(_id) validTx whenNotPaused returns(uint256) {
+        return _takeExchangeOrder(_id, _rate(_id), msg.value);
+    }
+
+    /// @dev Matches several leverage Orders at once. Orders which are gone or out
+    ///  of their terms are skipped, the ETH left after matching is refunded.
+    /// @param _ids Order IDs.
+    /// @return The number of matched Orders.
+    function takeLeverageOrders(uint256[] _ids) external payable validTx whenNotPaused returns(uint256) {
+        uint256 _currentRate = ITBoxManager(settings.tBoxManager()).rate();
+        uint256 _spent;
+        uint256 _matched;
+
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (!_matchable(_ids[i], true, _currentRate)) {
+                continue;
+            }
+            _spent = _spent.add(_cost(_ids[i]));
+            require(_spent <= msg.value, "Not enough ETH");
+            _takeLeverageOrder(_ids[i], _currentRate);
+            _matched++;
+        }
+        require(_matched > 0, "There are no matchable orders");
+
+        if (msg.value > _spent) {
+            msg.sender.transfer(msg.value.sub(_spent));
+        }
+        return _matched;
+    }
+
+    /// @dev Matches several exchange Orders at once. Orders which are gone or out
+    ///  of their terms are skipped, the ETH left after matching is refunded.
+    /// @param _ids Order IDs.
+    /// @param _percent The collateral percentage of every created TBox.
+    /// @return The number of matched Orders.
+    function takeExchangeOrders(uint256[] _ids, uint256 _percent) external payable validTx whenNotPaused returns(uint256) {
+        uint256 _currentRate = ITBoxManager(settings.tBoxManager()).rate();
+        uint256 _spent;
+        uint256 _matched;
+
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (!_matchable(_ids[i], false, _currentRate)) {
+                continue;
+            }
+            uint256 _collateral = orders[_ids[i]].pack.shareDown(_percent);
+            _spent = _spent.add(_collateral);
+            require(_spent <= msg.value, "Not enough ETH");
+            _takeExchangeOrder(_ids[i], _currentRate, _collateral);
+            _matched++;
+        }
+        require(_matched > 0, "There are no matchable orders");
+
+        if (msg.value > _spent) {
+            msg.sender.transfer(msg.value.sub(_spent));
+        }
+        return _matched;
+    }
+
+    /// @dev Returns the percentage divider.
+    function divider() external pure returns(uint256) {
+        return FeeMath.divider();
+    }
+
+    /// @dev Returns the number of the open leverage Orders.
+    function leverageOrdersCount() external view returns(uint256) {
+        return leverageOrders.length();
+    }
+
+    /// @dev Returns the number of the open exchange Orders.
+    function exchangeOrdersCount() external view returns(uint256) {
+        return exchangeOrders.length();
+    }
 
-        uint256 _sysEth = _eth.mul(feeLeverage).div(divider);
+    /// @dev Returns a page of the open leverage Order IDs.
+    /// @param _offset The position of the first ID.
+    /// @param _limit The maximum number of IDs.
+    function getLeverageOrders(uint256 _offset, uint256 _limit) external view returns(uint256[]) {
+        return leverageOrders.page(_offset, _limit);
+    }
+
+    /// @dev Returns a page of the open exchange Order IDs.
+    /// @param _offset The position of the first ID.
+    /// @param _limit The maximum number of IDs.
+    function getExchangeOrders(uint256 _offset, uint256 _limit) external view returns(uint256[]) {
+        return exchangeOrders.page(_offset, _limit);
+    }
+
+    /// @dev Ranks a page of the open Orders of a type and returns the ones which can
+    ///  be matched now, the cheapest for the taker first. Leverage Orders are ranked
+    ///  by ETH paid per TMV received, exchange Orders by TMV owed per ETH received,
+    ///  the larger Order first on a tie. The pages are merged off-chain.
+    /// @param _leverage Whether to rank leverage or exchange Orders.
+    /// @param _offset The position of the first Order in the list of the open Orders.
+    /// @param _limit The maximum number of Orders to rank.
+    /// @return Order IDs, the ETH paid (leverage) or received (exchange) by the taker
+    ///  and the TMV received (leverage) or owed (exchange) by the taker, fees included.
+    function rankOrders(bool _leverage, uint256 _offset, uint256 _limit) external view returns(uint256[], uint256[], uint256[]) {
+        Quote[] memory _quotes = _rankedQuotes(
+            IdLists.page(_leverage ? leverageOrders : exchangeOrders, _offset, _limit),
+            _leverage
+        );
+        uint256 _size = _quotes.length;
+
+        uint256[] memory _ids = new uint256[](_size);
+        uint256[] memory _eth = new uint256[](_size);
+        uint256[] memory _tmv = new uint256[](_size);
+        for (uint256 i = 0; i < _size; i++) {
+            _ids[i] = _quotes[i].id;
+            _eth[i] = _quotes[i].eth;
+            _tmv[i] = _quotes[i].tmv;
+        }
+        return (_ids, _eth, _tmv);
+    }
+
+    function _takeLeverageOrder(uint256 _id, uint256 _currentRate) internal returns(uint256) {
+        address _owner = orders[_id].owner;
+        uint256 _eth = _cost(_id);
+
+        uint256 _sysEth = _eth.shareDown(feeLeverage);
         systemETH = systemETH.add(_sysEth);
-        uint256 _tmv = _eth.mul(ITBoxManager(settings.tBoxManager()).rate()).div(
+        uint256 _tmv = _eth.mul(_currentRate).div(
             ITBoxManager(settings.tBoxManager()).precision()
         );
         uint256 _box = ITBoxManager(settings.tBoxManager()).create.value(
             orders[_id].pack
         )(_tmv);
-        uint256 _sysTmv = _tmv.mul(feeLeverage).div(divider);
+        uint256 _sysTmv = _tmv.shareDown(feeLeverage);
+        leverageOrders.remove(_id);
         delete orders[_id];
         _owner.transfer(_eth.sub(_sysEth));
         ITBoxManager(settings.tBoxManager()).transferFrom(
@@ -198,15 +382,15 @@ contract LeverageService {
         return _box;
     }
 
-    /// @dev Uses to match an exchange Order.
-    function takeExchangeOrder(uint256 _id) external payable ensureExchangeOrder(_id) validTx returns(uint256) {
+    function _takeExchangeOrder(uint256 _id, uint256 _currentRate, uint256 _collateral) internal returns(uint256) {
         address _owner = orders[_id].owner;
         uint256 _eth = orders[_id].pack;
-        uint256 _sysEth = _eth.mul(feeExchange).div(divider);
+        uint256 _sysEth = _eth.shareDown(feeExchange);
         systemETH = systemETH.add(_sysEth);
-        uint256 _tmv = _eth.mul(ITBoxManager(settings.tBoxManager()).rate()).div(ITBoxManager(settings.tBoxManager()).precision());
-        uint256 _box = ITBoxManager(settings.tBoxManager()).create.value(msg.value)(_tmv);
-        uint256 _sysTmv = _tmv.mul(feeExchange).div(divider);
+        uint256 _tmv = _eth.mul(_currentRate).div(ITBoxManager(settings.tBoxManager()).precision());
+        uint256 _box = ITBoxManager(settings.tBoxManager()).create.value(_collateral)(_tmv);
+        uint256 _sysTmv = _tmv.shareDown(feeExchange);
+        exchangeOrders.remove(_id);
         delete orders[_id];
         msg.sender.transfer(_eth.sub(_sysEth));
         ITBoxManager(settings.tBoxManager()).transferFrom(address(this), msg.sender, _box);
@@ -215,6 +399,100 @@ contract LeverageService {
         return _box;
     }
 
+    /// @dev Returns the settings contract holding the pause flags.
+    function _pauseSettings() internal view returns(ISettings) {
+        return settings;
+    }
+
+    /// @dev Returns the ETH amount a taker pays for a leverage Order.
+    function _cost(uint256 _id) internal view returns(uint256) {
+        return orders[_id].pack.whole(orders[_id].percent);
+    }
+
+    /// @dev Returns the current ETH/USD rate, reverts if the Order has passed
+    ///  its deadline or the rate is out of the Order range.
+    function _rate(uint256 _id) internal view returns(uint256) {
+        Order memory _order = orders[_id];
+        require(_order.deadline == 0 || now <= _order.deadline, "Order expired");
+
+        uint256 _currentRate = ITBoxManager(settings.tBoxManager()).rate();
+        require(
+            _currentRate >= _order.minRate && (_order.maxRate == 0 || _currentRate <= _order.maxRate),
+            "Rate out of range"
+        );
+        return _currentRate;
+    }
+
+    /// @dev Checks whether an Order of a type exists and can be matched at the rate.
+    function _matchable(uint256 _id, bool _leverage, uint256 _currentRate) internal view returns(bool) {
+        Order memory _order = orders[_id];
+        return _order.owner != address(0)
+            && (_order.percent > 0) == _leverage
+            && (_order.deadline == 0 || now <= _order.deadline)
+            && _currentRate >= _order.minRate
+            && (_order.maxRate == 0 || _currentRate <= _order.maxRate);
+    }
+
+    /// @dev Returns the quotes of the matchable Orders of a type sorted for rankOrders.
+    /// @param _ids The IDs of the open Orders to rank.
+    function _rankedQuotes(uint256[] memory _ids, bool _leverage) internal view returns(Quote[] memory _sorted) {
+        uint256 _currentRate = ITBoxManager(settings.tBoxManager()).rate();
+        uint256 _precision = ITBoxManager(settings.tBoxManager()).precision();
+
+        uint256 _count;
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (_matchable(_ids[i], _leverage, _currentRate)) {
+                _count++;
+            }
+        }
+
+        // Insertion sort, the page size is bounded by the caller
+        _sorted = new Quote[](_count);
+        uint256 _n;
+        for (i = 0; i < _ids.length; i++) {
+            if (!_matchable(_ids[i], _leverage, _currentRate)) {
+                continue;
+            }
+            Quote memory _quote = _quoteOf(_ids[i], _currentRate, _precision);
+            uint256 j = _n++;
+            while (j > 0 && _cheaper(_quote, _sorted[j - 1])) {
+                _sorted[j] = _sorted[j - 1];
+                j--;
+            }
+            _sorted[j] = _quote;
+        }
+    }
+
+    /// @dev Returns the taker amounts of matching an Order at the rate.
+    function _quoteOf(uint256 _id, uint256 _currentRate, uint256 _precision) internal view returns(Quote memory) {
+        uint256 _eth;
+        uint256 _tmv;
+        uint256 _price;
+        if (orders[_id].percent > 0) {
+            // The taker pays ETH and receives TMV
+            _eth = _cost(_id);
+            _tmv = _eth.mul(_currentRate).div(_precision);
+            _tmv = _tmv.deduct(feeLeverage);
+            _price = _eth.mul(_precision).div(_tmv);
+        } else {
+            // The taker receives ETH and owes TMV of the created TBox
+            _eth = orders[_id].pack;
+            _tmv = _eth.mul(_currentRate).div(_precision);
+            _eth = _eth.deduct(feeExchange);
+            _price = _tmv.mul(_precision).div(_eth);
+        }
+        return Quote(_id, _eth, _tmv, _price);
+    }
+
+    function _cheaper(Quote memory _a, Quote memory _b) internal pure returns(bool) {
+        return _a.price < _b.price || (_a.price == _b.price && _a.eth > _b.eth);
+    }
+
+    /// @dev Returns the list of the open Orders of the type of an Order.
+    function _openOrders(uint256 _id) internal view returns(IdLists.IdList storage) {
+        return orders[_id].percent > 0 ? leverageOrders : exchangeOrders;
+    }
+
     /// @dev Transfers ownership of an Order.
     function transfer(address _to, uint256 _id) external onlyOwner(_id) {
         require(_to != address(0), "Zero address, be careful");
@@ -0,0 +1,104 @@
+const { abi } = require('../sdk/artifacts');
+const Store = require('./Store');
+
+// The contracts the indexer consumes events of
+const CONTRACTS = ['TBoxManager', 'BondService', 'LeverageService', 'Gate'];
+
+/**
+ * Event indexer. Replays the events of TBoxManager, BondService,
+ * LeverageService and Gate in the order they were mined into a Store.
+ */
+class Indexer {
+
+    /**
+     * @param {Web3} web3 A web3 1.x instance.
+     * @param {Object<string, string>} addresses Contract names mapped to addresses,
+     *  the contracts left out are not indexed.
+     * @param {Object} [options]
+     * @param {number} [options.fromBlock] The block to start indexing from.
+     * @param {Object} [options.artifacts] Contract names mapped to truffle artifacts
+     *  to take the ABIs from instead of the build directory.
+     * @param {Store} [options.store] The store to fill, a new one by default.
+     * @param {Object} [options.logger] An object with `log` and `error` methods.
+     */
+    constructor(web3, addresses, options = {}) {
+        this.web3 = web3;
+        this.fromBlock = options.fromBlock || 0;
+        this.store = options.store || new Store();
+        this.logger = options.logger || console;
+        this.timer = null;
+
+        this.contracts = CONTRACTS
+            .filter(name => addresses[name])
+            .map(name => ({
+                name: name,
+                instance: new web3.eth.Contract(abi(name, options.artifacts), addresses[name]),
+            }));
+    }
+
+    /**
+     * Indexes the events mined since the last sync.
+     * @returns {Promise<number>} The number of events applied.
+     */
+    async sync() {
+        const latest = await this.web3.eth.getBlockNumber();
+        if (latest < this.fromBlock) {
+            return 0;
+        }
+        const range = { fromBlock: this.fromBlock, toBlock: latest };
+
+        const events = [];
+        for (let i = 0; i < this.contracts.length; i++) {
+            const contract = this.contracts[i];
+            const found = await contract.instance.getPastEvents('allEvents', range);
+            found.forEach(event => events.push({ contract: contract.name, event: event }));
+        }
+        events.sort((a, b) => {
+            return a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex;
+        });
+
+        const timestamps = new Map();
+        let applied = 0;
+        for (let i = 0; i < events.length; i++) {
+            const event = events[i].event;
+            if (!timestamps.has(event.blockNumber)) {
+                const block = await this.web3.eth.getBlock(event.blockNumber);
+                timestamps.set(event.blockNumber, Number(block.timestamp));
+            }
+            if (this.store.apply(events[i].contract, event, timestamps.get(event.blockNumber))) {
+                applied++;
+            }
+        }
+
+        this.store.lastBlock = latest;
+        this.fromBlock = latest + 1;
+        return applied;
+    }
+
+    /**
+     * Runs `sync` every `interval` milliseconds until `stop` is called.
+     * @param {number} interval
+     */
+    start(interval) {
+        const run = async () => {
+            try {
+                await this.sync();
+            } catch (e) {
+                this.logger.error('indexer: ' + e.message);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(run, interval);
+            }
+        };
+        this.timer = setTimeout(run, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+Indexer.CONTRACTS = CONTRACTS;
+
+module.exports = Indexer;
@@ -0,0 +1,366 @@
+const BN = require('bn.js');
+const BoxIndex = require('../keeper/BoxIndex');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const toBN = value => new BN(value.toString());
+const isAddress = value => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+const key = address => address.toLowerCase();
+
+/**
+ * Local store of the TBoxManager, BondService, LeverageService and Gate state
+ * rebuilt from their events. Bonds and orders are kept after they are closed
+ * with their final status, every event is kept in the history of the entity
+ * and of each account it mentions.
+ */
+class Store {
+
+    constructor() {
+        this.boxes = new BoxIndex();
+        this.bonds = new Map();
+        this.leverageOrders = new Map();
+        this.gateOrders = new Map();
+
+        // Entity keys like "Box:1" mapped to their events
+        this.entityHistory = new Map();
+        // Lowercase addresses mapped to the events mentioning them
+        this.accountHistory = new Map();
+
+        this.lastBlock = 0;
+    }
+
+    /**
+     * Applies a decoded event of one of the indexed contracts.
+     * @param {string} contract The contract name: TBoxManager, BondService, LeverageService or Gate.
+     * @param {Object} event A web3 event with `event`, `returnValues` and position fields.
+     * @param {number} [timestamp] The timestamp of the block the event was mined in.
+     * @returns {boolean} Whether the event is known.
+     */
+    apply(contract, event, timestamp) {
+        const handlers = {
+            TBoxManager: () => this._applyBox(event),
+            BondService: () => this._applyBond(event, timestamp),
+            LeverageService: () => this._applyLeverage(event),
+            Gate: () => this._applyGate(event),
+        };
+        if (!handlers[contract]) {
+            throw new Error('Unknown contract ' + contract);
+        }
+        const entity = handlers[contract]();
+        if (!entity) {
+            return false;
+        }
+        this._record(contract, entity, event, timestamp);
+        return true;
+    }
+
+    /**
+     * @param {string} owner
+     * @returns {Array} The existing Boxes of an account.
+     */
+    boxesOf(owner) {
+        return this.boxes.all().filter(box => key(box.owner) === key(owner));
+    }
+
+    /**
+     * @returns {Array} The Bond requests waiting to be matched.
+     */
+    openBonds() {
+        return this._byStatus(this.bonds, 'open');
+    }
+
+    /**
+     * @returns {Array} The LeverageService orders waiting to be matched.
+     */
+    openLeverageOrders() {
+        return this._byStatus(this.leverageOrders, 'open');
+    }
+
+    /**
+     * @returns {Array} The Gate orders waiting to be filled, the oldest first.
+     */
+    gateQueue() {
+        return this._byStatus(this.gateOrders, 'open');
+    }
+
+    /**
+     * @param {string} account
+     * @returns {Array} The events mentioning an account in the order they were mined.
+     */
+    historyOf(account) {
+        return this.accountHistory.get(key(account)) || [];
+    }
+
+    /**
+     * @param {string} type Box, Bond, LeverageOrder or GateOrder.
+     * @param {string|number} id
+     * @returns {Array} The events of an entity in the order they were mined.
+     */
+    entityEvents(type, id) {
+        return this.entityHistory.get(type + ':' + id) || [];
+    }
+
+    _applyBox(event) {
+        // The shutdown payouts concern an account, not a Box
+        if (event.event === 'Redeemed' || event.event === 'SurplusWithdrawn') {
+            return { type: 'ShutdownPayout', id: null };
+        }
+        if (!this.boxes.apply(event)) {
+            return null;
+        }
+        const values = event.returnValues;
+        const id = event.event === 'Transfer' ? values.tokenId : values.id;
+        return { type: 'Box', id: id.toString() };
+    }
+
+    _applyBond(event, timestamp) {
+        const values = event.returnValues;
+        const id = values.id !== undefined ? values.id.toString() : undefined;
+        const bond = id !== undefined ? this.bonds.get(id) : undefined;
+
+        // Requests created before the first indexed block are unknown, their events are skipped
+        if (id !== undefined && event.event !== 'BondCreated' && !bond) {
+            return null;
+        }
+
+        switch (event.event) {
+        case 'BondCreated': {
+            // Issue requests have the collateral percentage, buy requests don't
+            const percent = toBN(values.percent);
+            const isIssue = !percent.isZero();
+            this.bonds.set(id, {
+                id: id,
+                type: isIssue ? 'issue' : 'buy',
+                issuer: isIssue ? values.who : null,
+                holder: isIssue ? null : values.who,
+                deposit: toBN(values.deposit),
+                percent: percent,
+                expiration: toBN(values.expiration),
+                yearFee: toBN(values.yearFee),
+                status: 'open',
+            });
+            break;
+        }
+        case 'BondChanged':
+            // Zero deposit and percent mean the values are left unchanged
+            if (!toBN(values.deposit).isZero()) {
+                bond.deposit = toBN(values.deposit);
+            }
+            if (!toBN(values.percent).isZero()) {
+                bond.percent = toBN(values.percent);
+            }
+            bond.expiration = toBN(values.expiration);
+            bond.yearFee = toBN(values.yearFee);
+            break;
+        case 'BondPartiallyFilled': {
+            // The part is a copy of the request with its own deposit
+            const part = values.part.toString();
+            this.bonds.set(part, Object.assign({}, bond, { id: part, deposit: toBN(values.deposit) }));
+            bond.deposit = toBN(values.remainder);
+            break;
+        }
+        case 'BondMatched':
+            if (bond.issuer === null) {
+                bond.issuer = values.who;
+            } else {
+                bond.holder = values.who;
+            }
+            bond.tBoxId = values.tBox.toString();
+            bond.tmv = toBN(values.tmv);
+            bond.sysFee = toBN(values.sysFee);
+            if (timestamp !== undefined) {
+                bond.createdAt = timestamp;
+                bond.feePaidAt = timestamp;
+                bond.expiresAt = timestamp + bond.expiration.toNumber();
+            }
+            bond.status = 'matched';
+            break;
+        case 'RolloverProposed':
+            bond.rollover = { expiration: toBN(values.expiration), yearFee: toBN(values.yearFee) };
+            break;
+        case 'BondRolledOver':
+            bond.yearFee = toBN(values.yearFee);
+            bond.expiresAt = Number(values.expiration);
+            if (timestamp !== undefined) {
+                bond.feePaidAt = timestamp;
+                bond.expiration = new BN(bond.expiresAt - timestamp);
+            }
+            delete bond.rollover;
+            break;
+        case 'BondCollateralAdded':
+            // The collateral is kept by the TBox, the event is only recorded
+            break;
+        case 'BondRepaid':
+            // The accrued fee is paid, the rest accrues on the new amount
+            bond.tmv = toBN(values.tmv);
+            if (timestamp !== undefined) {
+                bond.feePaidAt = timestamp;
+            }
+            break;
+        case 'BondClosed':
+            bond.status = 'closed';
+            break;
+        case 'BondFinished':
+            bond.status = 'finished';
+            break;
+        case 'BondExpired':
+            bond.status = 'expired';
+            break;
+        case 'IssuerRightsTransferred':
+            // The proposed rollover is dropped with the issuer rights
+            bond.issuer = values.to;
+            delete bond.rollover;
+            break;
+        case 'HolderRightsTransferred':
+            bond.holder = values.to;
+            break;
+        default:
+            return null;
+        }
+        return { type: 'Bond', id: id };
+    }
+
+    _applyLeverage(event) {
+        const values = event.returnValues;
+        const id = values.id.toString();
+        const order = this.leverageOrders.get(id);
+
+        if (event.event !== 'OrderCreated' && !order) {
+            return null;
+        }
+
+        switch (event.event) {
+        case 'OrderCreated': {
+            // Zero percent is an exchange order
+            const percent = toBN(values.percent);
+            this.leverageOrders.set(id, {
+                id: id,
+                type: percent.isZero() ? 'exchange' : 'leverage',
+                owner: values.owner,
+                pack: toBN(values.pack),
+                percent: percent,
+                minRate: toBN(values.minRate),
+                maxRate: toBN(values.maxRate),
+                deadline: Number(values.deadline),
+                status: 'open',
+            });
+            break;
+        }
+        case 'OrderClosed':
+            order.status = 'closed';
+            break;
+        case 'OrderExpired':
+            order.status = 'expired';
+            break;
+        case 'OrderMatched':
+            order.status = 'matched';
+            order.taker = values.who;
+            order.tBoxId = values.tBox.toString();
+            break;
+        case 'Transferred':
+            order.owner = values.to;
+            break;
+        default:
+            return null;
+        }
+        return { type: 'LeverageOrder', id: id };
+    }
+
+    _applyGate(event) {
+        const values = event.returnValues;
+        const id = values.id !== undefined ? values.id.toString() : undefined;
+        const order = id !== undefined ? this.gateOrders.get(id) : undefined;
+
+        if (id !== undefined && event.event !== 'OrderCreated' && !order) {
+            return null;
+        }
+
+        switch (event.event) {
+        case 'OrderCreated':
+            this.gateOrders.set(id, {
+                id: id,
+                owner: values.owner,
+                amount: toBN(values.tmv),
+                status: 'open',
+            });
+            break;
+        case 'OrderCancelled':
+            order.status = 'cancelled';
+            break;
+        case 'OrderFilled': {
+            // A partially filled order stays queued with the rest
+            const remainder = toBN(values.tmvRemainder);
+            if (remainder.isZero()) {
+                order.status = 'filled';
+            } else {
+                order.amount = remainder;
+            }
+            break;
+        }
+        case 'OrderFilledPool':
+            order.status = 'filled';
+            break;
+        case 'Converted':
+            // Immediate conversions leave no order behind
+            return { type: 'GateConversion', id: null };
+        case 'Claimed':
+            // The Ether an owner rejected on settlement is claimed apart from the order
+            return { type: 'GateClaim', id: null };
+        default:
+            return null;
+        }
+        return { type: 'GateOrder', id: id };
+    }
+
+    _byStatus(map, status) {
+        return Array.from(map.values())
+            .filter(item => item.status === status)
+            .sort((a, b) => Number(a.id) - Number(b.id));
+    }
+
+    // Adds the event to the history of the entity and of every account it mentions
+    _record(contract, entity, event, timestamp) {
+        const values = {};
+        const accounts = new Set();
+        Object.keys(event.returnValues)
+            .filter(name => isNaN(Number(name)))
+            .forEach(name => {
+                const value = event.returnValues[name];
+                values[name] = value;
+                if (isAddress(value) && value !== ZERO_ADDRESS) {
+                    accounts.add(key(value));
+                }
+            });
+
+        const entry = {
+            contract: contract,
+            event: event.event,
+            type: entity.type,
+            id: entity.id,
+            values: values,
+            blockNumber: event.blockNumber,
+            logIndex: event.logIndex,
+            transactionHash: event.transactionHash,
+            timestamp: timestamp,
+        };
+
+        if (entity.id !== null) {
+            const entityKey = entity.type + ':' + entity.id;
+            if (!this.entityHistory.has(entityKey)) {
+                this.entityHistory.set(entityKey, []);
+            }
+            this.entityHistory.get(entityKey).push(entry);
+        }
+        accounts.forEach(account => {
+            if (!this.accountHistory.has(account)) {
+                this.accountHistory.set(account, []);
+            }
+            this.accountHistory.get(account).push(entry);
+        });
+        if (event.blockNumber > this.lastBlock) {
+            this.lastBlock = event.blockNumber;
+        }
+    }
+}
+
+module.exports = Store;
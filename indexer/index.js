@@ -0,0 +1,9 @@
+const Indexer = require('./Indexer');
+const Store = require('./Store');
+const server = require('./server');
+
+module.exports = {
+    Indexer,
+    Store,
+    createServer: server.createServer,
+};
@@ -0,0 +1,51 @@
+// Runs the event indexer and its HTTP/JSON API against a deployed system:
+//
+//   truffle exec indexer/run.js --network <network>
+//
+// Configuration is read from the environment:
+//   INDEXER_PORT        the API port (8080)
+//   INDEXER_INTERVAL    polling interval in ms (15000)
+//   INDEXER_FROM_BLOCK  the block to start indexing from (0)
+const { Indexer, createServer } = require('./index');
+
+const artifactsByName = {
+    TBoxManager: artifacts.require('TBoxManager'),
+    BondService: artifacts.require('BondService'),
+    LeverageService: artifacts.require('LeverageService'),
+    Gate: artifacts.require('Gate'),
+};
+
+module.exports = async function (callback) {
+    try {
+        const env = process.env;
+        const addresses = {};
+        const names = Object.keys(artifactsByName);
+        for (let i = 0; i < names.length; i++) {
+            const artifact = artifactsByName[names[i]];
+            if (artifact.isDeployed()) {
+                addresses[names[i]] = (await artifact.deployed()).address;
+            }
+        }
+
+        const indexer = new Indexer(web3, addresses, {
+            fromBlock: Number(env.INDEXER_FROM_BLOCK || 0),
+            artifacts: artifactsByName,
+        });
+        const server = createServer(indexer.store);
+        const port = Number(env.INDEXER_PORT || 8080);
+
+        console.log('indexer: indexing ' + JSON.stringify(addresses));
+        indexer.start(Number(env.INDEXER_INTERVAL || 15000));
+        server.listen(port, () => console.log('indexer: serving on port ' + port));
+
+        const shutdown = () => {
+            indexer.stop();
+            server.close();
+            callback();
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    } catch (e) {
+        callback(e);
+    }
+};
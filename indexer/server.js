@@ -0,0 +1,103 @@
+const http = require('http');
+const url = require('url');
+const BN = require('bn.js');
+
+const ADDRESS = '(0x[0-9a-fA-F]{40})';
+const ID = '(\\d+)';
+
+/**
+ * The API routes. Each one maps a path pattern to a handler returning the response body,
+ * or undefined when there is nothing to return.
+ */
+const ROUTES = [
+    ['^/status$', store => ({ lastBlock: store.lastBlock })],
+    ['^/boxes$', (store, params, query) => {
+        if (!query.owner) {
+            throw new HttpError(400, 'The owner query parameter is required');
+        }
+        return store.boxesOf(query.owner);
+    }],
+    ['^/boxes/' + ID + '$', (store, params) => entity(store.boxes.get(params[0]), store.entityEvents('Box', params[0]))],
+    ['^/bonds/open$', store => store.openBonds()],
+    ['^/bonds/' + ID + '$', (store, params) => entity(store.bonds.get(params[0]), store.entityEvents('Bond', params[0]))],
+    ['^/leverage/open$', store => store.openLeverageOrders()],
+    ['^/leverage/' + ID + '$', (store, params) => {
+        return entity(store.leverageOrders.get(params[0]), store.entityEvents('LeverageOrder', params[0]));
+    }],
+    ['^/gate/queue$', store => store.gateQueue()],
+    ['^/gate/' + ID + '$', (store, params) => entity(store.gateOrders.get(params[0]), store.entityEvents('GateOrder', params[0]))],
+    ['^/accounts/' + ADDRESS + '/history$', (store, params) => store.historyOf(params[0])],
+].map(route => ({ pattern: new RegExp(route[0]), handler: route[1] }));
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Returns an entity with its events, undefined for unknown ones. Closed
+// Boxes are gone from the index but their events are still known.
+function entity(current, history) {
+    if (!current && history.length === 0) {
+        return undefined;
+    }
+    return { current: current || null, history: history };
+}
+
+// Serializes BN values as decimal strings
+function toJson(body) {
+    return JSON.stringify(body, function (name, value) {
+        const raw = this[name];
+        return BN.isBN(raw) ? raw.toString(10) : value;
+    });
+}
+
+/**
+ * Resolves a request against the store.
+ * @param {Store} store
+ * @param {string} method The HTTP method.
+ * @param {string} requestUrl The request URL.
+ * @returns {{status: number, body: Object}}
+ */
+function handle(store, method, requestUrl) {
+    if (method !== 'GET') {
+        return { status: 405, body: { error: 'Only GET requests are supported' } };
+    }
+    const parsed = url.parse(requestUrl, true);
+    for (let i = 0; i < ROUTES.length; i++) {
+        const match = ROUTES[i].pattern.exec(parsed.pathname);
+        if (!match) {
+            continue;
+        }
+        try {
+            const body = ROUTES[i].handler(store, match.slice(1), parsed.query);
+            if (body === undefined) {
+                return { status: 404, body: { error: 'Not found' } };
+            }
+            return { status: 200, body: body };
+        } catch (e) {
+            return { status: e.status || 500, body: { error: e.message } };
+        }
+    }
+    return { status: 404, body: { error: 'Not found' } };
+}
+
+/**
+ * Creates an HTTP server serving the store as JSON.
+ * @param {Store} store
+ * @returns {http.Server} The server, not listening yet.
+ */
+function createServer(store) {
+    return http.createServer((request, response) => {
+        const result = handle(store, request.method, request.url);
+        response.writeHead(result.status, { 'Content-Type': 'application/json' });
+        response.end(toJson(result.body));
+    });
+}
+
+module.exports = {
+    createServer,
+    handle,
+    toJson,
+};
@@ -0,0 +1,247 @@
+const math = require('../sdk/math');
+const { abi } = require('../sdk/artifacts');
+const { gasLimit } = require('../sdk/gas');
+const { txGasPrice } = require('./gas');
+const { ConsoleSink } = require('./sinks');
+
+const { toBN } = math;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Bond expiry keeper. Tracks the matched Bonds from BondService events,
+ * expires the lapsed ones and notifies the sink when a Bond is about to
+ * expire or its TBox nears the capitalization band.
+ *
+ * Notifications are objects with `type` ("expiring", "margin-call" or "expired"),
+ * `bondId`, `tBoxId`, `issuer`, `holder`, `expiration` and, for margin calls, `percent`.
+ * Each one is sent once per Bond until the condition clears.
+ */
+class BondKeeper {
+
+    /**
+     * @param {TBoxClient} client The SDK client of the TBoxManager.
+     * @param {string} address The BondService address.
+     * @param {Object} [options]
+     * @param {string} [options.from] The keeper account, the client sender by default.
+     * @param {number} [options.fromBlock] The block to start indexing from.
+     * @param {BN} [options.gasPrice] The maximum gas price, settings.gasPriceLimit() by default.
+     * @param {number} [options.expiryWindow] Seconds before the expiration to notify at (1 day).
+     * @param {BN} [options.marginBand] The collateral percentage above maxStability
+     *  to send margin calls below, with precision (5000 is 5%).
+     * @param {Object} [options.sink] An object with an async `notify` method, a ConsoleSink by default.
+     * @param {Object} [options.artifacts] Contract names mapped to truffle artifacts
+     *  to take the ABIs from instead of the build directory.
+     * @param {Object} [options.logger] An object with `log` and `error` methods.
+     */
+    constructor(client, address, options = {}) {
+        this.client = client;
+        this.web3 = client.web3;
+        this.address = address;
+        this.from = options.from || client.from;
+        this.fromBlock = options.fromBlock || 0;
+        this.gasPrice = options.gasPrice ? toBN(options.gasPrice) : null;
+        this.expiryWindow = options.expiryWindow !== undefined ? options.expiryWindow : 24 * 60 * 60;
+        this.marginBand = toBN(options.marginBand || 5000);
+        this.sink = options.sink || new ConsoleSink();
+        this.logger = options.logger || console;
+        this.service = new this.web3.eth.Contract(abi('BondService', options.artifacts), address);
+
+        // Matched Bond IDs mapped to their parties, TBox and expiration time
+        this.bonds = new Map();
+        // "type:id" keys of the notifications sent
+        this.notified = new Set();
+        this.timer = null;
+    }
+
+    /**
+     * Tracks the Bonds matched, rolled over and closed since the last sync.
+     * @returns {Promise<number>} The number of Bond events applied.
+     */
+    async sync() {
+        const latest = await this.web3.eth.getBlockNumber();
+        if (latest < this.fromBlock) {
+            return 0;
+        }
+        const events = await this.service.getPastEvents('allEvents', { fromBlock: this.fromBlock, toBlock: latest });
+
+        let applied = 0;
+        for (let i = 0; i < events.length; i++) {
+            if (await this._apply(events[i])) {
+                applied++;
+            }
+        }
+        this.fromBlock = latest + 1;
+        return applied;
+    }
+
+    /**
+     * @returns {Array} The tracked Bonds, the earliest expiring first.
+     */
+    all() {
+        return Array.from(this.bonds.values()).sort((a, b) => a.expiration - b.expiration);
+    }
+
+    /**
+     * Expires the lapsed Bonds and sends the due notifications.
+     * @returns {Promise<Array>} The notifications sent.
+     */
+    async check() {
+        const state = await this.client.state();
+        const now = Number((await this.web3.eth.getBlock('latest')).timestamp);
+        const band = state.maxStability.add(this.marginBand);
+        const sent = [];
+
+        const bonds = this.all();
+        for (let i = 0; i < bonds.length; i++) {
+            const bond = bonds[i];
+
+            if (now > bond.expiration) {
+                if (await this.expire(bond)) {
+                    sent.push(await this._notify('expired', bond));
+                }
+                continue;
+            }
+
+            if (bond.expiration - now <= this.expiryWindow) {
+                sent.push(await this._notify('expiring', bond));
+            }
+
+            let percent;
+            try {
+                percent = await this.client.collateralPercent(bond.tBoxId);
+            } catch (e) {
+                // The TBox is gone or has no debt
+                continue;
+            }
+            if (percent.lt(band)) {
+                sent.push(await this._notify('margin-call', bond, { percent: percent.toString() }));
+            } else {
+                this.notified.delete('margin-call:' + bond.id);
+            }
+        }
+        return sent.filter(notification => notification);
+    }
+
+    /**
+     * Calls BondService.expire.
+     * @param {Object} bond A tracked Bond.
+     * @returns {Promise<boolean>} Whether the Bond was expired.
+     */
+    async expire(bond) {
+        try {
+            const method = this.service.methods.expire(bond.id);
+            const params = { from: this.from, gasPrice: (await txGasPrice(this.client, this.gasPrice)).toString() };
+            params.gas = gasLimit(await method.estimateGas(params));
+            // Sent raw since web3 would decode the TBox and position Transfer logs with the BondService ABI
+            await this.web3.eth.sendTransaction(Object.assign(params, { to: this.address, data: method.encodeABI() }));
+        } catch (e) {
+            this.logger.error('bond keeper: failed to expire Bond ' + bond.id + ': ' + e.message);
+            return false;
+        }
+        this.bonds.delete(bond.id);
+        this.logger.log('bond keeper: expired Bond ' + bond.id);
+        return true;
+    }
+
+    /**
+     * Syncs and checks the tracked Bonds.
+     * @returns {Promise<Array>} The notifications sent.
+     */
+    async tick() {
+        await this.sync();
+        return this.check();
+    }
+
+    /**
+     * Runs `tick` every `interval` milliseconds until `stop` is called.
+     * @param {number} interval
+     */
+    start(interval) {
+        const run = async () => {
+            try {
+                await this.tick();
+            } catch (e) {
+                this.logger.error('bond keeper: ' + e.message);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(run, interval);
+            }
+        };
+        this.timer = setTimeout(run, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    async _apply(event) {
+        const values = event.returnValues;
+        const id = values.id !== undefined ? values.id.toString() : undefined;
+        const bond = this.bonds.get(id);
+
+        switch (event.event) {
+        case 'BondMatched':
+        case 'BondRolledOver': {
+            // The expiration time is set at the matching, read the Bond as it is now
+            const stored = await this.service.methods.bonds(id).call();
+            if (stored.issuer === ZERO_ADDRESS) {
+                this.bonds.delete(id);
+                return true;
+            }
+            this.bonds.set(id, {
+                id: id,
+                issuer: stored.issuer,
+                holder: stored.holder,
+                tBoxId: stored.tBoxId.toString(),
+                expiration: Number(stored.expiration),
+            });
+            this.notified.delete('expiring:' + id);
+            return true;
+        }
+        case 'IssuerRightsTransferred':
+            if (bond) {
+                bond.issuer = values.to;
+            }
+            return true;
+        case 'HolderRightsTransferred':
+            if (bond) {
+                bond.holder = values.to;
+            }
+            return true;
+        case 'BondFinished':
+        case 'BondExpired':
+            this.bonds.delete(id);
+            return true;
+        default:
+            return false;
+        }
+    }
+
+    // Sends a notification unless it was sent for the Bond already
+    async _notify(type, bond, extra) {
+        const key = type + ':' + bond.id;
+        if (this.notified.has(key)) {
+            return null;
+        }
+        const notification = Object.assign({
+            type: type,
+            bondId: bond.id,
+            tBoxId: bond.tBoxId,
+            issuer: bond.issuer,
+            holder: bond.holder,
+            expiration: bond.expiration,
+        }, extra);
+        try {
+            await this.sink.notify(notification);
+        } catch (e) {
+            this.logger.error('bond keeper: failed to notify ' + key + ': ' + e.message);
+            return null;
+        }
+        this.notified.add(key);
+        return notification;
+    }
+}
+
+module.exports = BondKeeper;
@@ -0,0 +1,113 @@
+const { toBN } = require('../sdk/math');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Keeps the collateral, tmvReleased and owner of every Box
+ * by replaying TBoxManager events. The events don't carry the stability
+ * fee index the Box debt is charged up to, so `feeIndex` is null after
+ * the Box is created or charged until it is read from the contract.
+ */
+class BoxIndex {
+
+    constructor() {
+        this.boxes = new Map();
+    }
+
+    /**
+     * Applies a decoded TBoxManager event.
+     * @param {Object} event A web3 event with `event` and `returnValues`.
+     */
+    apply(event) {
+        const values = event.returnValues;
+        const id = values.id !== undefined ? values.id.toString() : undefined;
+        const box = id !== undefined ? this.boxes.get(id) : undefined;
+
+        // Boxes created before the first replayed block are unknown, their events are skipped
+        if (id !== undefined && event.event !== 'Created' && !box) {
+            return false;
+        }
+
+        switch (event.event) {
+        case 'Created':
+            this.boxes.set(id, {
+                id: id,
+                owner: values.owner,
+                collateral: toBN(values.collateral),
+                tmvReleased: toBN(values.tmvReleased),
+                feeIndex: null,
+            });
+            break;
+        case 'Capitalized':
+            box.collateral = box.collateral.sub(toBN(values.totalEth));
+            box.tmvReleased = box.tmvReleased.sub(toBN(values.tmvAmount));
+            break;
+        case 'FeeCharged':
+            box.tmvReleased = box.tmvReleased.add(toBN(values.value));
+            box.feeIndex = null;
+            break;
+        case 'EthAdded':
+            box.collateral = box.collateral.add(toBN(values.value));
+            break;
+        case 'EthWithdrawn':
+            box.collateral = box.collateral.sub(toBN(values.value));
+            break;
+        case 'TmvAdded':
+            box.tmvReleased = box.tmvReleased.sub(toBN(values.value));
+            break;
+        case 'TmvWithdrawn':
+            box.tmvReleased = box.tmvReleased.add(toBN(values.value));
+            break;
+        case 'Closed':
+        case 'Liquidated':
+        case 'Settled':
+            this.boxes.delete(id);
+            break;
+        case 'Transfer': {
+            // ERC721 transfers keep the owner up to date, mints and burns
+            // are covered by the Created and removal events
+            const tokenId = values.tokenId.toString();
+            if (values.to !== ZERO_ADDRESS && this.boxes.has(tokenId)) {
+                this.boxes.get(tokenId).owner = values.to;
+            }
+            break;
+        }
+        default:
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Applies events in the order they were mined.
+     * @param {Array} events Decoded web3 events.
+     * @returns {number} The number of events changing the index.
+     */
+    applyAll(events) {
+        const sorted = events.slice().sort((a, b) => {
+            return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+        });
+        return sorted.filter(event => this.apply(event)).length;
+    }
+
+    /**
+     * @param {string|number} id A Box ID.
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.boxes.get(id.toString());
+    }
+
+    /**
+     * @returns {Array} Every existing Box.
+     */
+    all() {
+        return Array.from(this.boxes.values());
+    }
+
+    get size() {
+        return this.boxes.size;
+    }
+}
+
+module.exports = BoxIndex;
@@ -0,0 +1,106 @@
+const math = require('../sdk/math');
+const { txGasPrice } = require('./gas');
+
+const { toBN } = math;
+
+/**
+ * Dust sweeper. Scans every Box and closes through TBoxManager.closeDust
+ * the ones worth less than 3 USD when the userFee bonus exceeds the gas cost.
+ */
+class DustSweeper {
+
+    /**
+     * @param {TBoxClient} client The SDK client of the TBoxManager.
+     * @param {Object} [options]
+     * @param {string} [options.from] The sweeper account, the client sender by default.
+     * @param {BN} [options.gasPrice] The maximum gas price, settings.gasPriceLimit() by default.
+     * @param {boolean} [options.report] Lists candidates without sending transactions.
+     * @param {Object} [options.logger] An object with `log` and `error` methods.
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.from = options.from || client.from;
+        this.gasPrice = options.gasPrice ? toBN(options.gasPrice) : null;
+        this.report = Boolean(options.report);
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Returns the Boxes closeDust accepts along with the bonus and gas cost of closing them.
+     * @returns {Promise<Array<{id: string, collateral: BN, tmvReleased: BN, bonus: BN, gasCost: BN, profitable: boolean}>>}
+     */
+    async candidates() {
+        const state = await this.client.state();
+        const gasPrice = await txGasPrice(this.client, this.gasPrice);
+        const ids = await this.client.boxIds();
+        const result = [];
+
+        for (let i = 0; i < ids.length; i++) {
+            let box = await this.client.box(ids[i]);
+            box = math.chargeFee(box, math.accruedFee(state, box));
+            if (!math.isDust(state, box) || math.collateralPercent(state, box).lt(state.minStability)) {
+                continue;
+            }
+
+            // The caller gets the Ether equivalent of the burned tokens plus the user bonus
+            const bonus = math.ethShareDown(box.tmvReleased, state.userFee, state.rate);
+
+            let gasCost = null;
+            try {
+                const gas = await this.client.logic.methods.closeDust(ids[i]).estimateGas({
+                    from: this.from,
+                    gasPrice: gasPrice.toString(),
+                });
+                gasCost = gasPrice.muln(gas);
+            } catch (e) {
+                // Reverts when the sweeper lacks the tokens to burn
+            }
+
+            result.push({
+                id: ids[i],
+                collateral: box.collateral,
+                tmvReleased: box.tmvReleased,
+                bonus: bonus,
+                gasCost: gasCost,
+                profitable: gasCost !== null && bonus.gt(gasCost),
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Closes the profitable dust Boxes, or only logs them in report mode.
+     * @returns {Promise<Array>} The candidates, with `closed` set for the closed ones.
+     */
+    async sweep() {
+        const candidates = await this.candidates();
+
+        for (let i = 0; i < candidates.length; i++) {
+            const candidate = candidates[i];
+            const cost = candidate.gasCost === null ? 'unknown' : candidate.gasCost.toString();
+            this.logger.log(
+                'sweeper: Box ' + candidate.id +
+                ' collateral ' + candidate.collateral +
+                ' tmv ' + candidate.tmvReleased +
+                ' bonus ' + candidate.bonus +
+                ' gas cost ' + cost
+            );
+            if (this.report || !candidate.profitable) {
+                continue;
+            }
+            try {
+                await this.client.closeDust(candidate.id, {
+                    from: this.from,
+                    gasPrice: await txGasPrice(this.client, this.gasPrice),
+                });
+                candidate.closed = true;
+                this.logger.log('sweeper: closed Box ' + candidate.id);
+            } catch (e) {
+                this.logger.error('sweeper: failed to close Box ' + candidate.id + ': ' + e.message);
+            }
+        }
+        return candidates;
+    }
+}
+
+module.exports = DustSweeper;
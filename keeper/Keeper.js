@@ -0,0 +1,226 @@
+const math = require('../sdk/math');
+const BoxIndex = require('./BoxIndex');
+const { txGasPrice } = require('./gas');
+
+const { toBN } = math;
+
+/**
+ * Capitalization keeper. Indexes Boxes from TBoxManager events and, whenever
+ * the oracle price changes, capitalizes the Boxes between minStability and
+ * maxStability to earn the userFee bonus.
+ */
+class Keeper {
+
+    /**
+     * @param {TBoxClient} client The SDK client of the TBoxManager.
+     * @param {Object} [options]
+     * @param {string} [options.from] The keeper account, the client sender by default.
+     * @param {number} [options.fromBlock] The block to start indexing from.
+     * @param {BN} [options.gasPrice] The maximum gas price, settings.gasPriceLimit() by default.
+     * @param {BN} [options.minInventory] TMV balance below which the inventory is refilled.
+     * @param {BN} [options.targetInventory] TMV balance the inventory is refilled to.
+     * @param {BN} [options.inventoryDeposit] Ether to open the keeper's own Box with
+     *  when there is none to withdraw TMV from.
+     * @param {string|number} [options.inventoryBox] The keeper's own Box ID.
+     * @param {Object} [options.logger] An object with `log` and `error` methods.
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.web3 = client.web3;
+        this.from = options.from || client.from;
+        this.fromBlock = options.fromBlock || 0;
+        this.gasPrice = options.gasPrice ? toBN(options.gasPrice) : null;
+        this.minInventory = toBN(options.minInventory || 0);
+        this.targetInventory = toBN(options.targetInventory || this.minInventory);
+        this.inventoryDeposit = toBN(options.inventoryDeposit || 0);
+        this.inventoryBox = options.inventoryBox !== undefined ? options.inventoryBox.toString() : null;
+        this.logger = options.logger || console;
+
+        this.index = new BoxIndex();
+        this.lastRate = null;
+        this.timer = null;
+    }
+
+    /**
+     * Indexes the events mined since the last sync.
+     * @returns {Promise<{boxEvents: number, priceUpdates: number}>}
+     */
+    async sync() {
+        const latest = await this.web3.eth.getBlockNumber();
+        if (latest < this.fromBlock) {
+            return { boxEvents: 0, priceUpdates: 0 };
+        }
+        const range = { fromBlock: this.fromBlock, toBlock: latest };
+
+        const events = await this.client.logic.getPastEvents('allEvents', range);
+        const boxEvents = this.index.applyAll(events);
+
+        // Read the fee index of the Boxes created or charged since the last sync
+        const uncharged = this.index.all().filter(box => box.feeIndex === null);
+        for (let i = 0; i < uncharged.length; i++) {
+            uncharged[i].feeIndex = (await this.client.box(uncharged[i].id)).feeIndex;
+        }
+
+        const oracle = await (await this.client.settings()).methods.oracleAddress().call();
+        const priceUpdates = await this.web3.eth.getPastLogs(Object.assign({
+            address: oracle,
+            topics: [this.web3.utils.sha3('PriceUpdated(uint256)')],
+        }, range));
+
+        this.fromBlock = latest + 1;
+        return { boxEvents: boxEvents, priceUpdates: priceUpdates.length };
+    }
+
+    /**
+     * Returns the gas price to send transactions with, never above settings.gasPriceLimit().
+     * @returns {Promise<BN>}
+     */
+    txGasPrice() {
+        return txGasPrice(this.client, this.gasPrice);
+    }
+
+    /**
+     * Returns the Boxes that can be capitalized, the most toxic first. The accrued
+     * stability fee is added to the debt the way TBoxManager charges it first.
+     * @param {State} state
+     * @returns {Array<{id: string, percent: BN, amount: BN}>}
+     */
+    candidates(state) {
+        const own = this.from.toLowerCase();
+        return this.index.all()
+            .filter(box => box.owner.toLowerCase() !== own && !box.tmvReleased.isZero())
+            .map(box => math.chargeFee(box, math.accruedFee(state, box)))
+            .map(box => ({ box: box, percent: math.collateralPercent(state, box) }))
+            .filter(c => c.percent.gte(state.minStability) && c.percent.lt(state.maxStability))
+            .sort((a, b) => a.percent.cmp(b.percent))
+            .map(c => ({
+                id: c.box.id,
+                percent: c.percent,
+                amount: math.maxCapAmount(state, c.box),
+            }));
+    }
+
+    /**
+     * Returns the keeper TMV balance.
+     * @returns {Promise<BN>}
+     */
+    async inventory() {
+        const token = await this.client.token();
+        return toBN(await token.methods.balanceOf(this.from).call());
+    }
+
+    /**
+     * Refills the TMV inventory from the keeper's own Box when the balance
+     * falls below the minimum.
+     * @returns {Promise<BN>} The TMV balance.
+     */
+    async ensureInventory() {
+        const balance = await this.inventory();
+        if (balance.gte(this.minInventory) || this.targetInventory.lte(balance)) {
+            return balance;
+        }
+        const need = this.targetInventory.sub(balance);
+        const options = { from: this.from, gasPrice: await this.txGasPrice() };
+
+        if (this.inventoryBox !== null && this.index.get(this.inventoryBox)) {
+            let amount = await this.client.boxWithdrawableTmv(this.inventoryBox);
+            if (amount.gt(need)) {
+                amount = need;
+            }
+            if (amount.isZero()) {
+                this.logger.log('keeper: inventory Box ' + this.inventoryBox + ' has no withdrawable TMV');
+                return balance;
+            }
+            await this.client.withdrawTmv(this.inventoryBox, amount, options);
+            this.logger.log('keeper: withdrew ' + amount + ' TMV from Box ' + this.inventoryBox);
+            return balance.add(amount);
+        }
+
+        if (this.inventoryDeposit.isZero()) {
+            return balance;
+        }
+        let amount = await this.client.createWithdrawableTmv(this.inventoryDeposit);
+        if (amount.gt(need)) {
+            amount = need;
+        }
+        const receipt = await this.client.create(this.inventoryDeposit, amount, options);
+        this.inventoryBox = receipt.events.Created.returnValues.id.toString();
+        this.logger.log('keeper: opened inventory Box ' + this.inventoryBox + ' with ' + amount + ' TMV');
+        return balance.add(amount);
+    }
+
+    /**
+     * Capitalizes every capitalizable Box the inventory allows.
+     * @returns {Promise<Array>} The capitalizations made.
+     */
+    async capitalize() {
+        const state = await this.client.state();
+        const candidates = this.candidates(state);
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        let balance = await this.ensureInventory();
+        const gasPrice = await this.txGasPrice();
+        const done = [];
+
+        for (let i = 0; i < candidates.length; i++) {
+            const candidate = candidates[i];
+            const amount = candidate.amount.gt(balance) ? balance : candidate.amount;
+            if (amount.lt(math.MIN_CAPITALIZATION)) {
+                this.logger.log('keeper: not enough TMV to capitalize Box ' + candidate.id);
+                break;
+            }
+            try {
+                await this.client.capitalize(candidate.id, amount, { from: this.from, gasPrice: gasPrice });
+                balance = balance.sub(amount);
+                done.push({ id: candidate.id, amount: amount });
+                this.logger.log('keeper: capitalized Box ' + candidate.id + ' with ' + amount + ' TMV');
+            } catch (e) {
+                this.logger.error('keeper: failed to capitalize Box ' + candidate.id + ': ' + e.message);
+            }
+        }
+        return done;
+    }
+
+    /**
+     * Syncs and capitalizes when the price changed.
+     * @returns {Promise<Array>} The capitalizations made.
+     */
+    async tick() {
+        const changes = await this.sync();
+        const rate = toBN(await this.client.logic.methods.rate().call());
+        const priceChanged = changes.priceUpdates > 0 || !this.lastRate || !this.lastRate.eq(rate);
+        this.lastRate = rate;
+
+        if (!priceChanged && changes.boxEvents === 0) {
+            return [];
+        }
+        return this.capitalize();
+    }
+
+    /**
+     * Runs `tick` every `interval` milliseconds until `stop` is called.
+     * @param {number} interval
+     */
+    start(interval) {
+        const run = async () => {
+            try {
+                await this.tick();
+            } catch (e) {
+                this.logger.error('keeper: ' + e.message);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(run, interval);
+            }
+        };
+        this.timer = setTimeout(run, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = Keeper;
@@ -0,0 +1,21 @@
+const { toBN } = require('../sdk/math');
+
+/**
+ * Returns the gas price to send transactions with: the specified maximum
+ * but never above settings.gasPriceLimit(), which TBoxManager.validTx enforces.
+ * @param {TBoxClient} client
+ * @param {BN} [max] The maximum gas price.
+ * @returns {Promise<BN>}
+ */
+async function txGasPrice(client, max) {
+    const settings = await client.settings();
+    const limit = toBN(await settings.methods.gasPriceLimit().call());
+    if (max && max.lt(limit)) {
+        return max;
+    }
+    return limit;
+}
+
+module.exports = {
+    txGasPrice,
+};
@@ -0,0 +1,14 @@
+const BondKeeper = require('./BondKeeper');
+const BoxIndex = require('./BoxIndex');
+const DustSweeper = require('./DustSweeper');
+const Keeper = require('./Keeper');
+const { ConsoleSink, WebhookSink } = require('./sinks');
+
+module.exports = {
+    BondKeeper,
+    BoxIndex,
+    DustSweeper,
+    Keeper,
+    ConsoleSink,
+    WebhookSink,
+};
@@ -0,0 +1,111 @@
+// Runs the capitalization keeper against a deployed system:
+//
+//   truffle exec keeper/run.js --network <network>
+//
+// Configuration is read from the environment:
+//   KEEPER_MODE               "capitalize", "dust" to sweep dust Boxes or "bonds" to expire Bonds (capitalize)
+//   KEEPER_REPORT             with "dust" mode, "true" or "1" lists candidates once without
+//                             sending transactions (false)
+//   KEEPER_EXPIRY_WINDOW      with "bonds" mode, seconds before the expiration to notify at (86400)
+//   KEEPER_MARGIN_BAND        with "bonds" mode, the collateral percentage above maxStability
+//                             to send margin calls below, in percent (5)
+//   KEEPER_WEBHOOK            with "bonds" mode, the URL to post notifications to (stdout)
+//   KEEPER_INTERVAL           polling interval in ms (15000)
+//   KEEPER_FROM_BLOCK         the block to start indexing from (0)
+//   KEEPER_GAS_PRICE          the maximum gas price in wei (settings.gasPriceLimit())
+//   KEEPER_MIN_INVENTORY      TMV balance to refill the inventory at, in TMV (0)
+//   KEEPER_TARGET_INVENTORY   TMV balance to refill the inventory to, in TMV
+//   KEEPER_INVENTORY_DEPOSIT  Ether to open the inventory Box with, in ETH (0)
+//   KEEPER_INVENTORY_BOX      the keeper's own Box ID
+const { TBoxClient } = require('../sdk');
+const Keeper = require('./Keeper');
+const DustSweeper = require('./DustSweeper');
+const BondKeeper = require('./BondKeeper');
+const { ConsoleSink, WebhookSink } = require('./sinks');
+
+const TBoxManager = artifacts.require('TBoxManager');
+const TimviSettings = artifacts.require('TimviSettings');
+const TimviToken = artifacts.require('TimviToken');
+const BondService = artifacts.require('BondService');
+
+module.exports = async function (callback) {
+    try {
+        const env = process.env;
+        const toWei = value => value ? web3.utils.toWei(value, 'ether') : undefined;
+        const toFlag = value => ['true', '1'].includes(String(value).trim().toLowerCase());
+        const from = (await web3.eth.getAccounts())[0];
+        const logic = await TBoxManager.deployed();
+
+        const client = new TBoxClient(web3, logic.address, {
+            from: from,
+            artifacts: { TBoxManager, TimviSettings, TimviToken },
+        });
+
+        if (env.KEEPER_MODE === 'dust') {
+            const sweeper = new DustSweeper(client, {
+                gasPrice: env.KEEPER_GAS_PRICE,
+                report: toFlag(env.KEEPER_REPORT),
+            });
+            if (sweeper.report) {
+                await sweeper.sweep();
+                return callback();
+            }
+            return runForever(() => sweeper.sweep(), Number(env.KEEPER_INTERVAL || 15000), callback);
+        }
+
+        if (env.KEEPER_MODE === 'bonds') {
+            const service = await BondService.deployed();
+            const bondKeeper = new BondKeeper(client, service.address, {
+                fromBlock: Number(env.KEEPER_FROM_BLOCK || 0),
+                gasPrice: env.KEEPER_GAS_PRICE,
+                expiryWindow: env.KEEPER_EXPIRY_WINDOW ? Number(env.KEEPER_EXPIRY_WINDOW) : undefined,
+                marginBand: env.KEEPER_MARGIN_BAND ? Math.round(Number(env.KEEPER_MARGIN_BAND) * 1000) : undefined,
+                sink: env.KEEPER_WEBHOOK ? new WebhookSink(env.KEEPER_WEBHOOK) : new ConsoleSink(),
+                artifacts: { BondService },
+            });
+            console.log('keeper: running as ' + from + ' against BondService ' + service.address);
+            return runForever(() => bondKeeper.tick(), Number(env.KEEPER_INTERVAL || 15000), callback);
+        }
+
+        const keeper = new Keeper(client, {
+            fromBlock: Number(env.KEEPER_FROM_BLOCK || 0),
+            gasPrice: env.KEEPER_GAS_PRICE,
+            minInventory: toWei(env.KEEPER_MIN_INVENTORY),
+            targetInventory: toWei(env.KEEPER_TARGET_INVENTORY),
+            inventoryDeposit: toWei(env.KEEPER_INVENTORY_DEPOSIT),
+            inventoryBox: env.KEEPER_INVENTORY_BOX,
+        });
+
+        console.log('keeper: running as ' + from + ' against TBoxManager ' + logic.address);
+        keeper.start(Number(env.KEEPER_INTERVAL || 15000));
+
+        const shutdown = () => {
+            keeper.stop();
+            callback();
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    } catch (e) {
+        callback(e);
+    }
+};
+
+// Calls `job` every `interval` milliseconds until the process is interrupted
+function runForever(job, interval, callback) {
+    let timer = null;
+    const run = async () => {
+        try {
+            await job();
+        } catch (e) {
+            console.error(e.message);
+        }
+        timer = setTimeout(run, interval);
+    };
+    const shutdown = () => {
+        clearTimeout(timer);
+        callback();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    run();
+}
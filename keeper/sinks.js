@@ -0,0 +1,72 @@
+const http = require('http');
+const https = require('https');
+const url = require('url');
+
+/**
+ * Notification sink printing every notification as a JSON line.
+ */
+class ConsoleSink {
+
+    /**
+     * @param {Object} [stream] A writable stream, stdout by default.
+     */
+    constructor(stream) {
+        this.stream = stream || process.stdout;
+    }
+
+    async notify(notification) {
+        this.stream.write(JSON.stringify(notification) + '\n');
+    }
+}
+
+/**
+ * Notification sink posting every notification as JSON to a URL.
+ */
+class WebhookSink {
+
+    /**
+     * @param {string} endpoint The URL to post to.
+     * @param {Object} [options]
+     * @param {number} [options.timeout] Request timeout in ms (10000).
+     */
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.timeout = options.timeout || 10000;
+    }
+
+    notify(notification) {
+        const target = url.parse(this.endpoint);
+        const body = JSON.stringify(notification);
+        const transport = target.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request({
+                method: 'POST',
+                hostname: target.hostname,
+                port: target.port,
+                path: target.path,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                },
+                timeout: this.timeout,
+            }, response => {
+                response.resume();
+                response.on('end', () => {
+                    if (response.statusCode >= 300) {
+                        return reject(new Error('Webhook responded with ' + response.statusCode));
+                    }
+                    resolve();
+                });
+            });
+            request.on('timeout', () => request.abort());
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+module.exports = {
+    ConsoleSink,
+    WebhookSink,
+};
@@ -0,0 +1,5 @@
+const Migrations = artifacts.require('Migrations');
+
+module.exports = function (deployer) {
+    deployer.deploy(Migrations);
+};
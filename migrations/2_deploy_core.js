@@ -0,0 +1,33 @@
+const { isLocal } = require('./helpers/manifest');
+const { aggregatorFor } = require('./helpers/aggregators');
+
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const TBoxManager = artifacts.require('TBoxManager');
+const OracleMock = artifacts.require('OracleContractMock');
+const PriceGetter = artifacts.require('PriceGetter');
+
+module.exports = function (deployer, network) {
+    deployer.then(async function () {
+        // 1. Settings store
+        const settings = await deployer.deploy(Settings);
+
+        // 2-3. TMV token registered in the settings
+        const token = await deployer.deploy(Token, settings.address);
+        await settings.setTmvAddress(token.address);
+
+        // 4-5. ETH/USD oracle, mocked on local networks
+        let oracle;
+        if (isLocal(network)) {
+            oracle = await deployer.deploy(OracleMock);
+        } else {
+            const aggregator = aggregatorFor(network);
+            oracle = await deployer.deploy(PriceGetter, aggregator.address, aggregator.expiration, aggregator.divisor);
+        }
+        await settings.setOracleAddress(oracle.address);
+
+        // 6-7. Logic contract allowed to mint and burn TMV
+        const logic = await deployer.deploy(TBoxManager, settings.address);
+        await settings.setContractManager(logic.address);
+    });
+};
@@ -0,0 +1,19 @@
+const Settings = artifacts.require('TimviSettings');
+const LeverageService = artifacts.require('LeverageService');
+const BondService = artifacts.require('BondService');
+const BondToken = artifacts.require('BondToken');
+const Gate = artifacts.require('Gate');
+
+module.exports = function (deployer) {
+    deployer.then(async function () {
+        const settings = await Settings.deployed();
+
+        await deployer.deploy(LeverageService, settings.address);
+        const bondService = await deployer.deploy(BondService, settings.address);
+        // Both sides of the matched Bonds are tokens of the same contract
+        const issuerToken = await BondToken.new('Timvi Bond Issuer', 'TBI', bondService.address);
+        const holderToken = await BondToken.new('Timvi Bond Holder', 'TBH', bondService.address);
+        await bondService.setTokens(issuerToken.address, holderToken.address);
+        await deployer.deploy(Gate, settings.address);
+    });
+};
@@ -0,0 +1,85 @@
+const { isLocal, write } = require('./helpers/manifest');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const TBoxManager = artifacts.require('TBoxManager');
+const OracleMock = artifacts.require('OracleContractMock');
+const PriceGetter = artifacts.require('PriceGetter');
+const LeverageService = artifacts.require('LeverageService');
+const BondService = artifacts.require('BondService');
+const Gate = artifacts.require('Gate');
+const Timelock = artifacts.require('Timelock');
+
+// The default time between queueing and executing a settings change, two days
+const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error('Post-deploy check failed: ' + message);
+    }
+}
+
+module.exports = function (deployer, network, accounts) {
+    deployer.then(async function () {
+        const settings = await Settings.deployed();
+        const token = await Token.deployed();
+        const logic = await TBoxManager.deployed();
+        const Oracle = isLocal(network) ? OracleMock : PriceGetter;
+        const oracle = await Oracle.deployed();
+
+        // Every address in the settings must point to the deployed contracts
+        check(await settings.tmvAddress() === token.address, 'tmvAddress is not set');
+        check(await settings.oracleAddress() === oracle.address, 'oracleAddress is not set');
+        check(await settings.tBoxManager() === logic.address, 'tBoxManager is not set');
+        check(await settings.isContractManager(logic.address), 'TBoxManager is not the contract manager');
+        check(await token.settings() === settings.address, 'TimviToken uses other settings');
+        check(await logic.settings() === settings.address, 'TBoxManager uses other settings');
+
+        const services = [LeverageService, BondService, Gate];
+        for (let i = 0; i < services.length; i++) {
+            const service = await services[i].deployed();
+            check(await service.settings() === settings.address, services[i].contractName + ' uses other settings');
+        }
+        const bondService = await BondService.deployed();
+        const issuerToken = await bondService.issuerToken();
+        const holderToken = await bondService.holderToken();
+        check(issuerToken !== ZERO_ADDRESS && holderToken !== ZERO_ADDRESS, 'BondService tokens are not set');
+
+        const contracts = {
+            TimviSettings: settings.address,
+            TimviToken: token.address,
+            Oracle: oracle.address,
+            TBoxManager: logic.address,
+            LeverageService: LeverageService.address,
+            BondService: BondService.address,
+            BondIssuerToken: issuerToken,
+            BondHolderToken: holderToken,
+            Gate: Gate.address,
+        };
+
+        // The settings changes go through the Timelock on public networks only
+        if (!isLocal(network)) {
+            const timelock = await deployer.deploy(Timelock, settings.address, process.env.TIMELOCK_DELAY || TIMELOCK_DELAY);
+            await settings.addOracleManager(timelock.address);
+            await settings.renounceOracleManager();
+            await settings.changeFeeManager(timelock.address);
+            await settings.setTimelock(timelock.address);
+            check(await settings.isFeeManager(timelock.address), 'Timelock is not the fee manager');
+            check(await settings.isOracleManager(timelock.address), 'Timelock is not the oracle manager');
+            check(await settings.timelock() === timelock.address, 'Timelock is not set');
+            // The deployer stays an operator to withdraw the fees without the delay
+            check(await settings.isOperator(accounts[0]), 'The deployer is not an operator');
+            contracts.Timelock = timelock.address;
+        }
+
+        const file = write(network, deployer.network_id, contracts);
+        console.log('   > Manifest written to ' + file);
+
+        // The settings manager is renounced for public networks only
+        if (!isLocal(network)) {
+            await settings.renounceSettingsManager();
+        }
+    });
+};
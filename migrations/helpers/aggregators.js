@@ -0,0 +1,34 @@
+// ETH/USD price feed aggregators read by PriceGetter
+const AGGREGATORS = {
+    mainnet: { address: '0x79fEbF6B9F76853EDBcBc913e6aAE8232cFB9De9', expiration: 120 },
+    ropsten: { address: '0x0Be00A19538Fac4BE07AC360C69378B870c412BF', expiration: 4000 },
+    rinkeby: { address: '0x1AddCFF77Ca0F032c7dCA322fd8bFE61Cae66A62', expiration: 1000 },
+};
+
+// The aggregator answers have 8 decimals while the system precision is 5
+const DEFAULT_DIVISOR = 1000;
+
+/**
+ * Returns the PriceGetter constructor parameters for a network. The
+ * PRICE_AGGREGATOR, PRICE_EXPIRATION and PRICE_DIVISOR environment variables
+ * override them, which is required on networks not listed above.
+ * @param {string} network The truffle network name.
+ * @returns {{address: string, expiration: number, divisor: number}}
+ */
+function aggregatorFor(network) {
+    const known = AGGREGATORS[network] || {};
+    const config = {
+        address: process.env.PRICE_AGGREGATOR || known.address,
+        expiration: Number(process.env.PRICE_EXPIRATION || known.expiration),
+        divisor: Number(process.env.PRICE_DIVISOR || DEFAULT_DIVISOR),
+    };
+    if (!config.address || !config.expiration) {
+        throw new Error('No price aggregator for the ' + network + ' network, set PRICE_AGGREGATOR and PRICE_EXPIRATION');
+    }
+    return config;
+}
+
+module.exports = {
+    AGGREGATORS,
+    aggregatorFor,
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// Networks served by a local test node where the oracle is mocked
+const LOCAL_NETWORKS = ['development', 'coverage', 'test', 'soliditycoverage'];
+
+// The directory holding one manifest per network
+const MANIFEST_DIR = path.resolve(__dirname, '..', '..', 'deployments');
+
+function isLocal(network) {
+    return LOCAL_NETWORKS.indexOf(network) !== -1;
+}
+
+function manifestPath(network) {
+    return path.join(MANIFEST_DIR, network + '.json');
+}
+
+/**
+ * Writes deployed contract addresses to deployments/<network>.json.
+ * @param {string} network The truffle network name.
+ * @param {number} networkId The id of the network.
+ * @param {Object<string, string>} contracts Contract names mapped to addresses.
+ * @returns {string} The manifest path.
+ */
+function write(network, networkId, contracts) {
+    if (!fs.existsSync(MANIFEST_DIR)) {
+        fs.mkdirSync(MANIFEST_DIR);
+    }
+    const file = manifestPath(network);
+    const manifest = {
+        network: network,
+        networkId: networkId,
+        contracts: contracts,
+    };
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+    return file;
+}
+
+/**
+ * Reads a manifest written by the migrations.
+ * @param {string} network The truffle network name.
+ * @returns {Object} The manifest.
+ */
+function read(network) {
+    return JSON.parse(fs.readFileSync(manifestPath(network), 'utf8'));
+}
+
+module.exports = {
+    isLocal,
+    manifestPath,
+    write,
+    read,
+};
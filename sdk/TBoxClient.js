@@ -0,0 +1,412 @@
+const math = require('./math');
+const { abi } = require('./artifacts');
+const { gasLimit } = require('./gas');
+
+const { toBN } = math;
+
+/**
+ * Wraps the TBoxManager contract. Transactions go through web3 and every
+ * numeric value is returned as a BN.
+ */
+class TBoxClient {
+
+    /**
+     * @param {Web3} web3 A web3 1.x instance.
+     * @param {string} address The TBoxManager address.
+     * @param {Object} [options]
+     * @param {string} [options.from] The default sender of transactions.
+     * @param {string|BN} [options.gasPrice] The default gas price of transactions.
+     * @param {Object} [options.artifacts] Truffle artifacts to take the ABIs from
+     *  instead of the build directory.
+     */
+    constructor(web3, address, options = {}) {
+        this.web3 = web3;
+        this.address = address;
+        this.from = options.from;
+        this.gasPrice = options.gasPrice;
+        this.artifacts = options.artifacts;
+        this.logic = new web3.eth.Contract(abi('TBoxManager', this.artifacts), address);
+        this._settings = null;
+        this._token = null;
+    }
+
+    /**
+     * Returns the TimviSettings contract used by the TBoxManager.
+     * @returns {Promise<Contract>}
+     */
+    async settings() {
+        if (!this._settings) {
+            const address = await this.logic.methods.settings().call();
+            this._settings = new this.web3.eth.Contract(abi('TimviSettings', this.artifacts), address);
+        }
+        return this._settings;
+    }
+
+    /**
+     * Returns the TimviToken contract.
+     * @returns {Promise<Contract>}
+     */
+    async token() {
+        if (!this._token) {
+            const settings = await this.settings();
+            const address = await settings.methods.tmvAddress().call();
+            this._token = new this.web3.eth.Contract(abi('TimviToken', this.artifacts), address);
+        }
+        return this._token;
+    }
+
+    /**
+     * Reads the values the off-chain math depends on.
+     * @returns {Promise<State>}
+     */
+    async state() {
+        const settings = await this.settings();
+        const token = await this.token();
+        const values = await Promise.all([
+            this.logic.methods.rate().call(),
+            this.logic.methods.precision().call(),
+            this.logic.methods.globalETH().call(),
+            token.methods.totalSupply().call(),
+            settings.methods.ratio().call(),
+            settings.methods.globalTargetCollateralization().call(),
+            settings.methods.minStability().call(),
+            settings.methods.maxStability().call(),
+            settings.methods.minDeposit().call(),
+            settings.methods.sysFee().call(),
+            settings.methods.userFee().call(),
+            this.logic.methods.currentFeeIndex().call(),
+        ]);
+        return {
+            rate: toBN(values[0]),
+            precision: toBN(values[1]),
+            globalETH: toBN(values[2]),
+            totalSupply: toBN(values[3]),
+            ratio: toBN(values[4]),
+            globalTargetCollateralization: toBN(values[5]),
+            minStability: toBN(values[6]),
+            maxStability: toBN(values[7]),
+            minDeposit: toBN(values[8]),
+            sysFee: toBN(values[9]),
+            userFee: toBN(values[10]),
+            feeIndex: toBN(values[11]),
+        };
+    }
+
+    /**
+     * Reads a Box.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<Box>}
+     */
+    async box(id) {
+        const box = await this.logic.methods.boxes(id.toString()).call();
+        return {
+            collateral: toBN(box[0]),
+            tmvReleased: toBN(box[1]),
+            feeIndex: toBN(box[2]),
+        };
+    }
+
+    /**
+     * Returns the number of tokens the Box owes as stability fee.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<BN>}
+     */
+    async accruedFee(id) {
+        return toBN(await this.logic.methods.accruedFee(id.toString()).call());
+    }
+
+    /**
+     * Returns the owner of a Box.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<string>}
+     */
+    ownerOf(id) {
+        return this.logic.methods.ownerOf(id.toString()).call();
+    }
+
+    /**
+     * Lists the IDs of all existing Boxes through ERC721Enumerable.
+     * @returns {Promise<Array<string>>}
+     */
+    async boxIds() {
+        const total = Number(await this.logic.methods.totalSupply().call());
+        const ids = [];
+        for (let i = 0; i < total; i++) {
+            ids.push(await this.logic.methods.tokenByIndex(i).call());
+        }
+        return ids;
+    }
+
+    /**
+     * Previews the maximum number of tokens for a new Box with the specified deposit.
+     * @param {BN} value The deposit in wei.
+     * @returns {Promise<BN>}
+     */
+    async createWithdrawableTmv(value) {
+        return math.createWithdrawableTmv(await this.state(), value);
+    }
+
+    /**
+     * Previews TBoxManager.withdrawableTmv.
+     * @param {BN} collateral
+     * @returns {Promise<BN>}
+     */
+    async withdrawableTmv(collateral) {
+        return math.withdrawableTmv(await this.state(), collateral);
+    }
+
+    /**
+     * Previews TBoxManager.withdrawPercent.
+     * @param {BN} collateral
+     * @returns {Promise<BN>}
+     */
+    async withdrawPercent(collateral) {
+        return math.withdrawPercent(await this.state(), collateral);
+    }
+
+    /**
+     * Previews TBoxManager.maxCapAmount.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<BN>}
+     */
+    async maxCapAmount(id) {
+        const state = await this.state();
+        return math.maxCapAmount(state, await this._chargedBox(id));
+    }
+
+    /**
+     * Previews the amount of Ether of the Box that is not used in collateralization.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<BN>}
+     */
+    async freeEth(id) {
+        const state = await this.state();
+        return math.freeEth(state, await this._chargedBox(id));
+    }
+
+    /**
+     * Previews TBoxManager.withdrawableEth.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<BN>}
+     */
+    async withdrawableEth(id) {
+        const state = await this.state();
+        return math.withdrawableEth(state, await this._chargedBox(id));
+    }
+
+    /**
+     * Previews TBoxManager.boxWithdrawableTmv.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<BN>}
+     */
+    async boxWithdrawableTmv(id) {
+        const state = await this.state();
+        return math.boxWithdrawableTmv(state, await this._chargedBox(id));
+    }
+
+    /**
+     * Previews TBoxManager.collateralPercent.
+     * @param {number|string|BN} id A Box ID.
+     * @returns {Promise<BN>}
+     */
+    async collateralPercent(id) {
+        const state = await this.state();
+        return math.collateralPercent(state, await this._chargedBox(id));
+    }
+
+    /**
+     * Creates a Box.
+     * @param {BN} value The deposit in wei.
+     * @param {BN} tmv Number of tokens to withdraw.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    create(value, tmv, options = {}) {
+        return this._send(this.logic.methods.create(tmv.toString()), Object.assign({ value: value.toString() }, options));
+    }
+
+    /**
+     * Closes a Box.
+     * @param {number|string|BN} id A Box ID.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    close(id, options = {}) {
+        return this._send(this.logic.methods.close(id.toString()), options);
+    }
+
+    /**
+     * Capitalizes a Box with the specified number of tokens.
+     * @param {number|string|BN} id A Box ID.
+     * @param {BN} tmv Number of tokens.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    capitalize(id, tmv, options = {}) {
+        return this._send(this.logic.methods.capitalize(id.toString(), tmv.toString()), options);
+    }
+
+    /**
+     * Capitalizes a Box with the maximum current amount.
+     * @param {number|string|BN} id A Box ID.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    capitalizeMax(id, options = {}) {
+        return this._send(this.logic.methods.capitalizeMax(id.toString()), options);
+    }
+
+    /**
+     * Withdraws Ether from a Box.
+     * @param {number|string|BN} id A Box ID.
+     * @param {BN} amount The amount in wei.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    withdrawEth(id, amount, options = {}) {
+        return this._send(this.logic.methods.withdrawEth(id.toString(), amount.toString()), options);
+    }
+
+    /**
+     * Withdraws TMV from a Box.
+     * @param {number|string|BN} id A Box ID.
+     * @param {BN} amount Number of tokens.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    withdrawTmv(id, amount, options = {}) {
+        return this._send(this.logic.methods.withdrawTmv(id.toString(), amount.toString()), options);
+    }
+
+    /**
+     * Adds Ether to a Box.
+     * @param {number|string|BN} id A Box ID.
+     * @param {BN} value The amount in wei.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    addEth(id, value, options = {}) {
+        return this._send(this.logic.methods.addEth(id.toString()), Object.assign({ value: value.toString() }, options));
+    }
+
+    /**
+     * Adds TMV to a Box.
+     * @param {number|string|BN} id A Box ID.
+     * @param {BN} amount Number of tokens.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    addTmv(id, amount, options = {}) {
+        return this._send(this.logic.methods.addTmv(id.toString(), amount.toString()), options);
+    }
+
+    /**
+     * Closes a Box with collateral worth less than 3 USD.
+     * @param {number|string|BN} id A Box ID.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    closeDust(id, options = {}) {
+        return this._send(this.logic.methods.closeDust(id.toString()), options);
+    }
+
+    /**
+     * Liquidates a Box below minStability by repaying all of its tokens.
+     * @param {number|string|BN} id A Box ID.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    liquidate(id, options = {}) {
+        return this._send(this.logic.methods.liquidate(id.toString()), options);
+    }
+
+    /**
+     * Settles a Box after the shutdown crediting the surplus to its owner.
+     * @param {number|string|BN} id A Box ID.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    settle(id, options = {}) {
+        return this._send(this.logic.methods.settle(id.toString()), options);
+    }
+
+    /**
+     * Redeems tokens for Ether after the shutdown.
+     * @param {number|string|BN} amount The number of tokens to redeem.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    redeem(amount, options = {}) {
+        return this._send(this.logic.methods.redeem(amount.toString()), options);
+    }
+
+    /**
+     * Withdraws the surplus of the sender's settled Boxes.
+     * @param {Object} [options] web3 transaction options.
+     * @returns {Promise<Object>} The receipt.
+     */
+    withdrawSurplus(options = {}) {
+        return this._send(this.logic.methods.withdrawSurplus(), options);
+    }
+
+    // Reads a Box with the accrued stability fee charged like the contract views do.
+    async _chargedBox(id) {
+        return math.chargeFee(await this.box(id), await this.accruedFee(id));
+    }
+
+    // Fills the default sender, gas price and gas limit and sends a transaction.
+    // The receipt is decoded here since web3 would decode the TMV Transfer logs
+    // with the TBoxManager ABI, where the ERC721 Transfer has the same signature.
+    async _send(method, options) {
+        const params = Object.assign({}, options);
+        if (!params.from) {
+            params.from = this.from;
+        }
+        if (!params.gasPrice && this.gasPrice) {
+            params.gasPrice = this.gasPrice.toString();
+        }
+        if (!params.gas) {
+            params.gas = gasLimit(await method.estimateGas(params));
+        }
+        params.to = this.address;
+        params.data = method.encodeABI();
+
+        const receipt = await this.web3.eth.sendTransaction(params);
+        receipt.events = this.decodeEvents(receipt.logs);
+        return receipt;
+    }
+
+    /**
+     * Decodes TBoxManager logs the same way web3 fills `receipt.events`.
+     * @param {Array} logs Raw receipt logs.
+     * @returns {Object} Event names mapped to decoded events.
+     */
+    decodeEvents(logs) {
+        const events = {};
+        const address = this.address.toLowerCase();
+        const abiEvents = this.logic.options.jsonInterface.filter(item => item.type === 'event');
+
+        logs.filter(log => log.address.toLowerCase() === address).forEach(log => {
+            const item = abiEvents.find(e => e.signature === log.topics[0]);
+            if (!item) {
+                return;
+            }
+            const event = {
+                event: item.name,
+                logIndex: log.logIndex,
+                transactionHash: log.transactionHash,
+                returnValues: this.web3.eth.abi.decodeLog(item.inputs, log.data, log.topics.slice(1)),
+            };
+            if (!events[item.name]) {
+                events[item.name] = event;
+            } else if (Array.isArray(events[item.name])) {
+                events[item.name].push(event);
+            } else {
+                events[item.name] = [events[item.name], event];
+            }
+        });
+        return events;
+    }
+}
+
+module.exports = TBoxClient;
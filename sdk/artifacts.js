@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// The directory truffle compiles the contracts into
+const BUILD_DIR = path.resolve(__dirname, '..', 'build', 'contracts');
+
+// The directory the published package carries the ABIs in
+const ABI_DIR = path.resolve(__dirname, 'abi');
+
+// The contracts the SDK, the keepers and the indexer read the ABIs of
+const CONTRACTS = [
+    'TBoxManager',
+    'TimviSettings',
+    'TimviToken',
+    'BondService',
+    'LeverageService',
+    'Gate',
+];
+
+/**
+ * Returns the ABI of a compiled contract. The ABIs bundled into `sdk/abi`
+ * take precedence over the build directory.
+ * @param {string} name The contract name.
+ * @param {Object} [overrides] Contract names mapped to truffle artifacts
+ *  (anything with an `abi` field) to use instead of the bundled ABIs.
+ * @returns {Array} The contract ABI.
+ */
+function abi(name, overrides) {
+    if (overrides && overrides[name]) {
+        return overrides[name].abi;
+    }
+    const bundled = path.join(ABI_DIR, name + '.json');
+    if (fs.existsSync(bundled)) {
+        return require(bundled);
+    }
+    return require(path.join(BUILD_DIR, name + '.json')).abi;
+}
+
+/**
+ * Copies the ABIs of the CONTRACTS from the build directory into `sdk/abi`
+ * so that the package works without the truffle build.
+ * @returns {string[]} The written files.
+ */
+function bundle() {
+    if (!fs.existsSync(ABI_DIR)) {
+        fs.mkdirSync(ABI_DIR);
+    }
+    return CONTRACTS.map(name => {
+        const artifact = require(path.join(BUILD_DIR, name + '.json'));
+        const file = path.join(ABI_DIR, name + '.json');
+        fs.writeFileSync(file, JSON.stringify(artifact.abi, null, 2) + '\n');
+        return file;
+    });
+}
+
+if (require.main === module) {
+    bundle().forEach(file => console.log('Written ' + path.relative(process.cwd(), file)));
+}
+
+module.exports = {
+    ABI_DIR,
+    BUILD_DIR,
+    CONTRACTS,
+    abi,
+    bundle,
+};
@@ -0,0 +1,17 @@
+// The gas limit headroom over the estimate in percent. The estimate runs against
+// the pending state, so the mined transaction may cost a little more.
+const GAS_MARGIN = 20;
+
+/**
+ * Returns the gas limit to send a transaction with for a gas estimate.
+ * @param {number} estimate The result of estimateGas.
+ * @returns {number}
+ */
+function gasLimit(estimate) {
+    return Math.ceil(estimate * (100 + GAS_MARGIN) / 100);
+}
+
+module.exports = {
+    GAS_MARGIN,
+    gasLimit,
+};
@@ -0,0 +1,9 @@
+const TBoxClient = require('./TBoxClient');
+const math = require('./math');
+const gas = require('./gas');
+
+module.exports = {
+    TBoxClient,
+    math,
+    gas,
+};
@@ -0,0 +1,439 @@
+const BN = require('bn.js');
+
+// Precision using for USD and commission, mirrors TBoxManager.precision
+const PRECISION = new BN('100000');
+
+// Percentages returned by the contracts are scaled by 1000 (150000 is 150%)
+const PERCENT_SCALE = 1000;
+
+// TBoxManager.collateralPercent value for a Box without withdrawn tokens
+const UNREACHABLE_PERCENT = new BN(10).pow(new BN(27));
+
+// The minimum number of tokens TBoxManager.capitalize accepts
+const MIN_CAPITALIZATION = new BN(10).pow(new BN(17));
+
+/**
+ * A snapshot of the on-chain values the TBoxManager math depends on.
+ * Every field is a BN.
+ * @typedef {Object} State
+ * @property {BN} rate ETH/USD price with precision.
+ * @property {BN} precision TBoxManager.precision.
+ * @property {BN} globalETH Total packed Ether.
+ * @property {BN} totalSupply TMV total supply.
+ * @property {BN} ratio TimviSettings.ratio.
+ * @property {BN} globalTargetCollateralization TimviSettings.globalTargetCollateralization.
+ * @property {BN} minStability TimviSettings.minStability.
+ * @property {BN} maxStability TimviSettings.maxStability.
+ * @property {BN} minDeposit TimviSettings.minDeposit.
+ * @property {BN} sysFee TimviSettings.sysFee.
+ * @property {BN} userFee TimviSettings.userFee.
+ * @property {BN} feeIndex TBoxManager.currentFeeIndex.
+ */
+
+/**
+ * A Box as stored in TBoxManager.boxes.
+ * @typedef {Object} Box
+ * @property {BN} collateral The collateral Ether amount in wei.
+ * @property {BN} tmvReleased The number of TMV withdrawn.
+ * @property {BN} feeIndex The stability fee index the Box debt is charged up to.
+ */
+
+function toBN(value) {
+    return BN.isBN(value) ? value : new BN(value.toString());
+}
+
+// Mirrors SafeMath.sub, which reverts on underflow
+function sub(a, b) {
+    if (b.gt(a)) {
+        throw new Error('SafeMath: subtraction overflow');
+    }
+    return a.sub(b);
+}
+
+/**
+ * Returns the global collateralization percent.
+ * @param {State} state
+ * @returns {BN}
+ */
+function globalCollateralization(state) {
+    if (state.totalSupply.isZero()) {
+        return state.globalTargetCollateralization;
+    }
+    return state.globalETH.mul(state.rate).div(state.totalSupply);
+}
+
+/**
+ * Returns the number of tokens that can be withdrawn for the specified
+ * collateral amount by default.
+ * @param {State} state
+ * @param {BN} collateral
+ * @returns {BN}
+ */
+function defaultWithdrawableTmv(state, collateral) {
+    return toBN(collateral).mul(state.rate).div(state.globalTargetCollateralization);
+}
+
+/**
+ * Returns the number of tokens that can be withdrawn for the specified
+ * collateral amount when the system is overcapitalized.
+ * @param {State} state
+ * @param {BN} collateral
+ * @returns {BN}
+ */
+function overCapWithdrawableTmv(state, collateral) {
+    return toBN(collateral).mul(state.rate).div(state.ratio);
+}
+
+/**
+ * Returns Ether amount backing the specified number of tokens by default.
+ * @param {State} state
+ * @param {BN} supply
+ * @returns {BN}
+ */
+function defaultFrozenEth(state, supply) {
+    return toBN(supply).mul(state.globalTargetCollateralization).div(state.rate);
+}
+
+/**
+ * Returns Ether amount backing the specified number of tokens when the
+ * system is overcapitalized.
+ * @param {State} state
+ * @param {BN} supply
+ * @returns {BN}
+ */
+function overCapFrozenEth(state, supply) {
+    return toBN(supply).mul(state.ratio).div(state.rate);
+}
+
+/**
+ * Returns the number of tokens that can be safely withdrawn from the system.
+ * @param {State} state
+ * @param {BN} value Ether being added along with the withdrawal.
+ * @returns {BN}
+ */
+function globalWithdrawableTmv(state, value) {
+    if (globalCollateralization(state).lte(state.globalTargetCollateralization)) {
+        return new BN(0);
+    }
+    const totalBackedTmv = defaultWithdrawableTmv(state, state.globalETH.add(toBN(value)));
+    return sub(totalBackedTmv, state.totalSupply);
+}
+
+/**
+ * Returns Ether amount that can be safely withdrawn from the system.
+ * @param {State} state
+ * @returns {BN}
+ */
+function globalWithdrawableEth(state) {
+    if (globalCollateralization(state).lte(state.globalTargetCollateralization)) {
+        return new BN(0);
+    }
+    return sub(state.globalETH, defaultFrozenEth(state, state.totalSupply));
+}
+
+// The shared part of withdrawableTmv, withdrawPercent and create
+function tokenLimit(state, collateral, globalValue) {
+    let amount = overCapWithdrawableTmv(state, collateral);
+    const maxGlobal = globalWithdrawableTmv(state, globalValue);
+    if (amount.gt(maxGlobal)) {
+        amount = maxGlobal;
+    }
+    const local = defaultWithdrawableTmv(state, collateral);
+    if (amount.lt(local)) {
+        amount = local;
+    }
+    return amount;
+}
+
+/**
+ * Mirrors TBoxManager.withdrawableTmv: the number of tokens that can be
+ * actually withdrawn for the specified collateral of an existing Box.
+ * @param {State} state
+ * @param {BN} collateral
+ * @returns {BN}
+ */
+function withdrawableTmv(state, collateral) {
+    return tokenLimit(state, toBN(collateral), new BN(0));
+}
+
+/**
+ * Returns the maximum number of tokens TBoxManager.create accepts
+ * along with the specified deposit.
+ * @param {State} state
+ * @param {BN} value The deposit in wei.
+ * @returns {BN}
+ */
+function createWithdrawableTmv(state, value) {
+    return tokenLimit(state, toBN(value), toBN(value));
+}
+
+/**
+ * Mirrors TBoxManager.withdrawPercent: the collateral percentage for which
+ * tokens can be withdrawn for the specified collateral.
+ * @param {State} state
+ * @param {BN} collateral
+ * @returns {BN}
+ */
+function withdrawPercent(state, collateral) {
+    collateral = toBN(collateral);
+    return collateral.mul(state.rate).div(tokenLimit(state, collateral, collateral));
+}
+
+/**
+ * Mirrors TBoxManager.collateralPercent.
+ * @param {State} state
+ * @param {Box} box
+ * @returns {BN}
+ */
+function collateralPercent(state, box) {
+    if (box.tmvReleased.isZero()) {
+        return UNREACHABLE_PERCENT;
+    }
+    return box.collateral.mul(state.rate).div(box.tmvReleased);
+}
+
+/**
+ * Mirrors TBoxManager.boxWithdrawableTmv.
+ * @param {State} state
+ * @param {Box} box
+ * @returns {BN}
+ */
+function boxWithdrawableTmv(state, box) {
+    const amount = withdrawableTmv(state, box.collateral);
+    if (box.tmvReleased.gte(amount)) {
+        return new BN(0);
+    }
+    return amount.sub(box.tmvReleased);
+}
+
+/**
+ * Mirrors TBoxManager._freeEth: the amount of Ether of the Box
+ * that is not used in collateralization.
+ * @param {State} state
+ * @param {Box} box
+ * @returns {BN}
+ */
+function freeEth(state, box) {
+    if (box.tmvReleased.isZero()) {
+        return box.collateral;
+    }
+
+    const maxGlobal = globalWithdrawableEth(state);
+    let globalAvailable = new BN(0);
+
+    if (maxGlobal.gtn(0)) {
+        const need = overCapFrozenEth(state, box.tmvReleased);
+        if (box.collateral.gt(need)) {
+            const free = box.collateral.sub(need);
+            if (free.gt(maxGlobal)) {
+                globalAvailable = maxGlobal;
+            } else {
+                return free;
+            }
+        }
+    }
+
+    const frozen = defaultFrozenEth(state, box.tmvReleased);
+    if (box.collateral.gt(frozen)) {
+        const localAvailable = box.collateral.sub(frozen);
+        return localAvailable.gt(globalAvailable) ? localAvailable : globalAvailable;
+    }
+    return globalAvailable;
+}
+
+/**
+ * Mirrors TBoxManager.withdrawableEth.
+ * @param {State} state
+ * @param {Box} box
+ * @returns {BN}
+ */
+function withdrawableEth(state, box) {
+    const available = freeEth(state, box);
+    if (available.isZero()) {
+        return available;
+    }
+    const rest = sub(box.collateral, available);
+    if (rest.lt(state.minDeposit)) {
+        return sub(box.collateral, state.minDeposit);
+    }
+    return available;
+}
+
+/**
+ * Mirrors TBoxManager.maxCapAmount.
+ * @param {State} state
+ * @param {Box} box
+ * @returns {BN}
+ * @throws {Error} When the Box isn't toxic.
+ */
+function maxCapAmount(state, box) {
+    const percent = collateralPercent(state, box);
+    if (percent.lt(state.minStability) || percent.gte(state.maxStability)) {
+        throw new Error('It\'s only possible to capitalize toxic Boxes');
+    }
+    const num = sub(box.tmvReleased.mul(state.ratio), box.collateral.mul(state.rate));
+    return num.div(sub(state.ratio, state.minStability));
+}
+
+/**
+ * Returns the Ether amounts TBoxManager.capitalize moves for the specified
+ * number of tokens.
+ * @param {State} state
+ * @param {BN} tmv
+ * @returns {{equivalent: BN, fee: BN, reward: BN, total: BN}}
+ */
+function capitalization(state, tmv) {
+    tmv = toBN(tmv);
+    const equivalent = ethShareDown(tmv, FEE_DIVIDER, state.rate);
+    const fee = ethShareDown(tmv, state.sysFee, state.rate);
+    const reward = ethShareDown(tmv, state.userFee, state.rate);
+    return {
+        equivalent: equivalent,
+        fee: fee,
+        reward: reward,
+        total: equivalent.add(fee).add(reward),
+    };
+}
+
+/**
+ * Returns the Box with the accrued stability fee added to its debt
+ * the way TBoxManager charges it.
+ * @param {Box} box
+ * @param {BN} fee The accrued fee in tokens, TBoxManager.accruedFee.
+ * @returns {Box}
+ */
+function chargeFee(box, fee) {
+    return Object.assign({}, box, { tmvReleased: box.tmvReleased.add(toBN(fee)) });
+}
+
+/**
+ * Mirrors TBoxManager.accruedFee.
+ * @param {State} state
+ * @param {Box} box
+ * @returns {BN} The number of tokens the Box owes as stability fee.
+ */
+function accruedFee(state, box) {
+    return box.tmvReleased.mul(state.feeIndex).div(box.feeIndex).sub(box.tmvReleased);
+}
+
+/**
+ * Checks the TBoxManager.closeDust condition: the collateral is worth
+ * less than 3 USD.
+ * @param {State} state
+ * @param {Box} box
+ * @returns {boolean}
+ */
+function isDust(state, box) {
+    const limit = state.precision.muln(3).mul(new BN(10).pow(new BN(18)));
+    return box.collateral.mul(state.rate).lt(limit);
+}
+
+// The fixed-point value of 100% in fees and percentages, mirrors FeeMath.DIVIDER
+const FEE_DIVIDER = new BN('100000');
+
+/**
+ * Returns the `percent` share of `amount` rounded down, mirrors FeeMath.shareDown.
+ * @param {BN} amount
+ * @param {BN} percent
+ * @returns {BN}
+ */
+function shareDown(amount, percent) {
+    return toBN(amount).mul(toBN(percent)).div(FEE_DIVIDER);
+}
+
+/**
+ * Returns `amount` without its `percent` share rounded down, mirrors FeeMath.deduct.
+ * @param {BN} amount
+ * @param {BN} percent
+ * @returns {BN}
+ */
+function deduct(amount, percent) {
+    return sub(toBN(amount), shareDown(amount, percent));
+}
+
+/**
+ * Returns the `percent` share of the Ether worth of `tmv` tokens at `rate`,
+ * rounded down, mirrors FeeMath.ethShareDown.
+ * @param {BN} tmv
+ * @param {BN} percent
+ * @param {BN} rate
+ * @returns {BN}
+ */
+function ethShareDown(tmv, percent, rate) {
+    return toBN(tmv).mul(toBN(percent)).div(toBN(rate));
+}
+
+/**
+ * Returns the amount `amount` is the `percent` share of, rounded down,
+ * mirrors FeeMath.whole.
+ * @param {BN} amount
+ * @param {BN} percent
+ * @returns {BN}
+ */
+function whole(amount, percent) {
+    return toBN(amount).mul(FEE_DIVIDER).div(toBN(percent));
+}
+
+/**
+ * Converts a contract percentage (150000) into a number (150).
+ * @param {BN} value
+ * @returns {number}
+ */
+function percentToNumber(value) {
+    return toBN(value).toNumber() / PERCENT_SCALE;
+}
+
+/**
+ * Converts a number (150) into a contract percentage (150000).
+ * @param {number} value
+ * @returns {BN}
+ */
+function percentFromNumber(value) {
+    return new BN(Math.round(value * PERCENT_SCALE));
+}
+
+/**
+ * Converts an oracle rate into USD per 1 ETH.
+ * @param {BN} rate
+ * @param {BN} [precision]
+ * @returns {number}
+ */
+function rateToUsd(rate, precision) {
+    precision = toBN(precision || PRECISION);
+    return toBN(rate).toNumber() / precision.toNumber();
+}
+
+module.exports = {
+    PRECISION,
+    FEE_DIVIDER,
+    PERCENT_SCALE,
+    UNREACHABLE_PERCENT,
+    MIN_CAPITALIZATION,
+    toBN,
+    globalCollateralization,
+    defaultWithdrawableTmv,
+    overCapWithdrawableTmv,
+    defaultFrozenEth,
+    overCapFrozenEth,
+    globalWithdrawableTmv,
+    globalWithdrawableEth,
+    withdrawableTmv,
+    createWithdrawableTmv,
+    withdrawPercent,
+    collateralPercent,
+    boxWithdrawableTmv,
+    freeEth,
+    withdrawableEth,
+    maxCapAmount,
+    capitalization,
+    chargeFee,
+    accruedFee,
+    isDust,
+    shareDown,
+    deduct,
+    ethShareDown,
+    whole,
+    percentToNumber,
+    percentFromNumber,
+    rateToUsd,
+};
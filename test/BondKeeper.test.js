@@ -0,0 +1,150 @@
+const { ether, time } = require('openzeppelin-test-helpers');
+const { expect } = require('chai');
+const http = require('http');
+const BN = web3.utils.BN;
+
+const { TBoxClient, gas } = require('../sdk');
+const { BondKeeper, ConsoleSink, WebhookSink } = require('../keeper');
+
+const Classic = artifacts.require('TBoxManager');
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const Oracle = artifacts.require('OracleContractMock');
+const BondService = artifacts.require('BondService');
+const BondToken = artifacts.require('BondToken');
+
+const silent = { log() {}, error() {} };
+
+contract('BondKeeper', function ([manager, issuer, holder, keeperAccount]) {
+    let deposit = ether('1');
+    let percent = new BN(155217);
+    let matchDepo = deposit.mul(new BN(100000)).div(percent);
+    let expiration = 30 * 24 * 60 * 60;
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.logic = await Classic.new(this.settings.address);
+        this.token = await Token.new(this.settings.address);
+        this.oracle = await Oracle.new();
+        await this.settings.setTmvAddress(this.token.address);
+        await this.settings.setOracleAddress(this.oracle.address);
+        await this.settings.setContractManager(this.logic.address);
+        this.service = await BondService.new(this.settings.address);
+        let issuerToken = await BondToken.new('Timvi Bond Issuer', 'TBI', this.service.address);
+        let holderToken = await BondToken.new('Timvi Bond Holder', 'TBH', this.service.address);
+        await this.service.setTokens(issuerToken.address, holderToken.address);
+
+        this.notifications = [];
+        let client = new TBoxClient(web3, this.logic.address, {
+            from: keeperAccount,
+            artifacts: { TBoxManager: Classic, TimviSettings: Settings, TimviToken: Token },
+        });
+        this.keeper = new BondKeeper(client, this.service.address, {
+            fromBlock: await web3.eth.getBlockNumber(),
+            expiryWindow: 24 * 60 * 60,
+            sink: { notify: async notification => this.notifications.push(notification) },
+            artifacts: { BondService },
+            logger: silent,
+        });
+
+        // Bond 0 is matched into Box 0 at 155% collateralization
+        await this.service.leverage(percent, expiration, 10000, { from: issuer, value: deposit });
+        await this.service.takeIssueRequest(0, { from: holder, value: matchDepo });
+    });
+
+    describe('Tracking', function () {
+        it('tracks matched Bonds', async function () {
+            expect(await this.keeper.tick()).to.have.lengthOf(0);
+            let bonds = this.keeper.all();
+            expect(bonds).to.have.lengthOf(1);
+            expect(bonds[0].tBoxId).to.equal('0');
+            expect(bonds[0].holder).to.equal(holder);
+            expect(new BN(bonds[0].expiration)).to.be.bignumber.equal((await this.service.bonds(0)).expiration);
+        });
+        it('follows rollovers and finished Bonds', async function () {
+            await this.token.transfer(issuer, ether('1'), { from: holder });
+            await this.token.approve(this.service.address, ether('1'), { from: issuer });
+            await this.service.proposeRollover(0, 2 * expiration, 10000, { from: issuer });
+            await this.service.acceptRollover(0, { from: holder });
+            await this.keeper.sync();
+            expect(new BN(this.keeper.all()[0].expiration)).to.be.bignumber.equal((await this.service.bonds(0)).expiration);
+
+            await this.service.finish(0, { from: issuer });
+            await this.keeper.sync();
+            expect(this.keeper.all()).to.have.lengthOf(0);
+        });
+    });
+
+    describe('Notifications', function () {
+        it('warns about the expiration once', async function () {
+            await time.increase(expiration - 12 * 60 * 60);
+            let sent = await this.keeper.tick();
+            expect(sent).to.have.lengthOf(1);
+            expect(sent[0].type).to.equal('expiring');
+            expect(sent[0].bondId).to.equal('0');
+            expect(sent[0].issuer).to.equal(issuer);
+
+            expect(await this.keeper.tick()).to.have.lengthOf(0);
+            expect(this.notifications).to.have.lengthOf(1);
+        });
+        it('sends margin calls near the capitalization band', async function () {
+            await this.oracle.setPrice(7400000);
+            let sent = await this.keeper.tick();
+            expect(sent).to.have.lengthOf(1);
+            expect(sent[0].type).to.equal('margin-call');
+            expect(sent[0].percent).to.equal((await this.logic.collateralPercent(0)).toString());
+            expect(await this.keeper.tick()).to.have.lengthOf(0);
+
+            // The margin call is repeated once the Box recovers and falls again
+            await this.oracle.setPrice(10000000);
+            expect(await this.keeper.tick()).to.have.lengthOf(0);
+            await this.oracle.setPrice(7400000);
+            expect((await this.keeper.tick()).map(n => n.type)).to.deep.equal(['margin-call']);
+        });
+        it('expires lapsed Bonds', async function () {
+            await this.keeper.sync();
+            await time.increase(expiration + 1);
+            let sent = await this.keeper.tick();
+            expect(sent.map(n => n.type)).to.deep.equal(['expired']);
+            expect(await this.logic.ownerOf(0)).to.equal(holder);
+            expect(this.keeper.all()).to.have.lengthOf(0);
+        });
+        it('expires with a gas margin over the estimate', async function () {
+            await this.keeper.sync();
+            await time.increase(expiration + 1);
+            let estimate = await this.service.expire.estimateGas(0, { from: keeperAccount });
+            await this.keeper.tick();
+            let tx = (await web3.eth.getBlock('latest', true)).transactions[0];
+            expect(tx.gas).to.equal(gas.gasLimit(estimate));
+            expect(tx.gas).to.be.above(estimate);
+        });
+    });
+
+    describe('Sinks', function () {
+        it('prints JSON lines', async function () {
+            let output = '';
+            await new ConsoleSink({ write: line => output += line }).notify({ type: 'expiring', bondId: '1' });
+            expect(output).to.equal('{"type":"expiring","bondId":"1"}\n');
+        });
+        it('posts to a webhook', async function () {
+            let received = null;
+            let server = http.createServer((request, response) => {
+                let body = '';
+                request.on('data', chunk => body += chunk);
+                request.on('end', () => {
+                    received = JSON.parse(body);
+                    response.end();
+                });
+            });
+            await new Promise(resolve => server.listen(0, resolve));
+            try {
+                let sink = new WebhookSink('http://localhost:' + server.address().port + '/hooks/bonds');
+                await sink.notify({ type: 'margin-call', bondId: '2' });
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+            expect(received).to.deep.equal({ type: 'margin-call', bondId: '2' });
+        });
+    });
+});
@@ -10,6 +10,7 @@ const Settings = artifacts.require('TimviSettings');
 const Token = artifacts.require('TimviToken');
 const Oracle = artifacts.require('OracleContractMock');
 const BondService = artifacts.require('BondService');
+const BondToken = artifacts.require('BondToken');
 
 contract('BondService', function ([_, issuer, holder, anotherAccount]) {
 
@@ -23,6 +24,9 @@ contract('BondService', function ([_, issuer, holder, anotherAccount]) {
         await this.settings.setOracleAddress(this.oracle.address);
         const receipt = await this.settings.setContractManager(this.logic.address);
         this.service = await BondService.new(this.settings.address);
+        this.issuerToken = await BondToken.new('Timvi Bond Issuer', 'TBI', this.service.address);
+        this.holderToken = await BondToken.new('Timvi Bond Holder', 'TBH', this.service.address);
+        await this.service.setTokens(this.issuerToken.address, this.holderToken.address);
 
         const tx = await web3.eth.getTransaction(receipt.tx);
         this.gasPrice = new BN(tx.gasPrice);
@@ -512,6 +516,110 @@ contract('BondService', function ([_, issuer, holder, anotherAccount]) {
             });
         });
     });
+    describe('Partial filling', function () {
+
+        let deposit = ether("2");
+        let part = ether("1");
+        let percent = new BN(155217);
+        let matchDepo = part.mul(new BN(100000)).div(percent);
+        let yearFee = new BN('10000');
+        let expiration = new BN(30*24*60*60);
+
+        beforeEach(async function () {
+            await this.logic.create(1, { from: anotherAccount, value: deposit.mul(new BN(10)) });
+            await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+            await this.service.exchange(expiration, yearFee, { from: holder, value: deposit });
+        });
+
+        describe('reverts', function () {
+            it('when the part is very small', async function () {
+                let part = ether("1").div(new BN(20));
+                await expectRevert(this.service.takeIssueRequestPart(0, part, { from: holder, value: part }), "Too small funds");
+            });
+            it('when the part exceeds the request', async function () {
+                await expectRevert(this.service.takeIssueRequestPart(0, deposit, { from: holder, value: matchDepo }), "The part exceeds the request");
+                await expectRevert(this.service.takeBuyRequestPart(1, deposit, { from: issuer, value: deposit }), "The part exceeds the request");
+            });
+            it('when the remainder is very small', async function () {
+                let part = deposit.sub(ether("1").div(new BN(20)));
+                await expectRevert(this.service.takeBuyRequestPart(1, part, { from: issuer, value: deposit }), "Too small remainder");
+            });
+            it("when attached value isn't expected", async function () {
+                await expectRevert(this.service.takeIssueRequestPart(0, part, { from: holder, value: matchDepo.add(new BN(1)) }), "Incorrect ETH value");
+            });
+            it('when the bond is of another type', async function () {
+                await expectRevert(this.service.takeIssueRequestPart(1, part, { from: issuer, value: matchDepo }), "The bond isn't an emit request");
+                await expectRevert(this.service.takeBuyRequestPart(0, part, { from: holder, value: deposit }), "The bond isn't a buy request");
+            });
+        });
+
+        describe('issuer request', function () {
+            it('splits the part off as a matched Bond', async function () {
+                const { logs } = await this.service.takeIssueRequestPart(0, part, { from: holder, value: matchDepo });
+                expectEvent.inLogs(logs, 'BondPartiallyFilled', {
+                    id: new BN(0),
+                    part: new BN(2),
+                    deposit: part,
+                    remainder: deposit.sub(part),
+                });
+                expectEvent.inLogs(logs, 'BondMatched', { id: new BN(2), who: holder, tBox: new BN(1) });
+
+                let request = await this.service.bonds(0);
+                expect(request.holder).to.equal(ZERO_ADDRESS);
+                expect(request.deposit).to.be.bignumber.equal(deposit.sub(part));
+
+                let bond = await this.service.bonds(2);
+                expect(bond.issuer).to.equal(issuer);
+                expect(bond.holder).to.equal(holder);
+                expect(bond.deposit).to.be.bignumber.equal(part);
+                expect(bond.percent).to.be.bignumber.equal(percent);
+                expect(bond.tBoxId).to.be.bignumber.equal(new BN(1));
+            });
+            it('charges the fee of the part', async function () {
+                let tx = this.service.takeIssueRequestPart(0, part, { from: holder, value: matchDepo });
+                let diff = await balance.difference(issuer, tx);
+                let fee = matchDepo.mul(new BN(5)).div(new BN(1000)); //0.5%
+
+                expect(diff).to.be.bignumber.equal(matchDepo.sub(fee));
+            });
+            it('keeps the remainder open', async function () {
+                await this.service.takeIssueRequestPart(0, part, { from: holder, value: matchDepo });
+                expect((await this.service.getIssueRequests(0, 10)).map(id => id.toString())).to.deep.equal(['0']);
+                expect((await this.service.getMatchedBonds(0, 10)).map(id => id.toString())).to.deep.equal(['2']);
+
+                await this.service.takeIssueRequest(0, { from: anotherAccount, value: matchDepo });
+                expect(await this.service.issueRequestsCount()).to.be.bignumber.equal(new BN(0));
+                expect(await this.service.issuerBondsCount(issuer)).to.be.bignumber.equal(new BN(2));
+            });
+        });
+
+        describe('holder request', function () {
+            it('splits the part off as a matched Bond', async function () {
+                let balanceBefore = await this.token.balanceOf(holder);
+                const { logs } = await this.service.takeBuyRequestPart(1, part, { from: issuer, value: deposit });
+                expectEvent.inLogs(logs, 'BondPartiallyFilled', {
+                    id: new BN(1),
+                    part: new BN(2),
+                    deposit: part,
+                    remainder: deposit.sub(part),
+                });
+                expectEvent.inLogs(logs, 'BondMatched', { id: new BN(2), who: issuer, tBox: new BN(1) });
+
+                let tmv = part.mul(new BN(10000000)).div(new BN(100000));
+                let balanceAfter = await this.token.balanceOf(holder);
+                expect(balanceAfter.sub(balanceBefore)).to.be.bignumber.equal(tmv);
+                expect((await this.service.bonds(1)).deposit).to.be.bignumber.equal(deposit.sub(part));
+                expect((await this.service.bonds(2)).issuer).to.equal(issuer);
+            });
+            it('charges the fee of the part', async function () {
+                let tx = this.service.takeBuyRequestPart(1, part, { from: issuer, value: deposit });
+                let diff = await balance.differenceExcludeGas(issuer, tx, this.gasPrice);
+                let fee = part.mul(new BN(5)).div(new BN(1000)); //0.5%
+
+                expect(diff).to.be.bignumber.equal(deposit.sub(part).add(fee));
+            });
+        });
+    });
     describe('Finishing', function () {
 
         let deposit = ether("1");
@@ -786,6 +894,27 @@ contract('BondService', function ([_, issuer, holder, anotherAccount]) {
             let tx = this.service.expire(bondId, {from: holder});
             let diff = await balance.difference(issuer, tx);
 
+            expect(diff).to.be.bignumber.equal(calculatedOvercol);
+        });
+        it("counts the accrued stability fee in the TBox debt", async function () {
+            await this.settings.setStabilityFee(1000);
+            await time.increase(365 * 24 * 60 * 60);
+            // Fix the accrued fee
+            await this.settings.setStabilityFee(0);
+
+            let fee = await this.logic.accruedFee(0);
+            expect(fee).to.be.bignumber.gt(new BN(0));
+            expect((await this.service.getBox(0))[1]).to.be.bignumber.equal(tmv.add(fee));
+
+            let gtc = await this.settings.globalTargetCollateralization();
+            let ethNeedToCollateral = tmv.add(fee).mul(gtc).div(rate);
+            let calculatedOvercol = deposit.sub(ethNeedToCollateral);
+
+            expect(calculatedOvercol).to.be.bignumber.gt(new BN(0));
+
+            let tx = this.service.expire(bondId, {from: holder});
+            let diff = await balance.difference(issuer, tx);
+
             expect(diff).to.be.bignumber.equal(calculatedOvercol);
         });
     });
@@ -884,6 +1013,245 @@ contract('BondService', function ([_, issuer, holder, anotherAccount]) {
             });
         });
     });
+    describe('Rollover', function () {
+
+        let deposit = ether("1");
+        let percent = new BN(155217);
+        let matchDepo = deposit.mul(new BN(100000)).div(percent);
+        let yearFee = new BN('10000');
+        let newYearFee = new BN('20000');
+        let divider = new BN('100000');
+        let expiration = new BN(30*24*60*60);
+        let newExpiration = new BN(60*24*60*60);
+        let bondId = new BN(0);
+        let tmv, createdAt;
+
+        beforeEach(async function () {
+            tmv = matchDepo.mul(new BN(10000000)).div(new BN(100000));
+            await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+            await this.service.takeIssueRequest(bondId, { value: matchDepo, from: holder });
+            createdAt = await time.latest();
+            await this.logic.create(1000, { from: issuer, value: deposit.mul(new BN(10)) });
+            await this.logic.withdrawTmvMax(1, { from: issuer });
+            await this.token.approve(this.service.address, constants.MAX_INT256, { from: issuer });
+        });
+
+        describe('reverts', function () {
+            it('proposing by non-issuer', async function () {
+                await expectRevert(this.service.proposeRollover(bondId, newExpiration, newYearFee, { from: holder }), 'You are not the issuer');
+            });
+            it('proposing for unmatched bond', async function () {
+                await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+                await expectRevert(this.service.proposeRollover(1, newExpiration, newYearFee, { from: issuer }), "Bond isn't matched");
+            });
+            it('proposing terms out of range', async function () {
+                await expectRevert(this.service.proposeRollover(bondId, 0, newYearFee, { from: issuer }), 'Expiration out of range');
+                await expectRevert(this.service.proposeRollover(bondId, newExpiration, 25001, { from: issuer }), 'Fee out of range');
+            });
+            it('accepting without a proposal', async function () {
+                await expectRevert(this.service.acceptRollover(bondId, { from: holder }), 'There is no proposed rollover');
+            });
+            it('accepting by non-holder', async function () {
+                await this.service.proposeRollover(bondId, newExpiration, newYearFee, { from: issuer });
+                await expectRevert(this.service.acceptRollover(bondId, { from: issuer }), 'You are not the holder');
+            });
+            it('accepting an expired bond', async function () {
+                await this.service.proposeRollover(bondId, newExpiration, newYearFee, { from: issuer });
+                await time.increase(expiration.add(new BN(1)));
+                await expectRevert(this.service.acceptRollover(bondId, { from: holder }), 'Bond expired');
+            });
+            it('accepting a proposal of the previous issuer', async function () {
+                await this.service.proposeRollover(bondId, newExpiration, newYearFee, { from: issuer });
+                await this.service.transferIssuerRights(anotherAccount, bondId, { from: issuer });
+                await expectRevert(this.service.acceptRollover(bondId, { from: holder }), 'There is no proposed rollover');
+            });
+        });
+
+        describe('success', function () {
+            beforeEach(async function () {
+                const { logs } = await this.service.proposeRollover(bondId, newExpiration, newYearFee, { from: issuer });
+                expectEvent.inLogs(logs, 'RolloverProposed', { id: bondId, expiration: newExpiration, yearFee: newYearFee });
+                await time.increase(10*24*60*60);
+            });
+
+            it('settles the accrued fee', async function () {
+                let holderBefore = await this.token.balanceOf(holder);
+                let serviceBefore = await this.token.balanceOf(this.service.address);
+                await this.service.acceptRollover(bondId, { from: holder });
+                let secondsPast = (await time.latest()).sub(createdAt);
+
+                let fee = tmv.mul(secondsPast).mul(yearFee).div(new BN(365*24*60*60)).div(divider);
+                let sysFee = fee.mul(new BN(10000)).div(divider);
+                expect((await this.token.balanceOf(holder)).sub(holderBefore)).to.be.bignumber.equal(fee.sub(sysFee));
+                expect((await this.token.balanceOf(this.service.address)).sub(serviceBefore)).to.be.bignumber.equal(sysFee);
+            });
+            it('continues the bond with the new terms', async function () {
+                const { logs } = await this.service.acceptRollover(bondId, { from: holder });
+                let timestamp = await time.latest();
+                expectEvent.inLogs(logs, 'BondRolledOver', {
+                    id: bondId,
+                    expiration: timestamp.add(newExpiration),
+                    yearFee: newYearFee,
+                });
+
+                let bond = await this.service.bonds(bondId);
+                expect(bond.expiration).to.be.bignumber.equal(timestamp.add(newExpiration));
+                expect(bond.yearFee).to.be.bignumber.equal(newYearFee);
+                expect(bond.createdAt).to.be.bignumber.equal(createdAt);
+                expect(bond.feePaidAt).to.be.bignumber.equal(timestamp);
+                expect(bond.tBoxId).to.be.bignumber.equal(new BN(0));
+                expect((await this.service.rollovers(bondId)).expiration).to.be.bignumber.equal(new BN(0));
+            });
+            it('expires at the new expiration', async function () {
+                await this.service.acceptRollover(bondId, { from: holder });
+                await time.increase(expiration);
+                await expectRevert(this.service.expire(bondId), "Bond hasn't expired");
+                await time.increase(newExpiration);
+                await this.service.expire(bondId);
+                expect(await this.logic.ownerOf(0)).to.equal(holder);
+            });
+            it('charges the new fee on finishing', async function () {
+                await this.service.acceptRollover(bondId, { from: holder });
+                let rolledAt = await time.latest();
+                await time.increase(10*24*60*60);
+                let holderBefore = await this.token.balanceOf(holder);
+                await this.service.finish(bondId, { from: issuer });
+                let secondsPast = (await time.latest()).sub(rolledAt);
+
+                let fee = tmv.mul(secondsPast).mul(newYearFee).div(new BN(365*24*60*60)).div(divider);
+                let sysFee = fee.mul(new BN(10000)).div(divider);
+                expect((await this.token.balanceOf(holder)).sub(holderBefore)).to.be.bignumber.equal(fee.sub(sysFee));
+            });
+        });
+    });
+    describe('Margin adjustments', function () {
+
+        let deposit = ether("1");
+        let percent = new BN(155217);
+        let matchDepo = deposit.mul(new BN(100000)).div(percent);
+        let yearFee = new BN('10000');
+        let divider = new BN('100000');
+        let expiration = new BN(30*24*60*60);
+        let bondId = new BN(0);
+        let tmv, createdAt;
+
+        beforeEach(async function () {
+            tmv = matchDepo.mul(new BN(10000000)).div(new BN(100000));
+            await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+            await this.service.takeIssueRequest(bondId, { value: matchDepo, from: holder });
+            createdAt = await time.latest();
+            await this.logic.create(1000, { from: issuer, value: deposit.mul(new BN(10)) });
+            await this.logic.withdrawTmvMax(1, { from: issuer });
+            await this.token.approve(this.service.address, constants.MAX_INT256, { from: issuer });
+        });
+
+        describe('reverts', function () {
+            it('adding collateral by non-issuer', async function () {
+                await expectRevert(this.service.addCollateral(bondId, { from: holder, value: deposit }), 'You are not the issuer');
+            });
+            it('adding collateral to unmatched bond', async function () {
+                await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+                await expectRevert(this.service.addCollateral(1, { from: issuer, value: deposit }), "Bond isn't matched");
+            });
+            it('repaying by non-issuer', async function () {
+                await expectRevert(this.service.repay(bondId, ether('1'), { from: holder }), 'You are not the issuer');
+            });
+            it('repaying an expired bond', async function () {
+                await time.increase(expiration.add(new BN(1)));
+                await expectRevert(this.service.repay(bondId, ether('1'), { from: issuer }), 'Bond expired');
+            });
+            it('repaying more than withdrawn', async function () {
+                await expectRevert(this.service.repay(bondId, tmv.add(new BN(1)), { from: issuer }), 'Too much tokens');
+            });
+        });
+
+        describe('success', function () {
+            it('adds collateral to the TBox', async function () {
+                const { logs } = await this.service.addCollateral(bondId, { from: issuer, value: deposit });
+                expectEvent.inLogs(logs, 'BondCollateralAdded', { id: bondId, amount: deposit, who: issuer });
+
+                let box = await this.logic.boxes(0);
+                expect(box.collateral).to.be.bignumber.equal(deposit.mul(new BN(2)));
+                expect((await this.service.bonds(bondId)).tmv).to.be.bignumber.equal(tmv);
+            });
+            it('repays a part of the TMV', async function () {
+                let amount = tmv.div(new BN(2));
+                await time.increase(10*24*60*60);
+                let holderBefore = await this.token.balanceOf(holder);
+                const { logs } = await this.service.repay(bondId, amount, { from: issuer });
+                let timestamp = await time.latest();
+
+                let fee = tmv.mul(timestamp.sub(createdAt)).mul(yearFee).div(new BN(365*24*60*60)).div(divider);
+                let sysFee = fee.mul(new BN(10000)).div(divider);
+                expectEvent.inLogs(logs, 'BondRepaid', { id: bondId, amount: amount, tmv: tmv.sub(amount), fee: fee });
+                expect((await this.token.balanceOf(holder)).sub(holderBefore)).to.be.bignumber.equal(fee.sub(sysFee));
+
+                let bond = await this.service.bonds(bondId);
+                expect(bond.tmv).to.be.bignumber.equal(tmv.sub(amount));
+                expect(bond.createdAt).to.be.bignumber.equal(createdAt);
+                expect(bond.feePaidAt).to.be.bignumber.equal(timestamp);
+                expect((await this.logic.boxes(0)).tmvReleased).to.be.bignumber.equal(tmv.sub(amount));
+            });
+            it('charges the fee on the repaid amount on finishing', async function () {
+                let amount = tmv.div(new BN(4));
+                await this.service.repay(bondId, amount, { from: issuer });
+                let repaidAt = await time.latest();
+                await time.increase(10*24*60*60);
+                let holderBefore = await this.token.balanceOf(holder);
+                await this.service.finish(bondId, { from: issuer });
+                let secondsPast = (await time.latest()).sub(repaidAt);
+
+                let fee = tmv.sub(amount).mul(secondsPast).mul(yearFee).div(new BN(365*24*60*60)).div(divider);
+                let sysFee = fee.mul(new BN(10000)).div(divider);
+                expect((await this.token.balanceOf(holder)).sub(holderBefore)).to.be.bignumber.equal(fee.sub(sysFee));
+                expect(await this.logic.ownerOf(0)).to.equal(issuer);
+            });
+        });
+    });
+    describe('Pausing', function () {
+
+        let deposit = ether("1");
+        let percent = new BN(155217);
+        let matchDepo = deposit.mul(new BN(100000)).div(percent);
+        let yearFee = new BN('10000');
+        let expiration = new BN(30*24*60*60);
+
+        beforeEach(async function () {
+            await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+            await this.service.takeIssueRequest(0, { value: matchDepo, from: holder });
+            await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+            await this.service.exchange(expiration, yearFee, { from: holder, value: deposit });
+            await this.logic.create(1000, { from: issuer, value: deposit.mul(new BN(10)) });
+            await this.logic.withdrawTmvMax(1, { from: issuer });
+            await this.token.approve(this.service.address, constants.MAX_INT256, { from: issuer });
+            await this.service.proposeRollover(0, expiration.mul(new BN(2)), yearFee, { from: issuer });
+            await this.settings.pauseModule(this.service.address);
+        });
+
+        it('reverts matching', async function () {
+            await expectRevert(this.service.takeIssueRequest(1, { value: matchDepo, from: holder }), 'System is paused');
+            await expectRevert(this.service.takeIssueRequestPart(1, deposit.div(new BN(2)), { value: matchDepo.div(new BN(2)), from: holder }), 'System is paused');
+            await expectRevert(this.service.takeBuyRequest(2, { value: deposit.mul(new BN(2)), from: issuer }), 'System is paused');
+            await expectRevert(this.service.takeBuyRequestPart(2, deposit.div(new BN(2)), { value: deposit, from: issuer }), 'System is paused');
+            await expectRevert(this.service.acceptRollover(0, { from: holder }), 'System is paused');
+        });
+        it('reverts while the system is paused', async function () {
+            await this.settings.unpauseModule(this.service.address);
+            await this.settings.pause();
+            await expectRevert(this.service.takeIssueRequest(1, { value: matchDepo, from: holder }), 'System is paused');
+        });
+        it('keeps the exits open', async function () {
+            await this.service.close(1, { from: issuer });
+            await this.service.close(2, { from: holder });
+            await this.service.addCollateral(0, { from: issuer, value: deposit });
+            await this.service.finish(0, { from: issuer });
+            expect(await this.service.matchedBondsCount()).to.be.bignumber.equal(new BN(0));
+        });
+        it('resumes after unpausing', async function () {
+            await this.settings.unpauseModule(this.service.address);
+            await this.service.takeIssueRequest(1, { value: matchDepo, from: holder });
+        });
+    });
     describe('Order transferring', function () {
 
         let deposit = ether("1");
@@ -952,6 +1320,161 @@ contract('BondService', function ([_, issuer, holder, anotherAccount]) {
             });
         });
     });
+    describe('Order book', function () {
+
+        let deposit = ether("1");
+        let percent = new BN(155217);
+        let matchDepo = deposit.mul(new BN(100000)).div(percent);
+        let yearFee = new BN('10000');
+        let expiration = new BN(30*24*60*60);
+
+        const ids = list => list.map(id => id.toString());
+
+        beforeEach(async function () {
+            await this.service.leverage(percent, expiration, yearFee, {from: issuer, value: deposit});
+            await this.service.leverage(percent, expiration, yearFee, {from: issuer, value: deposit});
+            await this.service.exchange(expiration, yearFee, {from: holder, value: deposit});
+        });
+
+        it("lists the open requests", async function () {
+            expect(await this.service.issueRequestsCount()).to.be.bignumber.equal(new BN(2));
+            expect(await this.service.buyRequestsCount()).to.be.bignumber.equal(new BN(1));
+            expect(await this.service.matchedBondsCount()).to.be.bignumber.equal(new BN(0));
+            expect(ids(await this.service.getIssueRequests(0, 10))).to.deep.equal(['0', '1']);
+            expect(ids(await this.service.getBuyRequests(0, 10))).to.deep.equal(['2']);
+        });
+        it("indexes the Bonds by issuer and holder", async function () {
+            expect(await this.service.issuerBondsCount(issuer)).to.be.bignumber.equal(new BN(2));
+            expect(await this.service.holderBondsCount(holder)).to.be.bignumber.equal(new BN(1));
+            expect(ids(await this.service.getIssuerBonds(issuer, 0, 10))).to.deep.equal(['0', '1']);
+            expect(ids(await this.service.getHolderBonds(holder, 0, 10))).to.deep.equal(['2']);
+            expect(ids(await this.service.getHolderBonds(issuer, 0, 10))).to.deep.equal([]);
+        });
+        it("paginates the lists", async function () {
+            expect(ids(await this.service.getIssueRequests(0, 1))).to.deep.equal(['0']);
+            expect(ids(await this.service.getIssueRequests(1, 10))).to.deep.equal(['1']);
+            expect(ids(await this.service.getIssueRequests(2, 10))).to.deep.equal([]);
+            expect(ids(await this.service.getIssuerBonds(issuer, 1, 1))).to.deep.equal(['1']);
+        });
+        it("removes closed requests", async function () {
+            await this.service.close(0, {from: issuer});
+            await this.service.close(2, {from: holder});
+            expect(ids(await this.service.getIssueRequests(0, 10))).to.deep.equal(['1']);
+            expect(ids(await this.service.getBuyRequests(0, 10))).to.deep.equal([]);
+            expect(ids(await this.service.getIssuerBonds(issuer, 0, 10))).to.deep.equal(['1']);
+            expect(await this.service.holderBondsCount(holder)).to.be.bignumber.equal(new BN(0));
+        });
+        it("moves matched requests", async function () {
+            await this.service.takeIssueRequest(0, {value: matchDepo, from: holder});
+            await this.service.takeBuyRequest(2, {value: ether("2"), from: anotherAccount});
+            expect(ids(await this.service.getIssueRequests(0, 10))).to.deep.equal(['1']);
+            expect(ids(await this.service.getBuyRequests(0, 10))).to.deep.equal([]);
+            expect(ids(await this.service.getMatchedBonds(0, 10))).to.deep.equal(['0', '2']);
+            expect(ids(await this.service.getHolderBonds(holder, 0, 10))).to.deep.equal(['2', '0']);
+            expect(ids(await this.service.getIssuerBonds(anotherAccount, 0, 10))).to.deep.equal(['2']);
+        });
+        it("removes expired Bonds", async function () {
+            await this.service.takeIssueRequest(0, {value: matchDepo, from: holder});
+            await time.increase(expiration.add(new BN(1)));
+            await this.service.expire(0);
+            expect(await this.service.matchedBondsCount()).to.be.bignumber.equal(new BN(0));
+            expect(ids(await this.service.getIssuerBonds(issuer, 0, 10))).to.deep.equal(['1']);
+            expect(ids(await this.service.getHolderBonds(holder, 0, 10))).to.deep.equal(['2']);
+        });
+        it("follows transferred rights", async function () {
+            await this.service.transferIssuerRights(anotherAccount, 0, {from: issuer});
+            await this.service.transferHolderRights(anotherAccount, 2, {from: holder});
+            expect(ids(await this.service.getIssuerBonds(issuer, 0, 10))).to.deep.equal(['1']);
+            expect(ids(await this.service.getIssuerBonds(anotherAccount, 0, 10))).to.deep.equal(['0']);
+            expect(ids(await this.service.getHolderBonds(anotherAccount, 0, 10))).to.deep.equal(['2']);
+            expect(await this.service.holderBondsCount(holder)).to.be.bignumber.equal(new BN(0));
+        });
+    });
+    describe('Position tokens', function () {
+
+        let deposit = ether("1");
+        let percent = new BN(155217);
+        let matchDepo = deposit.mul(new BN(100000)).div(percent);
+        let yearFee = new BN('10000');
+        let expiration = new BN(30*24*60*60);
+        let bondId = new BN(0);
+
+        beforeEach(async function () {
+            await this.service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+            await this.service.takeIssueRequest(bondId, { value: matchDepo, from: holder });
+        });
+
+        describe('reverts', function () {
+            it("setting the tokens twice", async function () {
+                await expectRevert(this.service.setTokens(this.issuerToken.address, this.holderToken.address), 'Tokens are already set');
+            });
+            it("setting tokens of another service", async function () {
+                let service = await BondService.new(this.settings.address);
+                await expectRevert(service.setTokens(this.issuerToken.address, this.holderToken.address), 'Tokens of another service');
+            });
+            it("setting the tokens by non-admin", async function () {
+                let service = await BondService.new(this.settings.address);
+                await expectRevert(service.setTokens(this.issuerToken.address, this.holderToken.address, {from: anotherAccount}), 'You have no access');
+            });
+            it("matching before the tokens are set", async function () {
+                let service = await BondService.new(this.settings.address);
+                await service.leverage(percent, expiration, yearFee, { from: issuer, value: deposit });
+                await expectRevert(service.takeIssueRequest(0, { value: matchDepo, from: holder }), "Tokens aren't set");
+            });
+            it("minting and burning by an account", async function () {
+                await expectRevert(this.issuerToken.mint(anotherAccount, 1, {from: anotherAccount}), 'You have no access');
+                await expectRevert(this.holderToken.burn(bondId, {from: holder}), 'You have no access');
+            });
+            it("notifying by an account", async function () {
+                await expectRevert(this.service.onPositionTransfer(holder, anotherAccount, bondId, {from: holder}), 'You have no access');
+            });
+        });
+
+        describe('success', function () {
+            it("mints the positions of a matched bond", async function () {
+                expect(await this.issuerToken.ownerOf(bondId)).to.equal(issuer);
+                expect(await this.holderToken.ownerOf(bondId)).to.equal(holder);
+                expect(await this.issuerToken.name()).to.equal('Timvi Bond Issuer');
+                expect(await this.holderToken.symbol()).to.equal('TBH');
+            });
+            it("moves the holder rights with the token", async function () {
+                const { logs } = await this.holderToken.transferFrom(holder, anotherAccount, bondId, {from: holder});
+                expectEvent.inLogs(logs, 'Transfer', { from: holder, to: anotherAccount, tokenId: bondId });
+
+                expect((await this.service.bonds(bondId)).holder).to.equal(anotherAccount);
+                expect(await this.service.holderBondsCount(holder)).to.be.bignumber.equal(new BN(0));
+                expect((await this.service.getHolderBonds(anotherAccount, 0, 10)).map(id => id.toString())).to.deep.equal(['0']);
+            });
+            it("expires to the holder token owner", async function () {
+                await this.holderToken.safeTransferFrom(holder, anotherAccount, bondId, {from: holder});
+                await time.increase(expiration.add(new BN(1)));
+                await this.service.expire(bondId);
+
+                expect(await this.logic.ownerOf(0)).to.equal(anotherAccount);
+                expect(await this.issuerToken.totalSupply()).to.be.bignumber.equal(new BN(0));
+                expect(await this.holderToken.totalSupply()).to.be.bignumber.equal(new BN(0));
+            });
+            it("lets the issuer token owner finish the bond", async function () {
+                await this.issuerToken.transferFrom(issuer, anotherAccount, bondId, {from: issuer});
+                await expectRevert(this.service.finish(bondId, {from: issuer}), 'You are not the issuer');
+
+                // The new issuer pays the holder fee
+                await this.token.transfer(anotherAccount, ether("1"), {from: holder});
+                await this.token.approve(this.service.address, constants.MAX_INT256, {from: anotherAccount});
+
+                await this.service.finish(bondId, {from: anotherAccount});
+                expect(await this.logic.ownerOf(0)).to.equal(anotherAccount);
+                expect(await this.issuerToken.balanceOf(anotherAccount)).to.be.bignumber.equal(new BN(0));
+            });
+            it("moves the token with the transferred rights", async function () {
+                const { logs } = await this.service.transferIssuerRights(anotherAccount, bondId, {from: issuer});
+                expectEvent.inLogs(logs, 'IssuerRightsTransferred', { from: issuer, to: anotherAccount, id: bondId });
+
+                expect(await this.issuerToken.ownerOf(bondId)).to.equal(anotherAccount);
+                expect((await this.service.bonds(bondId)).issuer).to.equal(anotherAccount);
+            });
+        });
+    });
     describe('Settings the issuer commission', function () {
         let commission = new BN(10000);
         describe('reverts', function () {
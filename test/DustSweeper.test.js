@@ -0,0 +1,79 @@
+const { ether } = require('openzeppelin-test-helpers');
+const { expect } = require('chai');
+const BN = web3.utils.BN;
+
+const { TBoxClient } = require('../sdk');
+const { DustSweeper } = require('../keeper');
+
+const Classic = artifacts.require('TBoxManager');
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const Oracle = artifacts.require('OracleContractMock');
+
+const silent = { log() {}, error() {} };
+
+contract('DustSweeper', function ([manager, owner, sweeperAccount, anotherAccount]) {
+    let lowGasPrice = new BN('1000000000');
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.logic = await Classic.new(this.settings.address);
+        this.token = await Token.new(this.settings.address);
+        this.oracle = await Oracle.new();
+        await this.settings.setTmvAddress(this.token.address);
+        await this.settings.setOracleAddress(this.oracle.address);
+        await this.settings.setContractManager(this.logic.address);
+
+        this.client = new TBoxClient(web3, this.logic.address, {
+            from: sweeperAccount,
+            artifacts: { TBoxManager: Classic, TimviSettings: Settings, TimviToken: Token },
+        });
+
+        // Boxes 0 and 1 are worth 2.5 USD at 50 USD per ETH
+        await this.logic.create(ether('1'), { from: owner, value: ether('0.05') });
+        await this.logic.create(0, { from: anotherAccount, value: ether('0.05') });
+        await this.logic.create(ether('10'), { from: sweeperAccount, value: ether('1') });
+        await this.oracle.setPrice(5000000);
+    });
+
+    it('lists dust Boxes only', async function () {
+        let sweeper = new DustSweeper(this.client, { gasPrice: lowGasPrice, logger: silent });
+        let candidates = await sweeper.candidates();
+        expect(candidates.map(c => c.id)).to.deep.equal(['0', '1']);
+        expect(candidates[0].bonus).to.be.bignumber.equal(ether('1').mul(new BN(3000)).div(new BN(5000000)));
+        expect(candidates[0].profitable).to.be.true;
+        expect(candidates[1].bonus).to.be.bignumber.equal(new BN(0));
+        expect(candidates[1].profitable).to.be.false;
+    });
+    it('sends nothing in report mode', async function () {
+        let sweeper = new DustSweeper(this.client, { gasPrice: lowGasPrice, report: true, logger: silent });
+        let candidates = await sweeper.sweep();
+        expect(candidates).to.have.lengthOf(2);
+        expect(await this.logic.totalSupply()).to.be.bignumber.equal(new BN(3));
+    });
+    it('closes Boxes when the bonus is larger than the gas cost', async function () {
+        let sweeper = new DustSweeper(this.client, { gasPrice: lowGasPrice, logger: silent });
+        let candidates = await sweeper.sweep();
+        expect(candidates[0].closed).to.be.true;
+        expect(candidates[1].closed).to.be.undefined;
+
+        let box = await this.logic.boxes(0);
+        expect(box[0]).to.be.bignumber.equal(new BN(0));
+        expect(await this.token.balanceOf(sweeperAccount)).to.be.bignumber.equal(ether('9'));
+    });
+    it('skips Boxes when the gas cost is larger than the bonus', async function () {
+        let sweeper = new DustSweeper(this.client, { logger: silent });
+        let candidates = await sweeper.sweep();
+        expect(candidates[0].profitable).to.be.false;
+        expect(await this.logic.totalSupply()).to.be.bignumber.equal(new BN(3));
+    });
+    it('skips Boxes it has no tokens to close', async function () {
+        await this.token.transfer(anotherAccount, ether('10'), { from: sweeperAccount });
+        let sweeper = new DustSweeper(this.client, { gasPrice: lowGasPrice, logger: silent });
+        let candidates = await sweeper.sweep();
+        expect(candidates[0].gasCost).to.be.null;
+        expect(candidates[0].profitable).to.be.false;
+        expect(await this.logic.totalSupply()).to.be.bignumber.equal(new BN(3));
+    });
+});
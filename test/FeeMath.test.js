@@ -0,0 +1,156 @@
+const { ether, expectEvent, expectRevert } = require('openzeppelin-test-helpers');
+const { expect } = require('chai');
+const BN = web3.utils.BN;
+
+const { math } = require('../sdk');
+
+const FeeMathMock = artifacts.require('FeeMathMock');
+const Settings = artifacts.require('TimviSettings');
+const Gate = artifacts.require('Gate');
+const BondService = artifacts.require('BondService');
+const LeverageService = artifacts.require('LeverageService');
+const Classic = artifacts.require('TBoxManager');
+const Token = artifacts.require('TimviToken');
+const Oracle = artifacts.require('OracleContractMock');
+
+// The number of random inputs per property
+const RUNS = 40;
+
+// Seeded generator, so a failing input can be reproduced
+function generator(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state;
+    };
+    // A random BN of up to `bits` bits
+    return bits => {
+        let value = new BN(0);
+        for (let i = 0; i < bits; i += 32) {
+            value = value.shln(32).add(new BN(next()));
+        }
+        return value.maskn(bits).shrn(next() % bits);
+    };
+}
+
+// Random amounts and percentages up to 200%, including the edge values
+function inputs(seed) {
+    const random = generator(seed);
+    const cases = [
+        [new BN(0), new BN(500)],
+        [new BN(1), new BN(99999)],
+        [new BN(100000), new BN(100000)],
+        [new BN('1000000000000000000'), new BN(0)],
+    ];
+    for (let i = 0; i < RUNS; i++) {
+        cases.push([random(128), random(18).mod(new BN(200001))]);
+    }
+    return cases;
+}
+
+contract('FeeMath', function ([manager, owner, anotherAccount]) {
+
+    beforeEach(async function () {
+        this.feeMath = await FeeMathMock.new();
+    });
+
+    it('uses the system divider', async function () {
+        expect(await this.feeMath.divider()).to.be.bignumber.equal(math.FEE_DIVIDER);
+    });
+
+    it('exposes the divider of the services', async function () {
+        const settings = await Settings.new();
+        expect(await (await BondService.new(settings.address)).divider()).to.be.bignumber.equal(math.FEE_DIVIDER);
+        expect(await (await LeverageService.new(settings.address)).divider()).to.be.bignumber.equal(math.FEE_DIVIDER);
+    });
+
+    it('rounds the share down', async function () {
+        for (const [amount, percent] of inputs(1)) {
+            const share = await this.feeMath.shareDown(amount, percent);
+            expect(share, amount + ' ' + percent).to.be.bignumber.equal(math.shareDown(amount, percent));
+            expect(share.mul(math.FEE_DIVIDER)).to.be.bignumber.at.most(amount.mul(percent));
+        }
+    });
+
+    it('deducts the share', async function () {
+        for (const [amount, percent] of inputs(3)) {
+            if (math.shareDown(amount, percent).gt(amount)) {
+                await expectRevert(this.feeMath.deduct(amount, percent), 'sub');
+                continue;
+            }
+            const rest = await this.feeMath.deduct(amount, percent);
+            expect(rest, amount + ' ' + percent).to.be.bignumber.equal(math.deduct(amount, percent));
+            expect(rest.add(math.shareDown(amount, percent))).to.be.bignumber.equal(amount);
+        }
+    });
+
+    it('rounds the Ether share of tokens down', async function () {
+        const random = generator(6);
+        for (const [amount, percent] of inputs(7)) {
+            const rate = random(32).addn(1);
+            const share = await this.feeMath.ethShareDown(amount, percent, rate);
+            expect(share, amount + ' ' + percent + ' ' + rate).to.be.bignumber.equal(math.ethShareDown(amount, percent, rate));
+            expect(share.mul(rate)).to.be.bignumber.at.most(amount.mul(percent));
+        }
+    });
+
+    it('restores the whole', async function () {
+        for (const [amount, percent] of inputs(4)) {
+            if (percent.isZero()) {
+                await expectRevert(this.feeMath.whole(amount, percent), 'div');
+                continue;
+            }
+            const value = await this.feeMath.whole(amount, percent);
+            expect(value, amount + ' ' + percent).to.be.bignumber.equal(math.whole(amount, percent));
+            expect(math.shareDown(value, percent)).to.be.bignumber.at.most(amount);
+        }
+    });
+
+    it('charges the Gate fee with the system divider', async function () {
+        const settings = await Settings.new();
+        const gate = await Gate.new(settings.address);
+        for (const [amount, percent] of inputs(5)) {
+            if (percent.gt(math.FEE_DIVIDER)) {
+                continue;
+            }
+            expect(await gate.chargeFee(amount, percent)).to.be.bignumber.equal(math.deduct(amount, percent));
+        }
+    });
+
+    describe('TBoxManager rewards', function () {
+        let deposit = ether('1');
+        let release = ether('66');
+
+        beforeEach(async function () {
+            this.settings = await Settings.new();
+            this.logic = await Classic.new(this.settings.address);
+            this.token = await Token.new(this.settings.address);
+            this.oracle = await Oracle.new();
+            await this.settings.setTmvAddress(this.token.address);
+            await this.settings.setOracleAddress(this.oracle.address);
+            await this.settings.setContractManager(this.logic.address);
+            await this.logic.create(release, { from: owner, value: deposit });
+            this.state = {
+                sysFee: await this.settings.sysFee(),
+                userFee: await this.settings.userFee(),
+            };
+        });
+
+        it('pays the capitalization reward rounded down', async function () {
+            await this.oracle.setPrice(7000000);
+            let tmv = await this.logic.maxCapAmount(0);
+            let expected = math.capitalization(Object.assign({ rate: new BN(7000000) }, this.state), tmv);
+            const { logs } = await this.logic.capitalize(0, tmv, { from: owner });
+            expectEvent.inLogs(logs, 'Capitalized', {
+                totalEth: expected.total,
+                userEth: expected.equivalent.add(expected.reward),
+            });
+        });
+        it('pays the liquidation reward rounded down', async function () {
+            await this.oracle.setPrice(6900000);
+            let userEth = math.ethShareDown(release, math.FEE_DIVIDER.add(this.state.userFee), new BN(6900000));
+            const { logs } = await this.logic.liquidate(0, { from: owner });
+            expectEvent.inLogs(logs, 'Liquidated', { userEth: userEth });
+        });
+    });
+});
@@ -0,0 +1,295 @@
+const { expectEvent, expectRevert, ether } = require('openzeppelin-test-helpers');
+const balance = require('./helpers/balances');
+const { expect } = require('chai');
+const BN = web3.utils.BN;
+
+const Classic = artifacts.require('TBoxManager');
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const Oracle = artifacts.require('OracleContractMock');
+const Gate = artifacts.require('Gate');
+const EtherRejector = artifacts.require('EtherRejectorMock');
+
+contract('Gate', function ([admin, owner, anotherAccount, funder]) {
+
+    // 100 TMV cost 1 ETH without the 0.5% fee
+    let tmv2eth = amount => amount.div(new BN(100)).mul(new BN(995)).div(new BN(1000));
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.logic = await Classic.new(this.settings.address);
+        this.token = await Token.new(this.settings.address);
+        this.oracle = await Oracle.new();
+        await this.settings.setTmvAddress(this.token.address);
+        await this.settings.setOracleAddress(this.oracle.address);
+        await this.settings.setContractManager(this.logic.address);
+        this.gate = await Gate.new(this.settings.address);
+
+        await this.logic.create(ether('50'), { from: owner, value: ether('1') });
+        await this.logic.create(ether('50'), { from: anotherAccount, value: ether('1') });
+        await this.token.approve(this.gate.address, ether('50'), { from: owner });
+        await this.token.approve(this.gate.address, ether('50'), { from: anotherAccount });
+    });
+
+    describe('Converting', function () {
+        it('queues an order when the Gate has no funds', async function () {
+            const { logs } = await this.gate.convert(ether('10'), { from: owner });
+            expectEvent.inLogs(logs, 'OrderCreated', { id: new BN(0), owner: owner, tmv: ether('10') });
+            expect(await this.token.balanceOf(this.gate.address)).to.be.bignumber.equal(ether('10'));
+        });
+        it('converts immediately when the queue is empty', async function () {
+            await this.gate.fundAdmin({ from: funder, value: ether('1') });
+            let tx = this.gate.convert(ether('10'), { from: owner });
+            expect(await balance.difference(this.gate.address, tx)).to.be.bignumber.equal(tmv2eth(ether('10')));
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(0));
+        });
+        it('queues behind the waiting orders even if it could be paid', async function () {
+            await this.gate.convert(ether('40'), { from: owner });
+            await this.gate.fundAdmin({ from: funder, value: ether('0.2') });
+            const { logs } = await this.gate.convert(ether('10'), { from: anotherAccount });
+            expectEvent.inLogs(logs, 'OrderCreated', { id: new BN(1), owner: anotherAccount });
+            expect(await balance.current(this.gate.address)).to.be.bignumber.equal(ether('0.2'));
+        });
+        it("doesn't settle the queue", async function () {
+            await this.gate.convert(ether('10'), { from: owner });
+            await this.gate.setQueueGasBudget(0, { from: admin });
+            await this.gate.fundAdmin({ from: funder, value: ether('1') });
+
+            const { logs } = await this.gate.convert(ether('10'), { from: anotherAccount });
+            expect(logs.map(log => log.event)).to.deep.equal(['OrderCreated']);
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(0));
+            expect((await this.gate.orders(0)).owner).to.equal(owner);
+        });
+        it('converts immediately once the waiting orders are cancelled', async function () {
+            await this.gate.convert(ether('10'), { from: owner });
+            await this.gate.setQueueGasBudget(0, { from: admin });
+            await this.gate.fundAdmin({ from: funder, value: ether('1') });
+            await this.gate.cancel(0, { from: owner });
+
+            const { logs } = await this.gate.convert(ether('10'), { from: anotherAccount });
+            expectEvent.inLogs(logs, 'Converted', { owner: anotherAccount, tmv: ether('10'), eth: tmv2eth(ether('10')) });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(1));
+        });
+    });
+
+    describe('Queue processing', function () {
+        beforeEach(async function () {
+            await this.gate.convert(ether('20'), { from: owner });
+            await this.gate.convert(ether('30'), { from: anotherAccount });
+            await this.gate.convert(ether('10'), { from: owner });
+        });
+
+        it('settles the oldest orders on funding', async function () {
+            let funds = tmv2eth(ether('50'));
+            const { logs } = await this.gate.fundAdmin({ from: funder, value: funds });
+            expect(logs.filter(log => log.event === 'OrderFilledPool').map(log => log.args.id.toString())).to.deep.equal(['0', '1']);
+            expectEvent.inLogs(logs, 'OrderFilledPool', { id: new BN(1), owner: anotherAccount, tmv: ether('30'), eth: tmv2eth(ether('30')) });
+
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(2));
+            expect((await this.gate.orders(2)).owner).to.equal(owner);
+            expect(await this.token.balanceOf(admin)).to.be.bignumber.equal(ether('50'));
+        });
+        it("doesn't let a later order get ahead", async function () {
+            // Enough for the third order but not for the second one
+            await this.gate.fundAdmin({ from: funder, value: tmv2eth(ether('25')) });
+
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(1));
+            expect((await this.gate.orders(1)).owner).to.equal(anotherAccount);
+            expect((await this.gate.orders(2)).owner).to.equal(owner);
+
+            let tx = this.gate.fundAdmin({ from: funder, value: tmv2eth(ether('25')) });
+            expect(await balance.difference(anotherAccount, tx)).to.be.bignumber.equal(tmv2eth(ether('30')));
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(2));
+        });
+        it('settles on plain Ether transfers', async function () {
+            await web3.eth.sendTransaction({ from: funder, to: this.gate.address, value: tmv2eth(ether('60')), gas: 1000000 });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(3));
+            expect(await balance.current(this.gate.address)).to.be.bignumber.equal(new BN(0));
+        });
+        it('skips cancelled and filled orders', async function () {
+            await this.gate.cancel(0, { from: owner });
+            await this.gate.multiFill(1, { from: admin, value: tmv2eth(ether('30')) });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(2));
+            await this.gate.fundAdmin({ from: funder, value: tmv2eth(ether('10')) });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(3));
+            expect((await this.gate.orders(1)).owner).to.equal('0x0000000000000000000000000000000000000000');
+        });
+        it('fills several orders in the queue order', async function () {
+            const { logs } = await this.gate.multiFill(2, { from: admin, value: tmv2eth(ether('50')) });
+            expect(logs.filter(log => log.event === 'OrderFilledPool').map(log => log.args.id.toString())).to.deep.equal(['0', '1']);
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(2));
+        });
+        it('reverts filling more orders than the funds pay for', async function () {
+            await expectRevert(this.gate.multiFill(2, { from: admin, value: tmv2eth(ether('30')) }), 'Not enough funds or orders');
+            await expectRevert(this.gate.multiFill(4, { from: admin, value: tmv2eth(ether('60')) }), 'Not enough funds or orders');
+        });
+        it('stays within the gas budget', async function () {
+            await this.gate.setQueueGasBudget(0, { from: admin });
+            await this.gate.fundAdmin({ from: funder, value: tmv2eth(ether('60')) });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(0));
+
+            const { logs } = await this.gate.processQueue(2, { from: funder });
+            expect(logs.map(log => log.event)).to.deep.equal(['OrderFilledPool', 'OrderFilledPool']);
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(2));
+
+            await this.gate.processQueue(10, { from: funder });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(3));
+        });
+        it('processes nothing without funds', async function () {
+            await this.gate.processQueue(10, { from: funder });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(0));
+        });
+    });
+
+    describe('Owners rejecting Ether', function () {
+        let amount = ether('10');
+
+        beforeEach(async function () {
+            this.rejector = await EtherRejector.new();
+            await this.token.transfer(this.rejector.address, amount, { from: owner });
+            await this.rejector.execute(this.token.address, this.token.contract.methods.approve(this.gate.address, amount.toString()).encodeABI());
+            await this.rejector.execute(this.gate.address, this.gate.contract.methods.convert(amount.toString()).encodeABI());
+            await this.gate.convert(ether('20'), { from: owner });
+        });
+
+        it('keeps the Ether for claiming and settles the next orders', async function () {
+            await this.gate.fundAdmin({ from: funder, value: tmv2eth(ether('30')) });
+            expect(await this.gate.queueHead()).to.be.bignumber.equal(new BN(2));
+            expect(await this.gate.claimable(this.rejector.address)).to.be.bignumber.equal(tmv2eth(amount));
+            expect(await this.gate.totalClaimable()).to.be.bignumber.equal(tmv2eth(amount));
+            expect(await this.token.balanceOf(admin)).to.be.bignumber.equal(ether('30'));
+        });
+        it("doesn't withdraw the claimable Ether", async function () {
+            await this.gate.fundAdmin({ from: funder, value: tmv2eth(amount) });
+            await expectRevert(this.gate.withdraw(admin, tmv2eth(amount), { from: admin }), 'Insufficient funds');
+        });
+        it('sends the claimed Ether to the beneficiary', async function () {
+            await this.gate.fundAdmin({ from: funder, value: tmv2eth(amount) });
+            let tx = this.rejector.execute(this.gate.address, this.gate.contract.methods.claim(anotherAccount).encodeABI());
+            expect(await balance.difference(anotherAccount, tx)).to.be.bignumber.equal(tmv2eth(amount));
+            expect(await this.gate.claimable(this.rejector.address)).to.be.bignumber.equal(new BN(0));
+            expect(await this.gate.totalClaimable()).to.be.bignumber.equal(new BN(0));
+        });
+        it('reverts claiming nothing', async function () {
+            await expectRevert(this.gate.claim(owner, { from: owner }), 'There is nothing to claim');
+        });
+    });
+
+    describe('Partial filling', function () {
+        beforeEach(async function () {
+            await this.gate.convert(ether('30'), { from: owner });
+        });
+
+        describe('reverts', function () {
+            it('a too small part', async function () {
+                await expectRevert(this.gate.fillPart(0, ether('0.5'), { from: funder, value: ether('1') }), 'Too small amount');
+            });
+            it('a part exceeding the order', async function () {
+                await expectRevert(this.gate.fillPart(0, ether('31'), { from: funder, value: ether('1') }), 'The part exceeds the order');
+            });
+            it('a too small remainder', async function () {
+                await expectRevert(this.gate.fillPart(0, ether('29.5'), { from: funder, value: ether('1') }), 'Too small remainder');
+            });
+            it('not enough funds', async function () {
+                await expectRevert(this.gate.fillPart(0, ether('10'), { from: funder, value: ether('0.09') }), 'Not enough funds');
+            });
+        });
+
+        describe('success', function () {
+            it('keeps the rest queued', async function () {
+                const { logs } = await this.gate.fillPart(0, ether('10'), { from: funder, value: ether('0.2') });
+                expectEvent.inLogs(logs, 'OrderFilled', {
+                    id: new BN(0),
+                    owner: owner,
+                    tmvTotal: ether('10'),
+                    tmvExecution: ether('9.95'),
+                    ethTotal: ether('0.1'),
+                    ethExecution: ether('0.0995'),
+                    tmvRemainder: ether('20'),
+                });
+                let order = await this.gate.orders(0);
+                expect(order.owner).to.equal(owner);
+                expect(order.amount).to.be.bignumber.equal(ether('20'));
+                expect(await this.token.balanceOf(funder)).to.be.bignumber.equal(ether('9.95'));
+            });
+            it('drains an order by several fillers', async function () {
+                await this.gate.fillPart(0, ether('10'), { from: funder, value: ether('0.1') });
+                let tx = this.gate.fillPart(0, ether('20'), { from: anotherAccount, value: ether('0.2') });
+                expect(await balance.difference(owner, tx)).to.be.bignumber.equal(ether('0.199'));
+
+                expect((await this.gate.orders(0)).owner).to.equal('0x0000000000000000000000000000000000000000');
+                expect(await this.token.balanceOf(this.gate.address)).to.be.bignumber.equal(new BN(0));
+            });
+            it('settles the rest from the queue', async function () {
+                await this.gate.fillPart(0, ether('10'), { from: funder, value: ether('0.1') });
+                const { logs } = await this.gate.fundAdmin({ from: funder, value: tmv2eth(ether('20')) });
+                expectEvent.inLogs(logs, 'OrderFilledPool', { id: new BN(0), tmv: ether('20'), eth: tmv2eth(ether('20')) });
+            });
+        });
+    });
+
+    describe('Price protection', function () {
+        beforeEach(async function () {
+            await this.gate.fundAdmin({ from: funder, value: ether('1') });
+        });
+
+        it('reverts when the payout is below the minimum', async function () {
+            await this.oracle.setPrice(20000000);
+            await expectRevert(this.gate.convertMin(ether('10'), tmv2eth(ether('10')), { from: owner }), 'Payout is below the minimum');
+        });
+        it('reverts when the fee grows', async function () {
+            await this.gate.setEthFee(1000, { from: admin });
+            await expectRevert(this.gate.convertMin(ether('10'), tmv2eth(ether('10')), { from: owner }), 'Payout is below the minimum');
+        });
+        it("reverts instead of queueing", async function () {
+            await this.gate.withdraw(admin, ether('1'), { from: admin });
+            await expectRevert(this.gate.convertMin(ether('10'), tmv2eth(ether('10')), { from: owner }), 'Can\'t convert immediately');
+        });
+        it('queues without the minimum', async function () {
+            await this.gate.withdraw(admin, ether('1'), { from: admin });
+            const { logs } = await this.gate.convertMin(ether('10'), 0, { from: owner });
+            expectEvent.inLogs(logs, 'OrderCreated', { id: new BN(0), owner: owner, tmv: ether('10') });
+        });
+        it('converts when the payout is enough', async function () {
+            const { logs } = await this.gate.convertMin(ether('10'), tmv2eth(ether('10')), { from: owner });
+            expectEvent.inLogs(logs, 'Converted', { owner: owner, tmv: ether('10'), eth: tmv2eth(ether('10')) });
+        });
+    });
+
+    describe('Pausing', function () {
+        beforeEach(async function () {
+            await this.gate.convert(ether('10'), { from: owner });
+            await this.settings.pauseModule(this.gate.address, { from: admin });
+        });
+
+        it('reverts converting and filling', async function () {
+            await expectRevert(this.gate.convert(ether('10'), { from: owner }), 'System is paused');
+            await expectRevert(this.gate.convertMin(ether('10'), 0, { from: owner }), 'System is paused');
+            await expectRevert(this.gate.fill(0, { from: funder, value: ether('0.1') }), 'System is paused');
+            await expectRevert(this.gate.fillPart(0, ether('5'), { from: funder, value: ether('0.1') }), 'System is paused');
+        });
+        it('keeps cancelling open', async function () {
+            await this.gate.cancel(0, { from: owner });
+            expect(await this.token.balanceOf(owner)).to.be.bignumber.equal(ether('50'));
+        });
+        it('resumes after unpausing', async function () {
+            await this.settings.unpauseModule(this.gate.address, { from: admin });
+            await this.gate.convert(ether('10'), { from: owner });
+        });
+    });
+
+    describe('Setting the queue gas budget', function () {
+        it('reverts by non-admin', async function () {
+            await expectRevert(this.gate.setQueueGasBudget(100000, { from: owner }), 'You have no access');
+        });
+        it('reverts too much', async function () {
+            await expectRevert(this.gate.setQueueGasBudget(5000001, { from: admin }), 'Too much');
+        });
+        it('sets the value', async function () {
+            const { logs } = await this.gate.setQueueGasBudget(100000, { from: admin });
+            expectEvent.inLogs(logs, 'GateQueueGasBudgetUpdated', { value: new BN(100000) });
+            expect(await this.gate.queueGasBudget()).to.be.bignumber.equal(new BN(100000));
+        });
+    });
+});
@@ -0,0 +1,237 @@
+const { ether } = require('openzeppelin-test-helpers');
+const { expect } = require('chai');
+const http = require('http');
+const BN = web3.utils.BN;
+
+const { Indexer, createServer } = require('../indexer');
+const { handle } = require('../indexer/server');
+
+const Classic = artifacts.require('TBoxManager');
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const Oracle = artifacts.require('OracleContractMock');
+const BondService = artifacts.require('BondService');
+const BondToken = artifacts.require('BondToken');
+const LeverageService = artifacts.require('LeverageService');
+const Gate = artifacts.require('Gate');
+const EtherRejector = artifacts.require('EtherRejectorMock');
+
+// Resolves with the status and the parsed body of a GET request
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ port: port, path: path }, response => {
+            let data = '';
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data) }));
+        }).on('error', reject);
+    });
+}
+
+contract('Indexer', function ([manager, owner, holder, anotherAccount]) {
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.logic = await Classic.new(this.settings.address);
+        this.token = await Token.new(this.settings.address);
+        this.oracle = await Oracle.new();
+        await this.settings.setTmvAddress(this.token.address);
+        await this.settings.setOracleAddress(this.oracle.address);
+        await this.settings.setContractManager(this.logic.address);
+        this.bondService = await BondService.new(this.settings.address);
+        this.issuerToken = await BondToken.new('Timvi Bond Issuer', 'TBI', this.bondService.address);
+        this.holderToken = await BondToken.new('Timvi Bond Holder', 'TBH', this.bondService.address);
+        await this.bondService.setTokens(this.issuerToken.address, this.holderToken.address);
+        this.leverageService = await LeverageService.new(this.settings.address);
+        this.gate = await Gate.new(this.settings.address);
+
+        this.indexer = new Indexer(web3, {
+            TBoxManager: this.logic.address,
+            BondService: this.bondService.address,
+            LeverageService: this.leverageService.address,
+            Gate: this.gate.address,
+        }, {
+            fromBlock: await web3.eth.getBlockNumber(),
+            artifacts: { TBoxManager: Classic, BondService: BondService, LeverageService: LeverageService, Gate: Gate },
+        });
+        this.store = this.indexer.store;
+
+        // Boxes 0 and 1, the second one is closed
+        await this.logic.create(ether('10'), { from: owner, value: ether('1') });
+        await this.logic.create(ether('10'), { from: anotherAccount, value: ether('1') });
+        await this.logic.close(1, { from: anotherAccount });
+
+        // Bond 0 is matched into Box 2, Bond 1 stays open
+        await this.bondService.leverage(new BN('150000'), 30 * 24 * 60 * 60, 10000, { from: owner, value: ether('1') });
+        await this.bondService.exchange(30 * 24 * 60 * 60, 10000, { from: holder, value: ether('1') });
+        await this.bondService.takeIssueRequest(0, { from: holder, value: new BN('666666666666666666') });
+
+        // Order 0 stays open, order 1 is closed
+        await this.leverageService.create(new BN('150000'), { from: owner, value: ether('1') });
+        await this.leverageService.create(0, { from: anotherAccount, value: ether('1') });
+        await this.leverageService.close(1, { from: anotherAccount });
+
+        // The Gate has no ether, so conversions are queued
+        await this.token.approve(this.gate.address, ether('10'), { from: owner });
+        await this.gate.convert(ether('5'), { from: owner });
+        await this.gate.convert(ether('2'), { from: owner });
+        await this.gate.cancel(0, { from: owner });
+
+        await this.indexer.sync();
+    });
+
+    describe('Store', function () {
+        it('tracks the existing Boxes', async function () {
+            let boxes = this.store.boxesOf(owner);
+            expect(boxes).to.have.lengthOf(1);
+            expect(boxes[0].id.toString()).to.equal('0');
+            expect(this.store.boxes.get('1')).to.equal(undefined);
+            expect(this.store.entityEvents('Box', 1).map(e => e.event)).to.include('Closed');
+            expect(this.store.boxesOf(this.bondService.address)).to.have.lengthOf(1);
+        });
+        it('tracks the Bonds', async function () {
+            let open = this.store.openBonds();
+            expect(open).to.have.lengthOf(1);
+            expect(open[0].id).to.equal('1');
+            expect(open[0].type).to.equal('buy');
+            expect(open[0].holder).to.equal(holder);
+
+            let bond = this.store.bonds.get('0');
+            expect(bond.status).to.equal('matched');
+            expect(bond.issuer).to.equal(owner);
+            expect(bond.holder).to.equal(holder);
+            expect(bond.tBoxId).to.equal('2');
+            expect(bond.expiresAt - bond.createdAt).to.equal(30 * 24 * 60 * 60);
+            expect(bond.feePaidAt).to.equal(bond.createdAt);
+        });
+        it('tracks the LeverageService orders', async function () {
+            let open = this.store.openLeverageOrders();
+            expect(open).to.have.lengthOf(1);
+            expect(open[0].type).to.equal('leverage');
+            expect(open[0].owner).to.equal(owner);
+            expect(this.store.leverageOrders.get('1').status).to.equal('closed');
+        });
+        it('tracks the Gate queue', async function () {
+            let queue = this.store.gateQueue();
+            expect(queue).to.have.lengthOf(1);
+            expect(queue[0].id).to.equal('1');
+            expect(queue[0].amount).to.be.bignumber.equal(ether('2'));
+            expect(this.store.gateOrders.get('0').status).to.equal('cancelled');
+        });
+        it('keeps the history of an account in the mining order', async function () {
+            let history = this.store.historyOf(anotherAccount);
+            expect(history.map(e => e.contract + '.' + e.event)).to.deep.equal([
+                'TBoxManager.Transfer',
+                'TBoxManager.Created',
+                'TBoxManager.Transfer',
+                'TBoxManager.Closed',
+                'LeverageService.OrderCreated',
+                'LeverageService.OrderClosed',
+            ]);
+        });
+        it('keeps the shutdown payouts in the account history', async function () {
+            await this.settings.emergencyShutdown(await this.oracle.ethUsdPrice());
+            await this.logic.settle(0, { from: anotherAccount });
+            await this.logic.settle(2, { from: anotherAccount });
+            await this.logic.redeem(ether('1'), { from: owner });
+            await this.logic.withdrawSurplus({ from: owner });
+            await this.indexer.sync();
+
+            let history = this.store.historyOf(owner).slice(-2);
+            expect(history.map(e => e.contract + '.' + e.event)).to.deep.equal([
+                'TBoxManager.Redeemed',
+                'TBoxManager.SurplusWithdrawn',
+            ]);
+            expect(history[0].type).to.equal('ShutdownPayout');
+            expect(history[0].id).to.equal(null);
+            expect(history[0].values.tmvAmount).to.equal(ether('1').toString());
+        });
+        it('keeps the Gate claims in the account history', async function () {
+            let rejector = await EtherRejector.new();
+            await this.token.transfer(rejector.address, ether('1'), { from: owner });
+            await rejector.execute(this.token.address, this.token.contract.methods.approve(this.gate.address, ether('1').toString()).encodeABI());
+            await rejector.execute(this.gate.address, this.gate.contract.methods.convert(ether('1').toString()).encodeABI());
+            await this.gate.fundAdmin({ from: manager, value: ether('1') });
+            await rejector.execute(this.gate.address, this.gate.contract.methods.claim(anotherAccount).encodeABI());
+            await this.indexer.sync();
+
+            let claim = this.store.historyOf(anotherAccount).slice(-1)[0];
+            expect(claim.contract + '.' + claim.event).to.equal('Gate.Claimed');
+            expect(claim.type).to.equal('GateClaim');
+            expect(claim.values.owner).to.equal(rejector.address);
+            expect(this.store.historyOf(rejector.address).map(e => e.event)).to.include('Claimed');
+        });
+        it('skips the events of entities created before the first block', async function () {
+            let indexer = new Indexer(web3, {
+                TBoxManager: this.logic.address,
+                BondService: this.bondService.address,
+                LeverageService: this.leverageService.address,
+                Gate: this.gate.address,
+            }, {
+                fromBlock: await web3.eth.getBlockNumber() + 1,
+                artifacts: { TBoxManager: Classic, BondService: BondService, LeverageService: LeverageService, Gate: Gate },
+            });
+            await this.logic.addEth(0, { from: owner, value: ether('1') });
+            await this.bondService.close(1, { from: holder });
+            await this.leverageService.close(0, { from: owner });
+            await this.gate.cancel(1, { from: owner });
+            await this.gate.convert(ether('1'), { from: owner });
+
+            expect(await indexer.sync()).to.equal(1);
+            expect(indexer.store.boxes.size).to.equal(0);
+            expect(indexer.store.bonds.size).to.equal(0);
+            expect(indexer.store.leverageOrders.size).to.equal(0);
+            expect(indexer.store.gateQueue().map(o => o.id)).to.deep.equal(['2']);
+        });
+        it('indexes new events only once', async function () {
+            expect(await this.indexer.sync()).to.equal(0);
+            await this.bondService.close(1, { from: holder });
+            expect(await this.indexer.sync()).to.equal(1);
+            expect(this.store.openBonds()).to.have.lengthOf(0);
+            expect(this.store.lastBlock).to.equal(await web3.eth.getBlockNumber());
+        });
+    });
+
+    describe('API', function () {
+        beforeEach(async function () {
+            this.server = createServer(this.store);
+            await new Promise(resolve => this.server.listen(0, resolve));
+            this.port = this.server.address().port;
+        });
+
+        afterEach(async function () {
+            await new Promise(resolve => this.server.close(resolve));
+        });
+
+        it('serves the Boxes of an account', async function () {
+            let response = await get(this.port, '/boxes?owner=' + owner);
+            expect(response.status).to.equal(200);
+            expect(response.body).to.have.lengthOf(1);
+            expect(response.body[0].collateral).to.equal(ether('1').toString());
+        });
+        it('serves the open Bonds, LeverageService orders and the Gate queue', async function () {
+            expect((await get(this.port, '/bonds/open')).body.map(b => b.id)).to.deep.equal(['1']);
+            expect((await get(this.port, '/leverage/open')).body.map(o => o.id)).to.deep.equal(['0']);
+            expect((await get(this.port, '/gate/queue')).body.map(o => o.id)).to.deep.equal(['1']);
+        });
+        it('serves entities with their events', async function () {
+            let response = await get(this.port, '/bonds/0');
+            expect(response.body.current.status).to.equal('matched');
+            expect(response.body.history.map(e => e.event)).to.deep.equal(['BondCreated', 'BondMatched']);
+
+            response = await get(this.port, '/boxes/1');
+            expect(response.status).to.equal(200);
+            expect(response.body.current).to.equal(null);
+        });
+        it('serves the history of an account', async function () {
+            let response = await get(this.port, '/accounts/' + holder + '/history');
+            expect(response.body.map(e => e.event)).to.deep.equal(['BondCreated', 'BondMatched']);
+        });
+        it('responds with errors', async function () {
+            expect((await get(this.port, '/boxes')).status).to.equal(400);
+            expect((await get(this.port, '/boxes/100')).status).to.equal(404);
+            expect((await get(this.port, '/unknown')).status).to.equal(404);
+            expect(handle(this.store, 'POST', '/status').status).to.equal(405);
+        });
+    });
+});
@@ -0,0 +1,188 @@
+const { ether, time } = require('openzeppelin-test-helpers');
+const { expect } = require('chai');
+const BN = web3.utils.BN;
+
+const { TBoxClient } = require('../sdk');
+const { Keeper } = require('../keeper');
+
+const Classic = artifacts.require('TBoxManager');
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const Oracle = artifacts.require('OracleContractMock');
+
+const silent = { log() {}, error() {} };
+
+contract('Keeper', function ([manager, owner, keeperAccount, anotherAccount]) {
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.logic = await Classic.new(this.settings.address);
+        this.token = await Token.new(this.settings.address);
+        this.oracle = await Oracle.new();
+        await this.settings.setTmvAddress(this.token.address);
+        await this.settings.setOracleAddress(this.oracle.address);
+        await this.settings.setContractManager(this.logic.address);
+
+        this.client = new TBoxClient(web3, this.logic.address, {
+            from: keeperAccount,
+            artifacts: { TBoxManager: Classic, TimviSettings: Settings, TimviToken: Token },
+        });
+        this.keeper = new Keeper(this.client, {
+            fromBlock: await web3.eth.getBlockNumber(),
+            minInventory: ether('30'),
+            targetInventory: ether('100'),
+            inventoryDeposit: ether('5'),
+            logger: silent,
+        });
+
+        // Box 0 becomes capitalizable at 70 USD
+        await this.logic.create(ether('66'), { from: owner, value: ether('1') });
+        await this.logic.create(ether('10'), { from: anotherAccount, value: ether('1') });
+    });
+
+    describe('Indexing', function () {
+        it('tracks every Box from events', async function () {
+            await this.logic.addEth(0, { from: anotherAccount, value: ether('0.5') });
+            await this.logic.withdrawEth(1, ether('0.2'), { from: anotherAccount });
+            await this.logic.addTmv(0, ether('6'), { from: owner });
+            await this.logic.withdrawTmv(1, ether('2'), { from: anotherAccount });
+            await this.logic.create(0, { from: owner, value: ether('1') });
+            await this.logic.close(2, { from: owner });
+            await this.logic.transferFrom(anotherAccount, owner, 1, { from: anotherAccount });
+
+            await this.keeper.sync();
+
+            expect(this.keeper.index.size).to.equal(2);
+            for (let id = 0; id < 2; id++) {
+                let box = await this.logic.boxes(id);
+                expect(this.keeper.index.get(id).collateral).to.be.bignumber.equal(box[0]);
+                expect(this.keeper.index.get(id).tmvReleased).to.be.bignumber.equal(box[1]);
+            }
+            expect(this.keeper.index.get(1).owner).to.equal(owner);
+        });
+        it('tracks capitalizations', async function () {
+            await this.oracle.setPrice(7000000);
+            await this.logic.capitalizeMax(0, { from: owner });
+            await this.keeper.sync();
+            let box = await this.logic.boxes(0);
+            expect(this.keeper.index.get(0).collateral).to.be.bignumber.equal(box[0]);
+            expect(this.keeper.index.get(0).tmvReleased).to.be.bignumber.equal(box[1]);
+        });
+        it('drops liquidated Boxes', async function () {
+            await this.token.transfer(anotherAccount, ether('66'), { from: owner });
+            await this.oracle.setPrice(6000000);
+            await this.logic.liquidate(0, { from: anotherAccount });
+            await this.keeper.sync();
+            expect(this.keeper.index.size).to.equal(1);
+            expect(this.keeper.index.get(0)).to.be.undefined;
+        });
+        it('skips the events of Boxes created before the first block', async function () {
+            let keeper = new Keeper(this.client, {
+                fromBlock: await web3.eth.getBlockNumber() + 1,
+                logger: silent,
+            });
+            await this.logic.addEth(0, { from: owner, value: ether('0.5') });
+            await this.logic.close(1, { from: anotherAccount });
+            await this.logic.create(0, { from: owner, value: ether('1') });
+
+            await keeper.sync();
+
+            expect(keeper.index.size).to.equal(1);
+            expect(keeper.index.get(2).owner).to.equal(owner);
+            expect(keeper.index.get(0)).to.be.undefined;
+        });
+        it('counts oracle price updates', async function () {
+            await this.oracle.setPrice(9000000);
+            await this.oracle.setPrice(8000000);
+            let changes = await this.keeper.sync();
+            expect(changes.priceUpdates).to.equal(2);
+            expect(changes.boxEvents).to.be.above(0);
+        });
+    });
+
+    describe('Capitalization', function () {
+        it('does nothing while Boxes are healthy', async function () {
+            let done = await this.keeper.tick();
+            expect(done).to.have.lengthOf(0);
+            expect(await this.token.balanceOf(keeperAccount)).to.be.bignumber.equal(new BN(0));
+        });
+        it('finds capitalizable Boxes', async function () {
+            await this.oracle.setPrice(7000000);
+            await this.keeper.sync();
+            let candidates = this.keeper.candidates(await this.client.state());
+            expect(candidates).to.have.lengthOf(1);
+            expect(candidates[0].id).to.equal('0');
+            expect(candidates[0].amount).to.be.bignumber.equal(await this.logic.maxCapAmount(0));
+        });
+        it('finds the Boxes made toxic by the accrued stability fee', async function () {
+            // At 75 USD Box 0 is healthy until a year of 5% fee is added to its debt
+            await this.oracle.setPrice(7500000);
+            await this.keeper.sync();
+            expect(this.keeper.candidates(await this.client.state())).to.have.lengthOf(0);
+
+            await this.settings.setStabilityFee(5000);
+            await time.increase(365 * 24 * 60 * 60);
+            let candidates = this.keeper.candidates(await this.client.state());
+            expect(candidates.map(c => c.id)).to.deep.equal(['0']);
+            expect(candidates[0].percent).to.be.bignumber.equal(await this.logic.collateralPercent(0));
+            expect(candidates[0].amount).to.be.bignumber.equal(await this.logic.maxCapAmount(0));
+            expect(this.keeper.index.get(0).tmvReleased).to.be.bignumber.equal(ether('66'));
+        });
+        it('capitalizes a toxic Box on a price update', async function () {
+            await this.keeper.tick();
+            await this.oracle.setPrice(7000000);
+            let expected = await this.logic.maxCapAmount(0);
+
+            let done = await this.keeper.tick();
+
+            expect(done).to.have.lengthOf(1);
+            expect(done[0].amount).to.be.bignumber.equal(expected);
+            let box = await this.logic.boxes(0);
+            expect(box[1]).to.be.bignumber.equal(ether('66').sub(expected));
+            let percent = await this.logic.collateralPercent(0);
+            expect(percent).to.be.bignumber.gte(await this.settings.maxStability());
+        });
+        it('opens its own Box to fill the inventory', async function () {
+            await this.oracle.setPrice(7000000);
+            await this.keeper.tick();
+
+            let inventoryBox = this.keeper.inventoryBox;
+            expect(inventoryBox).to.equal('2');
+            expect(await this.logic.ownerOf(inventoryBox)).to.equal(keeperAccount);
+            let box = await this.logic.boxes(inventoryBox);
+            expect(box[1]).to.be.bignumber.equal(ether('100'));
+        });
+        it('refills the inventory from its own Box', async function () {
+            await this.logic.create(ether('10'), { from: keeperAccount, value: ether('5') });
+            let keeper = new Keeper(this.client, {
+                minInventory: ether('30'),
+                targetInventory: ether('50'),
+                inventoryBox: 2,
+                logger: silent,
+            });
+            await keeper.sync();
+            let balance = await keeper.ensureInventory();
+            expect(balance).to.be.bignumber.equal(ether('50'));
+            expect(await this.token.balanceOf(keeperAccount)).to.be.bignumber.equal(ether('50'));
+        });
+        it('stays under the gas price limit', async function () {
+            this.keeper.gasPrice = new BN('30000000000');
+            await this.settings.setGasPriceLimit(new BN('10000000000'));
+            await this.oracle.setPrice(7000000);
+            await this.keeper.tick();
+
+            let events = await this.logic.getPastEvents('Capitalized', { fromBlock: 0 });
+            expect(events).to.have.lengthOf(1);
+            let tx = await web3.eth.getTransaction(events[0].transactionHash);
+            expect(new BN(tx.gasPrice)).to.be.bignumber.equal(new BN('10000000000'));
+        });
+        it('skips its own Boxes', async function () {
+            await this.logic.create(ether('66'), { from: keeperAccount, value: ether('1') });
+            await this.oracle.setPrice(7000000);
+            await this.keeper.sync();
+            let candidates = this.keeper.candidates(await this.client.state());
+            expect(candidates.map(c => c.id)).to.deep.equal(['0']);
+        });
+    });
+});
@@ -1,4 +1,4 @@
-const {constants, expectEvent, expectRevert, ether } = require('openzeppelin-test-helpers');
+const {constants, expectEvent, expectRevert, ether, time } = require('openzeppelin-test-helpers');
 const balance = require('./helpers/balances');
 const { expect } = require('chai');
 const BN = web3.utils.BN;
@@ -356,6 +356,244 @@ contract('LeverageService', function ([_, owner, anotherAccount]) {
             });
         });
     });
+    describe('Limit orders', function () {
+
+        let deposit = ether("1");
+        let percent = new BN(150000);
+        let matchDepo = deposit.mul(new BN(100000)).div(percent);
+        let minRate = new BN(9000000);
+        let maxRate = new BN(11000000);
+        let period = new BN(24*60*60);
+        let deadline;
+
+        beforeEach(async function () {
+            await this.logic.create(1, { from: owner, value: deposit.mul(new BN(10)) });
+            deadline = (await time.latest()).add(period);
+            await this.service.createLimit(percent, minRate, maxRate, deadline, { from: owner, value: deposit });
+            await this.service.createLimit(0, minRate, maxRate, deadline, { from: owner, value: deposit });
+        });
+
+        describe('reverts', function () {
+            it("creating with an invalid rate range", async function () {
+                await expectRevert(this.service.createLimit(percent, maxRate, minRate, 0, { from: owner, value: deposit }), 'Rate range is invalid');
+            });
+            it("creating with a past deadline", async function () {
+                await expectRevert(this.service.createLimit(percent, 0, 0, await time.latest(), { from: owner, value: deposit }), 'Deadline has passed');
+            });
+            it("matching below the minimum rate", async function () {
+                await this.oracle.setPrice(8000000);
+                await expectRevert(this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount }), 'Rate out of range');
+                await expectRevert(this.service.takeExchangeOrder(1, { value: deposit.mul(new BN(2)), from: anotherAccount }), 'Rate out of range');
+            });
+            it("matching above the maximum rate", async function () {
+                await this.oracle.setPrice(12000000);
+                await expectRevert(this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount }), 'Rate out of range');
+                await expectRevert(this.service.takeExchangeOrder(1, { value: deposit.mul(new BN(2)), from: anotherAccount }), 'Rate out of range');
+            });
+            it("matching after the deadline", async function () {
+                await time.increase(period.add(new BN(1)));
+                await expectRevert(this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount }), 'Order expired');
+                await expectRevert(this.service.takeExchangeOrder(1, { value: deposit.mul(new BN(2)), from: anotherAccount }), 'Order expired');
+            });
+            it("expiring before the deadline", async function () {
+                await expectRevert(this.service.expire(0, { from: anotherAccount }), "Order hasn't expired");
+            });
+            it("expiring an order without a deadline", async function () {
+                await this.service.create(percent, { from: owner, value: deposit });
+                await time.increase(period.add(new BN(1)));
+                await expectRevert(this.service.expire(2, { from: anotherAccount }), "Order hasn't expired");
+            });
+            it("expiring a non-existent order", async function () {
+                await this.service.close(0, { from: owner });
+                await time.increase(period.add(new BN(1)));
+                await expectRevert(this.service.expire(0, { from: anotherAccount }), "Order doesn't exist");
+            });
+        });
+        describe('success', function () {
+            it("stores and emits the terms", async function () {
+                const { logs } = await this.service.createLimit(percent, minRate, 0, 0, { from: owner, value: deposit });
+                expectEvent.inLogs(logs, 'OrderCreated', {
+                    id: new BN(2),
+                    percent: percent,
+                    minRate: minRate,
+                    maxRate: new BN(0),
+                    deadline: new BN(0),
+                });
+                let order = await this.service.orders(0);
+                expect(order.minRate).to.be.bignumber.equal(minRate);
+                expect(order.maxRate).to.be.bignumber.equal(maxRate);
+                expect(order.deadline).to.be.bignumber.equal(deadline);
+            });
+            it("matches within the terms", async function () {
+                await this.oracle.setPrice(maxRate);
+                await this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount });
+                await this.service.takeExchangeOrder(1, { value: deposit.mul(new BN(2)), from: anotherAccount });
+                expect(await this.logic.ownerOf(1)).to.equal(owner);
+                expect(await this.logic.ownerOf(2)).to.equal(anotherAccount);
+            });
+            it("refunds expired orders to the owner", async function () {
+                await time.increase(period.add(new BN(1)));
+                let tx = this.service.expire(0, { from: anotherAccount });
+                expect(await balance.difference(owner, tx)).to.be.bignumber.equal(deposit);
+
+                const { logs } = await this.service.expire(1, { from: anotherAccount });
+                expectEvent.inLogs(logs, 'OrderExpired', { id: new BN(1), owner: owner, who: anotherAccount });
+                expect((await this.service.orders(1)).owner).to.equal(ZERO_ADDRESS);
+            });
+        });
+    });
+    describe('Batch matching', function () {
+
+        let percent = new BN(150000);
+        let divider = new BN(100000);
+        let tmvPerEth = new BN(100);
+        let costs;
+
+        beforeEach(async function () {
+            await this.logic.create(1, { from: owner, value: ether("10") });
+            await this.service.create(percent, { from: owner, value: ether("1") });
+            await this.service.create(percent, { from: owner, value: ether("2") });
+            await this.service.create(new BN(200000), { from: owner, value: ether("1") });
+            await this.service.create(0, { from: owner, value: ether("1") });
+            await this.service.create(0, { from: owner, value: ether("2") });
+            // The rate is out of the range of Order 5
+            await this.service.createLimit(percent, new BN(20000000), 0, 0, { from: owner, value: ether("1") });
+            costs = [ether("1").mul(divider).div(percent), ether("2").mul(divider).div(percent)];
+        });
+
+        describe('reverts', function () {
+            it("when ETH isn't enough", async function () {
+                let value = costs[0].add(costs[1]).sub(new BN(1));
+                await expectRevert(this.service.takeLeverageOrders([0, 1], { value: value, from: anotherAccount }), 'Not enough ETH');
+                await expectRevert(this.service.takeExchangeOrders([3, 4], 200000, { value: ether("5"), from: anotherAccount }), 'Not enough ETH');
+            });
+            it("when there are no matchable orders", async function () {
+                await this.service.close(0, { from: owner });
+                await expectRevert(this.service.takeLeverageOrders([0, 3, 5], { value: ether("1"), from: anotherAccount }), 'There are no matchable orders');
+            });
+            it("on front-running attack attempt", async function () {
+                await expectRevert(this.service.takeLeverageOrders([0], { value: costs[0], from: anotherAccount, gasPrice: new BN("21000000000") }), "Gas price is greater than allowed");
+            });
+        });
+        describe('success', function () {
+            it("matches leverage orders and refunds the rest", async function () {
+                let spent = costs[0].add(costs[1]);
+                let tx = this.service.takeLeverageOrders([0, 1, 3, 5, 0], { value: spent.add(ether("1")), from: anotherAccount });
+                let diff = await balance.differenceExcludeGas(anotherAccount, tx, this.gasPrice);
+                expect(diff).to.be.bignumber.equal(spent);
+
+                expect(await this.logic.ownerOf(1)).to.equal(owner);
+                expect(await this.logic.ownerOf(2)).to.equal(owner);
+                expect((await this.service.orders(1)).owner).to.equal(ZERO_ADDRESS);
+                expect((await this.service.orders(3)).owner).to.equal(owner);
+                expect((await this.service.orders(5)).owner).to.equal(owner);
+
+                let tmv = spent.mul(tmvPerEth);
+                let fee = costs[0].mul(tmvPerEth).mul(new BN(5)).div(new BN(1000))
+                    .add(costs[1].mul(tmvPerEth).mul(new BN(5)).div(new BN(1000)));
+                expect(await this.token.balanceOf(anotherAccount)).to.be.bignumber.equal(tmv.sub(fee));
+            });
+            it("matches exchange orders with the given collateral percentage", async function () {
+                await this.service.takeExchangeOrders([3, 4], 200000, { value: ether("7"), from: anotherAccount });
+
+                expect(await this.logic.ownerOf(1)).to.equal(anotherAccount);
+                expect((await this.logic.boxes(1)).collateral).to.be.bignumber.equal(ether("2"));
+                expect((await this.logic.boxes(2)).collateral).to.be.bignumber.equal(ether("4"));
+                expect(await this.token.balanceOf(owner)).to.be.bignumber.equal(
+                    (await this.logic.boxes(0)).tmvReleased.add(ether("300")).sub(ether("1.5"))
+                );
+            });
+        });
+    });
+    describe('Ranking', function () {
+
+        let percent = new BN(150000);
+
+        beforeEach(async function () {
+            await this.service.create(percent, { from: owner, value: ether("1") });
+            await this.service.create(percent, { from: owner, value: ether("2") });
+            await this.service.create(new BN(200000), { from: owner, value: ether("1") });
+            await this.service.create(0, { from: owner, value: ether("1") });
+            await this.service.create(0, { from: owner, value: ether("2") });
+            await this.service.createLimit(percent, new BN(20000000), 0, 0, { from: owner, value: ether("1") });
+        });
+
+        it("ranks matchable leverage orders, the larger first on equal prices", async function () {
+            let ranked = await this.service.rankOrders(true, 0, 10);
+            expect(ranked[0].map(id => id.toString())).to.deep.equal(['1', '0', '2']);
+
+            let eth = ether("2").mul(new BN(100000)).div(percent);
+            let tmv = eth.mul(new BN(100));
+            expect(ranked[1][0]).to.be.bignumber.equal(eth);
+            expect(ranked[2][0]).to.be.bignumber.equal(tmv.sub(tmv.mul(new BN(500)).div(new BN(100000))));
+        });
+        it("ranks exchange orders", async function () {
+            let ranked = await this.service.rankOrders(false, 0, 10);
+            expect(ranked[0].map(id => id.toString())).to.deep.equal(['4', '3']);
+            expect(ranked[1][0]).to.be.bignumber.equal(ether("1.99"));
+            expect(ranked[2][0]).to.be.bignumber.equal(ether("200"));
+        });
+        it("ranks a page of the open orders", async function () {
+            let ranked = await this.service.rankOrders(true, 0, 2);
+            expect(ranked[0].map(id => id.toString())).to.deep.equal(['1', '0']);
+            expect(ranked[1]).to.have.lengthOf(2);
+
+            ranked = await this.service.rankOrders(true, 2, 2);
+            expect(ranked[0].map(id => id.toString())).to.deep.equal(['2']);
+
+            ranked = await this.service.rankOrders(true, 4, 2);
+            expect(ranked[0]).to.have.lengthOf(0);
+        });
+        it("lists the open orders by type", async function () {
+            expect(await this.service.leverageOrdersCount()).to.be.bignumber.equal(new BN(4));
+            expect(await this.service.exchangeOrdersCount()).to.be.bignumber.equal(new BN(2));
+            expect((await this.service.getLeverageOrders(1, 10)).map(id => id.toString())).to.deep.equal(['1', '2', '5']);
+            expect((await this.service.getExchangeOrders(0, 10)).map(id => id.toString())).to.deep.equal(['3', '4']);
+        });
+        it("removes matched orders from the lists", async function () {
+            let matchDepo = ether("1").mul(new BN(100000)).div(percent);
+            await this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount });
+            await this.service.takeExchangeOrder(3, { value: ether("2"), from: anotherAccount });
+            expect((await this.service.getLeverageOrders(0, 10)).map(id => id.toString())).to.deep.equal(['5', '1', '2']);
+            expect((await this.service.getExchangeOrders(0, 10)).map(id => id.toString())).to.deep.equal(['4']);
+        });
+        it("skips gone orders", async function () {
+            await this.service.close(1, { from: owner });
+            let ranked = await this.service.rankOrders(true, 0, 10);
+            expect(ranked[0].map(id => id.toString())).to.deep.equal(['0', '2']);
+        });
+    });
+    describe('Pausing', function () {
+
+        let percent = new BN(150000);
+        let matchDepo = ether("1").mul(new BN(100000)).div(percent);
+
+        beforeEach(async function () {
+            await this.service.create(percent, { from: owner, value: ether("1") });
+            await this.service.create(0, { from: owner, value: ether("1") });
+            await this.settings.pauseModule(this.service.address);
+        });
+
+        it("reverts taking orders", async function () {
+            await expectRevert(this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount }), 'System is paused');
+            await expectRevert(this.service.takeExchangeOrder(1, { value: ether("2"), from: anotherAccount }), 'System is paused');
+            await expectRevert(this.service.takeLeverageOrders([0], { value: matchDepo, from: anotherAccount }), 'System is paused');
+            await expectRevert(this.service.takeExchangeOrders([1], 200000, { value: ether("2"), from: anotherAccount }), 'System is paused');
+        });
+        it("reverts while the system is paused", async function () {
+            await this.settings.unpauseModule(this.service.address);
+            await this.settings.pause();
+            await expectRevert(this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount }), 'System is paused');
+        });
+        it("keeps closing open", async function () {
+            let tx = this.service.close(0, { from: owner });
+            expect((await balance.difference(this.service.address, tx))).to.be.bignumber.equal(ether("1"));
+        });
+        it("resumes after unpausing", async function () {
+            await this.settings.unpauseModule(this.service.address);
+            await this.service.takeLeverageOrder(0, { value: matchDepo, from: anotherAccount });
+        });
+    });
     describe('Order transferring', function () {
 
         let deposit = ether("1");
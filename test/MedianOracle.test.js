@@ -0,0 +1,161 @@
+const { expectEvent, expectRevert, time } = require('openzeppelin-test-helpers');
+const BN = web3.utils.BN;
+const { expect } = require('chai');
+
+const MedianOracle = artifacts.require('MedianOracle');
+const Aggregator = artifacts.require('AggregatorMock');
+const Classic = artifacts.require('TBoxManager');
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const BondService = artifacts.require('BondService');
+const Gate = artifacts.require('Gate');
+
+contract('MedianOracle', function ([admin, anotherAccount]) {
+    let expiration = new BN(100);
+    let maxDeviation = new BN(5000); // 5%
+    let divisor = new BN(1000);
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.oracle = await MedianOracle.new(this.settings.address, expiration, maxDeviation, divisor);
+        this.feedA = await Aggregator.new(new BN('10000000000')); // 100$
+        this.feedB = await Aggregator.new(new BN('10100000000')); // 101$
+        this.feedC = await Aggregator.new(new BN('9900000000')); // 99$
+        await this.oracle.addFeed(this.feedA.address);
+        await this.oracle.addFeed(this.feedB.address);
+        await this.oracle.addFeed(this.feedC.address);
+    });
+
+    describe('reverts', function () {
+        it('reading the price before the first update', async function () {
+            await expectRevert(this.oracle.ethUsdPrice(), 'Oracle has no price');
+        });
+        it('zero divisor', async function () {
+            await expectRevert(MedianOracle.new(this.settings.address, expiration, maxDeviation, 0), 'Zero divisor');
+        });
+        it('adding a feed twice', async function () {
+            await expectRevert(this.oracle.addFeed(this.feedA.address), 'Feed is already added');
+        });
+        it('removing an unknown feed', async function () {
+            await expectRevert(this.oracle.removeFeed(anotherAccount), 'Feed isn\'t added');
+        });
+        it('setting values out of range', async function () {
+            await expectRevert(this.oracle.setExpiration(0), 'Value out of range');
+            await expectRevert(this.oracle.setMaxDeviation(100001), 'Value out of range');
+            await expectRevert(this.oracle.setMinFeeds(0), 'Value out of range');
+        });
+        it('reading a stale price', async function () {
+            await this.oracle.update();
+            await this.oracle.setExpiration(1);
+            await time.advanceBlock();
+            await expectRevert(this.oracle.ethUsdPrice(), 'Price is stale');
+        });
+        it('calling admin functions by not the oracle manager', async function () {
+            await expectRevert(this.oracle.addFeed(anotherAccount, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.oracle.removeFeed(this.feedA.address, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.oracle.setExpiration(1, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.oracle.setMaxDeviation(1, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.oracle.setMinFeeds(1, {from: anotherAccount}), 'You have no access');
+        });
+    });
+
+    describe('Median', function () {
+        it('publishes the median of an odd number of feeds', async function () {
+            const { logs } = await this.oracle.update({from: anotherAccount});
+            expectEvent.inLogs(logs, 'PriceUpdated', { ethUsdPrice: new BN(10000000) });
+            expect(await this.oracle.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+            expect(await this.oracle.lastGoodPrice()).to.be.bignumber.equal(new BN(10000000));
+            expect(await this.oracle.status()).to.be.bignumber.equal(new BN(0));
+        });
+        it('publishes the median of an even number of feeds', async function () {
+            await this.oracle.removeFeed(this.feedC.address);
+            expect(await this.oracle.feedsCount()).to.be.bignumber.equal(new BN(2));
+            await this.oracle.update();
+            expect(await this.oracle.ethUsdPrice()).to.be.bignumber.equal(new BN(10050000));
+        });
+        it('previews the update', async function () {
+            let result = await this.oracle.peek();
+            expect(result[0]).to.be.bignumber.equal(new BN(10000000));
+            expect(result[1]).to.be.bignumber.equal(new BN(0));
+        });
+        it('skips stale feeds', async function () {
+            await this.feedC.setUpdatedHeight(0);
+            await this.oracle.update();
+            expect(await this.oracle.ethUsdPrice()).to.be.bignumber.equal(new BN(10050000));
+        });
+        it('lets another oracle manager administer the feeds', async function () {
+            await this.settings.addOracleManager(anotherAccount);
+            await this.oracle.removeFeed(this.feedC.address, {from: anotherAccount});
+            expect(await this.oracle.feedsCount()).to.be.bignumber.equal(new BN(2));
+        });
+        it('skips empty answers', async function () {
+            await this.feedC.setAnswer(0);
+            await this.oracle.update();
+            expect(await this.oracle.ethUsdPrice()).to.be.bignumber.equal(new BN(10050000));
+        });
+    });
+
+    describe('Guards', function () {
+        beforeEach(async function () {
+            await this.oracle.update();
+        });
+
+        it('refuses to publish without enough fresh feeds', async function () {
+            await this.oracle.setMinFeeds(3);
+            await this.feedC.setUpdatedHeight(0);
+            expect(await this.oracle.update.call()).to.equal(false);
+            const { logs } = await this.oracle.update();
+            expectEvent.inLogs(logs, 'StatusUpdated', { status: new BN(1) });
+            expect(await this.oracle.status()).to.be.bignumber.equal(new BN(1));
+            expect(await this.oracle.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+        });
+        it('refuses to publish when the feeds deviate', async function () {
+            await this.feedB.setAnswer(new BN('12000000000'));
+            const { logs } = await this.oracle.update();
+            expectEvent.inLogs(logs, 'StatusUpdated', { status: new BN(2) });
+            expect(logs.filter(e => e.event === 'PriceUpdated')).to.have.lengthOf(0);
+            expect(await this.oracle.status()).to.be.bignumber.equal(new BN(2));
+            expect(await this.oracle.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+        });
+        it('publishes when the deviation is within the bound', async function () {
+            await this.oracle.setMaxDeviation(30000);
+            await this.feedB.setAnswer(new BN('12000000000'));
+            await this.oracle.update();
+            expect(await this.oracle.status()).to.be.bignumber.equal(new BN(0));
+            expect(await this.oracle.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+        });
+        it('recovers once the feeds agree again', async function () {
+            await this.feedB.setAnswer(new BN('12000000000'));
+            await this.oracle.update();
+            await this.feedB.setAnswer(new BN('10400000000'));
+            const { logs } = await this.oracle.update();
+            expectEvent.inLogs(logs, 'StatusUpdated', { status: new BN(0) });
+            expectEvent.inLogs(logs, 'PriceUpdated', { ethUsdPrice: new BN(10000000) });
+        });
+    });
+
+    describe('Consumers', function () {
+        beforeEach(async function () {
+            await this.feedA.setAnswer(new BN('20000000000'));
+            await this.feedB.setAnswer(new BN('20100000000'));
+            await this.feedC.setAnswer(new BN('19900000000'));
+            await this.oracle.update();
+
+            this.settings = await Settings.new();
+            this.logic = await Classic.new(this.settings.address);
+            this.token = await Token.new(this.settings.address);
+            await this.settings.setTmvAddress(this.token.address);
+            await this.settings.setOracleAddress(this.oracle.address);
+            await this.settings.setContractManager(this.logic.address);
+        });
+
+        it('serves the price to TBoxManager, BondService and Gate', async function () {
+            let bondService = await BondService.new(this.settings.address);
+            let gate = await Gate.new(this.settings.address);
+            expect(await this.logic.rate()).to.be.bignumber.equal(new BN(20000000));
+            expect(await bondService.rate()).to.be.bignumber.equal(new BN(20000000));
+            expect(await gate.rate()).to.be.bignumber.equal(new BN(20000000));
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const { expectEvent, expectRevert } = require('openzeppelin-test-helpers');
+const increaseTime = require('./helpers/timeTravel');
+const BN = web3.utils.BN;
+const { expect } = require('chai');
+
+const OSM = artifacts.require('OracleSecurityModule');
+const Oracle = artifacts.require('OracleContractMock');
+const Settings = artifacts.require('TimviSettings');
+const Classic = artifacts.require('TBoxManager');
+
+contract('OracleSecurityModule', function ([manager, anotherAccount]) {
+    let delay = 3600;
+    let maxChange = new BN(10000); // 10%
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.source = await Oracle.new();
+        this.osm = await OSM.new(this.settings.address, this.source.address, delay, maxChange);
+    });
+
+    describe('reverts', function () {
+        it('updating before the delay', async function () {
+            await expectRevert(this.osm.update(), 'Delay hasn\'t passed');
+        });
+        it('updating while paused', async function () {
+            await this.osm.pause();
+            await increaseTime(delay);
+            await expectRevert(this.osm.update(), 'Price propagation is paused');
+        });
+        it('unpausing when not paused', async function () {
+            await expectRevert(this.osm.unpause(), 'Price propagation isn\'t paused');
+        });
+        it('setting values out of range', async function () {
+            await expectRevert(this.osm.setDelay(24 * 3600 + 1), 'Value out of range');
+            await expectRevert(this.osm.setMaxChange(0), 'Value out of range');
+            await expectRevert(this.osm.setMaxChange(100001), 'Value out of range');
+        });
+        it('calling admin functions by not the fee manager', async function () {
+            await expectRevert(this.osm.pause({from: anotherAccount}), 'You have no access');
+            await expectRevert(this.osm.unpause({from: anotherAccount}), 'You have no access');
+            await expectRevert(this.osm.setSource(anotherAccount, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.osm.setDelay(0, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.osm.setMaxChange(1, {from: anotherAccount}), 'You have no access');
+        });
+    });
+
+    describe('Delayed updates', function () {
+        it('starts with the source price', async function () {
+            expect(await this.osm.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+            expect(await this.osm.nextPrice()).to.be.bignumber.equal(new BN(10000000));
+        });
+        it('reads the next price without publishing it', async function () {
+            await this.source.setPrice(10500000);
+            await increaseTime(delay);
+            const { logs } = await this.osm.update({from: anotherAccount});
+            expectEvent.inLogs(logs, 'NextPriceUpdated', { ethUsdPrice: new BN(10500000) });
+            expect(logs.filter(e => e.event === 'PriceUpdated')).to.have.lengthOf(0);
+            expect(await this.osm.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+            expect(await this.osm.nextPrice()).to.be.bignumber.equal(new BN(10500000));
+        });
+        it('publishes the next price after the delay', async function () {
+            await this.source.setPrice(10500000);
+            await increaseTime(delay);
+            await this.osm.update();
+            await this.source.setPrice(11000000);
+            await increaseTime(delay);
+            const { logs } = await this.osm.update();
+            expectEvent.inLogs(logs, 'PriceUpdated', { ethUsdPrice: new BN(10500000) });
+            expect(await this.osm.ethUsdPrice()).to.be.bignumber.equal(new BN(10500000));
+            expect(await this.osm.nextPrice()).to.be.bignumber.equal(new BN(11000000));
+        });
+        it('feeds the delayed price to TBoxManager', async function () {
+            let logic = await Classic.new(this.settings.address);
+            await this.settings.setOracleAddress(this.osm.address);
+            await this.source.setPrice(5000000);
+            expect(await logic.rate()).to.be.bignumber.equal(new BN(10000000));
+        });
+    });
+
+    describe('Circuit breaker', function () {
+        it('pauses on a sharp move', async function () {
+            await this.source.setPrice(8000000);
+            await increaseTime(delay);
+            const { logs } = await this.osm.update();
+            expectEvent.inLogs(logs, 'Paused', {
+                currentPrice: new BN(10000000),
+                sourcePrice: new BN(8000000),
+            });
+            expect(await this.osm.paused()).to.equal(true);
+            expect(await this.osm.nextPrice()).to.be.bignumber.equal(new BN(10000000));
+        });
+        it('publishes the trusted next price before pausing', async function () {
+            await this.source.setPrice(10500000);
+            await increaseTime(delay);
+            await this.osm.update();
+            await this.source.setPrice(5000000);
+            await increaseTime(delay);
+            await this.osm.update();
+            expect(await this.osm.paused()).to.equal(true);
+            expect(await this.osm.ethUsdPrice()).to.be.bignumber.equal(new BN(10500000));
+        });
+        it('is paused by the fee manager', async function () {
+            const { logs } = await this.osm.pause();
+            expectEvent.inLogs(logs, 'Paused', { sourcePrice: new BN(0) });
+            expect(await this.osm.paused()).to.equal(true);
+        });
+        it('resumes with the source price as the next price', async function () {
+            await this.source.setPrice(8000000);
+            await increaseTime(delay);
+            await this.osm.update();
+            const { logs } = await this.osm.unpause();
+            expectEvent.inLogs(logs, 'Unpaused', { nextPrice: new BN(8000000) });
+            expect(await this.osm.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+            await increaseTime(delay);
+            await this.osm.update();
+            expect(await this.osm.ethUsdPrice()).to.be.bignumber.equal(new BN(8000000));
+        });
+    });
+});
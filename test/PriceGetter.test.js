@@ -0,0 +1,93 @@
+const { expectEvent, expectRevert, constants } = require('openzeppelin-test-helpers');
+const BN = web3.utils.BN;
+const { expect } = require('chai');
+
+const { ZERO_ADDRESS } = constants;
+
+const PriceGetter = artifacts.require('PriceGetter');
+const Aggregator = artifacts.require('AggregatorMock');
+
+contract('PriceGetter', function ([admin, anotherAccount]) {
+    let expiration = new BN(100);
+    let divisor = new BN(1000);
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.aggregator = await Aggregator.new(new BN('10000000000')); // 100$
+        this.getter = await PriceGetter.new(this.aggregator.address, expiration, divisor);
+    });
+
+    describe('reverts', function () {
+        it('deploying with not a contract aggregator', async function () {
+            await expectRevert(PriceGetter.new(anotherAccount, expiration, divisor), 'Aggregator isn\'t a contract');
+        });
+        it('deploying with zero values', async function () {
+            await expectRevert(PriceGetter.new(this.aggregator.address, 0, divisor), 'Value out of range');
+            await expectRevert(PriceGetter.new(this.aggregator.address, expiration, 0), 'Value out of range');
+        });
+        it('reading outdated data', async function () {
+            await this.getter.setExpiration(1);
+            await this.aggregator.setUpdatedHeight(await web3.eth.getBlockNumber());
+            await expectRevert(this.getter.ethUsdPrice(), 'Oracle data are outdated');
+        });
+        it('setting zero values', async function () {
+            await expectRevert(this.getter.setExpiration(0), 'Value out of range');
+            await expectRevert(this.getter.setDivisor(0), 'Value out of range');
+            await expectRevert(this.getter.changeAdmin(ZERO_ADDRESS), 'Zero address, be careful');
+        });
+        it('calling admin functions by not an admin', async function () {
+            await expectRevert(this.getter.proposeAggregator(this.aggregator.address, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.getter.acceptAggregator({from: anotherAccount}), 'You have no access');
+            await expectRevert(this.getter.setExpiration(1, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.getter.setDivisor(1, {from: anotherAccount}), 'You have no access');
+            await expectRevert(this.getter.changeAdmin(anotherAccount, {from: anotherAccount}), 'You have no access');
+        });
+    });
+
+    describe('Price', function () {
+        it('scales the answer by the divisor', async function () {
+            expect(await this.getter.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+        });
+        it('uses the new divisor', async function () {
+            await this.getter.setDivisor(100);
+            expect(await this.getter.ethUsdPrice()).to.be.bignumber.equal(new BN(100000000));
+        });
+    });
+
+    describe('Aggregator handover', function () {
+        beforeEach(async function () {
+            this.newAggregator = await Aggregator.new(new BN('20000000000'));
+        });
+
+        it('reverts proposing not a contract', async function () {
+            await expectRevert(this.getter.proposeAggregator(anotherAccount), 'Aggregator isn\'t a contract');
+        });
+        it('reverts accepting without a proposal', async function () {
+            await expectRevert(this.getter.acceptAggregator(), 'There is no proposed aggregator');
+        });
+        it('reverts accepting an outdated aggregator', async function () {
+            await this.getter.proposeAggregator(this.newAggregator.address);
+            await this.getter.setExpiration(1);
+            await this.newAggregator.setUpdatedHeight(await web3.eth.getBlockNumber());
+            await expectRevert(this.getter.acceptAggregator(), 'Oracle data are outdated');
+        });
+        it('reverts accepting an aggregator with zero price', async function () {
+            await this.getter.proposeAggregator(this.newAggregator.address);
+            await this.newAggregator.setAnswer(0);
+            await expectRevert(this.getter.acceptAggregator(), 'Zero price');
+        });
+        it('keeps the current aggregator until the proposal is accepted', async function () {
+            const { logs } = await this.getter.proposeAggregator(this.newAggregator.address);
+            expectEvent.inLogs(logs, 'AggregatorProposed', { aggregator: this.newAggregator.address });
+            expect(await this.getter.ethUsdPrice()).to.be.bignumber.equal(new BN(10000000));
+        });
+        it('switches to the accepted aggregator', async function () {
+            await this.getter.proposeAggregator(this.newAggregator.address);
+            const { logs } = await this.getter.acceptAggregator();
+            expectEvent.inLogs(logs, 'AggregatorUpdated', { aggregator: this.newAggregator.address });
+            expect(await this.getter.aggr()).to.equal(this.newAggregator.address);
+            expect(await this.getter.pendingAggr()).to.equal(ZERO_ADDRESS);
+            expect(await this.getter.ethUsdPrice()).to.be.bignumber.equal(new BN(20000000));
+        });
+    });
+});
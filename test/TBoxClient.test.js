@@ -0,0 +1,153 @@
+const { ether, time } = require('openzeppelin-test-helpers');
+const { expect } = require('chai');
+const BN = web3.utils.BN;
+
+const { TBoxClient, math } = require('../sdk');
+
+const Classic = artifacts.require('TBoxManager');
+const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
+const Oracle = artifacts.require('OracleContractMock');
+
+contract('TBoxClient', function ([manager, owner, anotherAccount]) {
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.logic = await Classic.new(this.settings.address);
+        this.token = await Token.new(this.settings.address);
+        this.oracle = await Oracle.new();
+        await this.settings.setTmvAddress(this.token.address);
+        await this.settings.setOracleAddress(this.oracle.address);
+        await this.settings.setContractManager(this.logic.address);
+
+        this.client = new TBoxClient(web3, this.logic.address, {
+            from: owner,
+            artifacts: { TBoxManager: Classic, TimviSettings: Settings, TimviToken: Token },
+        });
+    });
+
+    describe('Off-chain math', function () {
+        beforeEach(async function () {
+            await this.logic.create(ether('100'), { from: owner, value: ether('2') });
+            await this.logic.create(ether('10'), { from: anotherAccount, value: ether('1') });
+        });
+
+        it('reads the state', async function () {
+            let state = await this.client.state();
+            expect(state.rate).to.be.bignumber.equal(await this.logic.rate());
+            expect(state.globalETH).to.be.bignumber.equal(ether('3'));
+            expect(state.totalSupply).to.be.bignumber.equal(ether('110'));
+            expect(state.ratio).to.be.bignumber.equal(await this.settings.ratio());
+        });
+        it('mirrors withdrawableTmv and withdrawPercent', async function () {
+            let collaterals = [ether('0.1'), ether('1'), ether('3.7'), ether('50')];
+            for (let i = 0; i < collaterals.length; i++) {
+                expect(await this.client.withdrawableTmv(collaterals[i])).to.be.bignumber.equal(
+                    await this.logic.withdrawableTmv(collaterals[i])
+                );
+                expect(await this.client.withdrawPercent(collaterals[i])).to.be.bignumber.equal(
+                    await this.logic.withdrawPercent(collaterals[i])
+                );
+            }
+        });
+        it('mirrors Box views', async function () {
+            let prices = [10000000, 15000000, 30000000];
+            for (let i = 0; i < prices.length; i++) {
+                await this.oracle.setPrice(prices[i]);
+                for (let id = 0; id < 2; id++) {
+                    expect(await this.client.boxWithdrawableTmv(id)).to.be.bignumber.equal(await this.logic.boxWithdrawableTmv(id));
+                    expect(await this.client.withdrawableEth(id)).to.be.bignumber.equal(await this.logic.withdrawableEth(id));
+                    expect(await this.client.collateralPercent(id)).to.be.bignumber.equal(await this.logic.collateralPercent(id));
+                }
+            }
+        });
+        it('mirrors Box views with the accrued stability fee', async function () {
+            await this.settings.setStabilityFee(20000);
+            await time.increase(365 * 24 * 60 * 60);
+            // Fix the accrued fee
+            await this.settings.setStabilityFee(0);
+            expect(await this.client.accruedFee(0)).to.be.bignumber.equal(await this.logic.accruedFee(0));
+            for (let id = 0; id < 2; id++) {
+                expect(await this.client.boxWithdrawableTmv(id)).to.be.bignumber.equal(await this.logic.boxWithdrawableTmv(id));
+                expect(await this.client.withdrawableEth(id)).to.be.bignumber.equal(await this.logic.withdrawableEth(id));
+                expect(await this.client.collateralPercent(id)).to.be.bignumber.equal(await this.logic.collateralPercent(id));
+            }
+        });
+        it('mirrors maxCapAmount', async function () {
+            await this.oracle.setPrice(5500000);
+            expect(await this.client.maxCapAmount(0)).to.be.bignumber.equal(await this.logic.maxCapAmount(0));
+        });
+        it('throws on capitalization preview of a healthy Box', async function () {
+            let error;
+            try {
+                await this.client.maxCapAmount(0);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('It\'s only possible to capitalize toxic Boxes');
+        });
+        it('previews the token limit of a new Box', async function () {
+            let deposit = ether('1');
+            let limit = await this.client.createWithdrawableTmv(deposit);
+            await this.client.create(deposit, limit);
+            let box = await this.client.box(2);
+            expect(box.tmvReleased).to.be.bignumber.equal(limit);
+        });
+        it('converts percents and rates', async function () {
+            expect(math.percentToNumber(new BN('150000'))).to.equal(150);
+            expect(math.percentFromNumber(106.5)).to.be.bignumber.equal(new BN('106500'));
+            expect(math.rateToUsd(await this.logic.rate())).to.equal(100);
+        });
+    });
+
+    describe('Transactions', function () {
+        let deposit = ether('2');
+        let released = ether('50');
+
+        beforeEach(async function () {
+            await this.client.create(deposit, released);
+        });
+
+        it('creates a Box', async function () {
+            let box = await this.client.box(0);
+            expect(box.collateral).to.be.bignumber.equal(deposit);
+            expect(box.tmvReleased).to.be.bignumber.equal(released);
+            expect(await this.client.ownerOf(0)).to.equal(owner);
+        });
+        it('adds and withdraws Ether and TMV', async function () {
+            await this.client.addEth(0, ether('1'), { from: anotherAccount });
+            await this.client.withdrawEth(0, ether('0.5'));
+            await this.client.addTmv(0, ether('10'));
+            await this.client.withdrawTmv(0, ether('5'));
+            let box = await this.client.box(0);
+            expect(box.collateral).to.be.bignumber.equal(ether('2.5'));
+            expect(box.tmvReleased).to.be.bignumber.equal(ether('45'));
+        });
+        it('capitalizes a Box', async function () {
+            await this.oracle.setPrice(2700000);
+            let state = await this.client.state();
+            let amount = await this.client.maxCapAmount(0);
+            let expected = math.capitalization(state, amount);
+            await this.client.capitalize(0, amount);
+            let box = await this.client.box(0);
+            expect(box.collateral).to.be.bignumber.equal(deposit.sub(expected.total));
+            expect(box.tmvReleased).to.be.bignumber.equal(released.sub(amount));
+        });
+        it('closes a Box', async function () {
+            let receipt = await this.client.close(0);
+            expect(receipt.events.Closed.returnValues.closer).to.equal(owner);
+            let box = await this.client.box(0);
+            expect(box.collateral).to.be.bignumber.equal(new BN(0));
+        });
+        it('closes a dust Box', async function () {
+            await this.client.create(ether('0.05'), new BN(0), { from: anotherAccount });
+            await this.oracle.setPrice(5000000);
+            let state = await this.client.state();
+            expect(math.isDust(state, await this.client.box(1))).to.be.true;
+            expect(math.isDust(state, await this.client.box(0))).to.be.false;
+            let receipt = await this.client.closeDust(1);
+            expect(receipt.events.Closed.returnValues.owner).to.equal(anotherAccount);
+        });
+    });
+});
@@ -1,4 +1,4 @@
-const {constants, expectEvent, expectRevert, ether } = require('openzeppelin-test-helpers');
+const {constants, expectEvent, expectRevert, ether, time } = require('openzeppelin-test-helpers');
 const balance = require('./helpers/balances');
 
 const BN = web3.utils.BN;
@@ -10,6 +10,7 @@ const Classic = artifacts.require('TBoxManager');
 const Settings = artifacts.require('TimviSettings');
 const Token = artifacts.require('TimviToken');
 const Oracle = artifacts.require('OracleContractMock');
+const EtherRejector = artifacts.require('EtherRejectorMock');
 
 contract('TBoxManager', function ([manager, owner, anotherAccount]) {
 
@@ -277,6 +278,91 @@ contract('TBoxManager', function ([manager, owner, anotherAccount]) {
             });
         });
     });
+    describe('Liquidation', function () {
+        let deposit = ether("1");
+        let release = ether("66");
+
+        beforeEach(async function () {
+            await this.logic.create(release, {from: owner, value: deposit});
+            await this.token.transfer(anotherAccount, release, {from: owner});
+            await this.oracle.setPrice(6900000);
+        });
+
+        describe('reverts', function () {
+            it('reverts on front-running attack attempt', async function () {
+                await expectRevert(this.logic.liquidate(0, {from: anotherAccount, gasPrice: new BN("21000000000")}), "Gas price is greater than allowed");
+            });
+            it("if TBox doesn't exist", async function () {
+                await expectRevert(this.logic.liquidate(100, {from: anotherAccount}), 'Box does not exist');
+            });
+            it("when user TMV balance not enough", async function () {
+                await expectRevert(this.logic.liquidate(0, {from: owner}), 'You don\'t have enough tokens');
+            });
+            it("when collateral percent is not less than min", async function () {
+                await this.oracle.setPrice(7000000);
+                await expectRevert(this.logic.liquidate(0, {from: anotherAccount}), 'It\'s only possible to liquidate undercollateralized Boxes');
+            });
+        });
+
+        describe('success', function () {
+            it("burns all the tokens of the Box", async function () {
+                await this.logic.liquidate(0, {from: anotherAccount});
+                expect(await this.token.balanceOf(anotherAccount)).to.be.bignumber.equal(new BN(0));
+                expect(await this.token.totalSupply()).to.be.bignumber.equal(new BN(0));
+            });
+            it("removes the Box", async function () {
+                await this.logic.liquidate(0, {from: anotherAccount});
+                let box = await this.logic.boxes(0);
+                expect(box[0]).to.be.bignumber.equal(new BN(0));
+                expect(box[1]).to.be.bignumber.equal(new BN(0));
+                expect(await this.logic.balanceOf(owner)).to.be.bignumber.equal(new BN(0));
+                await expectRevert.unspecified(this.logic.ownerOf(0));
+            });
+            it("decreases global Ether counter", async function () {
+                await this.logic.liquidate(0, {from: anotherAccount});
+                expect(await this.logic.globalETH()).to.be.bignumber.equal(new BN(0));
+            });
+            it("sends discounted collateral to the liquidator", async function () {
+                let userCom = await this.settings.userFee();
+                let divider = await this.logic.precision.call();
+                let userEth = release.mul(divider.add(userCom)).div(await this.oracle.ethUsdPrice());
+                let balanceBefore = await balance.current(this.logic.address);
+                await this.logic.liquidate(0, {from: anotherAccount});
+                let balanceAfter = await balance.current(this.logic.address);
+                expect(balanceBefore.sub(userEth)).to.be.bignumber.equal(balanceAfter);
+            });
+            it("leaves the rest of the collateral as system fee", async function () {
+                let userCom = await this.settings.userFee();
+                let divider = await this.logic.precision.call();
+                let userEth = release.mul(divider.add(userCom)).div(await this.oracle.ethUsdPrice());
+                await this.logic.liquidate(0, {from: anotherAccount});
+                let balanceBefore = await balance.current(anotherAccount);
+                await this.logic.withdrawFee(anotherAccount, {from: manager});
+                let balanceAfter = await balance.current(anotherAccount);
+                expect(balanceBefore.add(deposit.sub(userEth))).to.be.bignumber.equal(balanceAfter);
+            });
+            it("sends the whole collateral of an insolvent Box", async function () {
+                await this.oracle.setPrice(6000000);
+                let balanceBefore = await balance.current(this.logic.address);
+                const { logs } = await this.logic.liquidate(0, {from: anotherAccount});
+                let balanceAfter = await balance.current(this.logic.address);
+                expect(balanceBefore.sub(deposit)).to.be.bignumber.equal(balanceAfter);
+                expectEvent.inLogs(logs, 'Liquidated', {
+                    userEth: deposit,
+                });
+            });
+            it('emits a liquidation event', async function () {
+                const { logs } = await this.logic.liquidate(0, {from: anotherAccount});
+                expectEvent.inLogs(logs, 'Liquidated', {
+                    id: new BN(0),
+                    owner: owner,
+                    who: anotherAccount,
+                    tmvAmount: release,
+                    totalEth: deposit,
+                });
+            });
+        });
+    });
     describe('ETH withdrawing', function () {
         let deposit = ether("20");
         let release = ether("500");
@@ -690,6 +776,374 @@ contract('TBoxManager', function ([manager, owner, anotherAccount]) {
             });
         });
     });
+    describe('Emergency shutdown', function () {
+        let deposit = ether("1");
+        let release = ether("66");
+        let anotherRelease = ether("10");
+
+        beforeEach(async function () {
+            await this.logic.create(release, {from: owner, value: deposit});
+            await this.logic.create(anotherRelease, {from: anotherAccount, value: deposit});
+        });
+
+        describe('reverts', function () {
+            beforeEach(async function () {
+                await this.settings.emergencyShutdown(10000000);
+            });
+            it('creating', async function () {
+                await expectRevert(this.logic.create(0, {from: owner, value: deposit}), 'System is shut down');
+            });
+            it('creating by the fallback function', async function () {
+                await expectRevert(this.logic.send(deposit, {from: owner}), 'System is shut down');
+            });
+            it('ETH withdrawing', async function () {
+                await expectRevert(this.logic.withdrawEth(1, ether("0.1"), {from: anotherAccount}), 'System is shut down');
+            });
+            it('TMV withdrawing', async function () {
+                await expectRevert(this.logic.withdrawTmv(1, ether("1"), {from: anotherAccount}), 'System is shut down');
+            });
+            it('capitalizing', async function () {
+                await expectRevert(this.logic.capitalize(0, ether("1"), {from: anotherAccount}), 'System is shut down');
+            });
+            it('liquidating', async function () {
+                await expectRevert(this.logic.liquidate(0, {from: anotherAccount}), 'System is shut down');
+            });
+            it('closing dust', async function () {
+                await expectRevert(this.logic.closeDust(0, {from: anotherAccount}), 'System is shut down');
+            });
+            it('redeeming before every Box is settled', async function () {
+                await this.logic.settle(1);
+                await expectRevert(this.logic.redeem(anotherRelease, {from: anotherAccount}), 'Boxes aren\'t settled yet');
+            });
+            it('redeeming zero', async function () {
+                await this.logic.settle(0);
+                await this.logic.settle(1);
+                await expectRevert(this.logic.redeem(0, {from: owner}), 'Redeeming zero');
+            });
+            it('redeeming more than the balance', async function () {
+                await this.logic.settle(0);
+                await this.logic.settle(1);
+                await expectRevert(this.logic.redeem(release.add(new BN(1)), {from: owner}), 'You don\'t have enough tokens');
+            });
+            it("settling a Box that doesn't exist", async function () {
+                await expectRevert(this.logic.settle(100), 'Box does not exist');
+            });
+            it('withdrawing no surplus', async function () {
+                await expectRevert(this.logic.withdrawSurplus({from: owner}), 'There is no surplus');
+            });
+        });
+
+        describe('before the shutdown', function () {
+            it('reverts settling', async function () {
+                await expectRevert(this.logic.settle(0), 'System isn\'t shut down');
+            });
+            it('reverts redeeming', async function () {
+                await expectRevert(this.logic.redeem(release, {from: owner}), 'System isn\'t shut down');
+            });
+        });
+
+        describe('success', function () {
+            let price = new BN(10000000);
+
+            beforeEach(async function () {
+                await this.settings.emergencyShutdown(price);
+            });
+
+            it('fixes the settlement price', async function () {
+                await this.oracle.setPrice(5000000);
+                expect(await this.logic.rate()).to.be.bignumber.equal(price);
+            });
+            it('credits the surplus to the owner of the Box', async function () {
+                let debt = release.mul(new BN(100000)).div(price);
+                let balanceBefore = await balance.current(owner);
+                await this.logic.settle(0, {from: anotherAccount});
+                expect(await balance.current(owner)).to.be.bignumber.equal(balanceBefore);
+                expect(await this.logic.surplus(owner)).to.be.bignumber.equal(deposit.sub(debt));
+            });
+            it('settles a Box of an owner rejecting Ether', async function () {
+                let debt = anotherRelease.mul(new BN(100000)).div(price);
+                let rejector = await EtherRejector.new();
+                await this.logic.transferFrom(anotherAccount, rejector.address, 1, {from: anotherAccount});
+                const { logs } = await this.logic.settle(1);
+                expectEvent.inLogs(logs, 'Settled', { id: new BN(1), owner: rejector.address, surplus: deposit.sub(debt) });
+                expect(await this.logic.surplus(rejector.address)).to.be.bignumber.equal(deposit.sub(debt));
+            });
+            it('sends the surplus on withdrawal', async function () {
+                let debt = release.mul(new BN(100000)).div(price);
+                await this.logic.settle(0);
+                let globalEthBefore = await this.logic.globalETH();
+                let tx = this.logic.withdrawSurplus({from: owner});
+                let balanceDifference = await balance.differenceExcludeGas(owner, tx, this.gasPrice);
+                expect(balanceDifference).to.be.bignumber.equal(deposit.sub(debt));
+                expect(globalEthBefore.sub(await this.logic.globalETH())).to.be.bignumber.equal(deposit.sub(debt));
+                expect(await this.logic.surplus(owner)).to.be.bignumber.equal(new BN(0));
+                expectEvent.inLogs((await tx).logs, 'SurplusWithdrawn', {
+                    who: owner,
+                    value: deposit.sub(debt),
+                });
+            });
+            it('removes the settled Box', async function () {
+                await this.logic.settle(0);
+                let box = await this.logic.boxes(0);
+                expect(box[0]).to.be.bignumber.equal(new BN(0));
+                expect(box[1]).to.be.bignumber.equal(new BN(0));
+                expect(await this.logic.balanceOf(owner)).to.be.bignumber.equal(new BN(0));
+            });
+            it('sets aside the Ether backing the tokens', async function () {
+                await this.logic.settle(0);
+                await this.logic.settle(1);
+                let debt = release.add(anotherRelease).mul(new BN(100000)).div(price);
+                expect(await this.logic.settledEth()).to.be.bignumber.equal(debt);
+                expect(await this.logic.settledTmv()).to.be.bignumber.equal(release.add(anotherRelease));
+                expect(await this.logic.globalETH()).to.be.bignumber.equal(deposit.mul(new BN(2)));
+            });
+            it('emits a settlement event', async function () {
+                let debt = release.mul(new BN(100000)).div(price);
+                const { logs } = await this.logic.settle(0);
+                expectEvent.inLogs(logs, 'Settled', {
+                    id: new BN(0),
+                    owner: owner,
+                    tmvAmount: release,
+                    surplus: deposit.sub(debt),
+                });
+            });
+            it('redeems tokens at face value when the system is collateralized', async function () {
+                await this.logic.settle(0);
+                await this.logic.settle(1);
+                let balanceBefore = await balance.current(this.logic.address);
+                await this.logic.redeem(release, {from: owner});
+                let balanceAfter = await balance.current(this.logic.address);
+                expect(balanceBefore.sub(release.mul(new BN(100000)).div(price))).to.be.bignumber.equal(balanceAfter);
+                expect(await this.token.balanceOf(owner)).to.be.bignumber.equal(new BN(0));
+                expect(await this.logic.settledTmv()).to.be.bignumber.equal(anotherRelease);
+            });
+            it('emits a redemption event', async function () {
+                await this.logic.settle(0);
+                await this.logic.settle(1);
+                const { logs } = await this.logic.redeem(anotherRelease, {from: anotherAccount});
+                expectEvent.inLogs(logs, 'Redeemed', {
+                    who: anotherAccount,
+                    tmvAmount: anotherRelease,
+                    ethAmount: anotherRelease.mul(new BN(100000)).div(price),
+                });
+            });
+            it('pays out global Ether once all the tokens are redeemed', async function () {
+                await this.logic.settle(0);
+                await this.logic.settle(1);
+                await this.logic.redeem(release, {from: owner});
+                await this.logic.redeem(anotherRelease, {from: anotherAccount});
+                await this.logic.withdrawSurplus({from: owner});
+                await this.logic.withdrawSurplus({from: anotherAccount});
+                expect(await this.logic.globalETH()).to.be.bignumber.equal(new BN(0));
+                expect(await this.logic.settledTmv()).to.be.bignumber.equal(new BN(0));
+                expect(await this.logic.settledEth()).to.be.bignumber.equal(new BN(0));
+                expect(await balance.current(this.logic.address)).to.be.bignumber.equal(new BN(0));
+            });
+        });
+
+        describe('settling order', function () {
+            let price = new BN(5000000);
+
+            beforeEach(async function () {
+                await this.settings.emergencyShutdown(price);
+            });
+
+            // Box 0 is insolvent at the price and Box 1 is healthy
+            [[0, 1], [1, 0]].forEach(function (order) {
+                it('pays the same share when Box ' + order[0] + ' is settled first', async function () {
+                    let debt = anotherRelease.mul(new BN(100000)).div(price);
+                    let supply = release.add(anotherRelease);
+                    await this.logic.settle(order[0]);
+                    await this.logic.settle(order[1]);
+                    const { logs } = await this.logic.redeem(anotherRelease, {from: anotherAccount});
+                    expectEvent.inLogs(logs, 'Redeemed', {
+                        ethAmount: anotherRelease.mul(deposit.add(debt)).div(supply),
+                    });
+                });
+            });
+        });
+
+        describe('undercollateralized system', function () {
+            let price = new BN(5000000);
+
+            beforeEach(async function () {
+                await this.settings.emergencyShutdown(price);
+                await this.logic.settle(0);
+                await this.logic.settle(1);
+            });
+
+            it('sets aside the whole collateral of an insolvent Box', async function () {
+                let debt = anotherRelease.mul(new BN(100000)).div(price);
+                expect(await this.logic.settledEth()).to.be.bignumber.equal(deposit.add(debt));
+                expect(await this.logic.surplus(owner)).to.be.bignumber.equal(new BN(0));
+            });
+            it('redeems tokens pro rata against the settled Ether', async function () {
+                let settledEth = await this.logic.settledEth();
+                let supply = release.add(anotherRelease);
+                let expected = release.mul(settledEth).div(supply);
+                const { logs } = await this.logic.redeem(release, {from: owner});
+                expectEvent.inLogs(logs, 'Redeemed', {
+                    ethAmount: expected,
+                });
+                expect(expected).to.be.bignumber.below(release.mul(new BN(100000)).div(price));
+            });
+            it('pays every holder the same share regardless of the order', async function () {
+                let settledEth = await this.logic.settledEth();
+                let supply = release.add(anotherRelease);
+                let half = release.div(new BN(2));
+                await this.logic.redeem(half, {from: owner});
+                const { logs } = await this.logic.redeem(anotherRelease, {from: anotherAccount});
+                expectEvent.inLogs(logs, 'Redeemed', {
+                    ethAmount: anotherRelease.mul(settledEth).div(supply),
+                });
+                let rest = await this.logic.settledEth();
+                await this.logic.redeem(half, {from: owner});
+                expect(await this.logic.settledEth()).to.be.bignumber.equal(new BN(0));
+                expect(rest).to.be.bignumber.gte(half.mul(settledEth).div(supply));
+            });
+        });
+    });
+    describe('Stability fee', function () {
+        let deposit = ether("1");
+        let release = ether("66");
+        let yearFee = new BN(10000); // 10%
+        let year = new BN(365 * 24 * 60 * 60);
+
+        beforeEach(async function () {
+            await this.logic.create(release, {from: owner, value: deposit});
+            await this.settings.setStabilityFee(yearFee);
+            await time.increase(year);
+        });
+
+        it('accrues on the Box debt over time', async function () {
+            let fee = await this.logic.accruedFee(0);
+            let expected = release.mul(yearFee).div(new BN(100000));
+            expect(fee).to.be.bignumber.gte(expected);
+            expect(fee).to.be.bignumber.below(expected.add(ether("0.001")));
+        });
+        it("doesn't accrue when the rate is zero", async function () {
+            await this.settings.setStabilityFee(0);
+            let before = await this.logic.accruedFee(0);
+            await time.increase(year);
+            expect(await this.logic.accruedFee(0)).to.be.bignumber.equal(before);
+        });
+        it('updates the index before the rate changes', async function () {
+            let before = await this.logic.feeIndex();
+            await this.settings.setStabilityFee(0);
+            expect(await this.logic.feeIndex()).to.be.bignumber.above(before);
+            expect(await this.logic.currentFeeIndex()).to.be.bignumber.equal(await this.logic.feeIndex());
+        });
+        it('decreases collateral percent', async function () {
+            let fee = await this.logic.accruedFee(0);
+            let percent = await this.logic.collateralPercent(0);
+            expect(percent).to.be.bignumber.lte(deposit.mul(await this.oracle.ethUsdPrice()).div(release.add(fee)));
+        });
+        it('lets anyone charge the fee', async function () {
+            await this.settings.setStabilityFee(0);
+            let fee = await this.logic.accruedFee(0);
+            const { logs } = await this.logic.chargeFee(0, {from: anotherAccount});
+            expectEvent.inLogs(logs, 'FeeCharged', { id: new BN(0), value: fee });
+            expect((await this.logic.boxes(0)).tmvReleased).to.be.bignumber.equal(release.add(fee));
+            expect(await this.token.balanceOf(this.logic.address)).to.be.bignumber.equal(fee);
+            expect(await this.logic.accruedFee(0)).to.be.bignumber.equal(new BN(0));
+        });
+        it('reverts charging the fee of a nonexistent Box', async function () {
+            await expectRevert(this.logic.chargeFee(1), 'Box does not exist');
+        });
+        it('charges the fee in tokens on closing', async function () {
+            await this.logic.create(ether("10"), {from: anotherAccount, value: deposit});
+            await this.token.transfer(owner, ether("10"), {from: anotherAccount});
+            let tx = this.logic.close(0, {from: owner});
+            let balanceDifference = await balance.differenceExcludeGas(owner, tx, this.gasPrice);
+            let fee = (await tx).logs.find(e => e.event === 'FeeCharged').args.value;
+            expect(balanceDifference).to.be.bignumber.equal(deposit);
+            expect(await this.token.balanceOf(owner)).to.be.bignumber.equal(ether("10").sub(fee));
+            expect(await this.token.balanceOf(this.logic.address)).to.be.bignumber.equal(fee);
+            expect(await this.logic.globalETH()).to.be.bignumber.equal(deposit);
+        });
+        it('closes a Box without the oracle', async function () {
+            await this.logic.create(ether("10"), {from: anotherAccount, value: deposit});
+            await this.token.transfer(owner, ether("10"), {from: anotherAccount});
+            await this.settings.setOracleAddress(this.token.address);
+            const { logs } = await this.logic.close(0, {from: owner});
+            expectEvent.inLogs(logs, 'Closed', { id: new BN(0), owner: owner, closer: owner });
+        });
+        it('sends the charged fee to the fee beneficiary', async function () {
+            await this.logic.create(ether("10"), {from: anotherAccount, value: deposit});
+            await this.token.transfer(owner, ether("10"), {from: anotherAccount});
+            const { logs } = await this.logic.close(0, {from: owner});
+            let fee = logs.find(e => e.event === 'FeeCharged').args.value;
+            await this.logic.withdrawFee(anotherAccount, {from: manager});
+            expect(await this.token.balanceOf(anotherAccount)).to.be.bignumber.equal(fee);
+            expect(await this.token.balanceOf(this.logic.address)).to.be.bignumber.equal(new BN(0));
+        });
+        it('charges the fee on TMV adding', async function () {
+            const { logs } = await this.logic.addTmv(0, ether("6"), {from: owner});
+            let fee = logs.find(e => e.event === 'FeeCharged').args.value;
+            let box = await this.logic.boxes(0);
+            expect(box[0]).to.be.bignumber.equal(deposit);
+            expect(box[1]).to.be.bignumber.equal(release.add(fee).sub(ether("6")));
+            expect(box[2]).to.be.bignumber.equal(await this.logic.feeIndex());
+            expect(await this.logic.globalETH()).to.be.bignumber.equal(deposit);
+        });
+        it('charges the fee on TMV withdrawing', async function () {
+            await this.oracle.setPrice(20000000);
+            const { logs } = await this.logic.withdrawTmv(0, ether("1"), {from: owner});
+            let fee = logs.find(e => e.event === 'FeeCharged').args.value;
+            expect(fee).to.be.bignumber.gte(release.mul(yearFee).div(new BN(100000)));
+            let box = await this.logic.boxes(0);
+            expect(box[0]).to.be.bignumber.equal(deposit);
+            expect(box[1]).to.be.bignumber.equal(release.add(fee).add(ether("1")));
+        });
+        it('makes an unpaid fee liquidatable', async function () {
+            await this.settings.setStabilityFee(20000);
+            await time.increase(year.mul(new BN(2)));
+            expect(await this.logic.collateralPercent(0)).to.be.bignumber.below(await this.settings.minStability());
+        });
+        it('charges only the fee accrued since the last charge', async function () {
+            await this.logic.addTmv(0, ether("6"), {from: owner});
+            expect(await this.logic.accruedFee(0)).to.be.bignumber.below(ether("0.001"));
+        });
+        it('stops accruing after the shutdown', async function () {
+            await this.settings.emergencyShutdown(10000000);
+            let before = await this.logic.accruedFee(0);
+            await time.increase(year);
+            expect(await this.logic.accruedFee(0)).to.be.bignumber.equal(before);
+        });
+    });
+    describe('Pausing', function () {
+        let deposit = ether("1");
+        let release = ether("50");
+
+        beforeEach(async function () {
+            await this.logic.create(release, {from: owner, value: deposit});
+            await this.settings.pause({from: manager});
+        });
+
+        it('reverts creating', async function () {
+            await expectRevert(this.logic.create(release, {from: owner, value: deposit}), 'System is paused');
+        });
+        it('reverts withdrawing', async function () {
+            await expectRevert(this.logic.withdrawTmv(0, ether("1"), {from: owner}), 'System is paused');
+            await expectRevert(this.logic.withdrawEth(0, ether("0.1"), {from: owner}), 'System is paused');
+        });
+        it('reverts while the module is paused', async function () {
+            await this.settings.unpause({from: manager});
+            await this.settings.pauseModule(this.logic.address, {from: manager});
+            await expectRevert(this.logic.create(release, {from: owner, value: deposit}), 'System is paused');
+        });
+        it('keeps the exits open', async function () {
+            await this.logic.addEth(0, {from: owner, value: deposit});
+            await this.logic.addTmv(0, ether("10"), {from: owner});
+            await this.logic.close(0, {from: owner});
+            expect(await this.token.balanceOf(owner)).to.be.bignumber.equal(new BN(0));
+        });
+        it('resumes after unpausing', async function () {
+            await this.settings.unpause({from: manager});
+            await this.logic.withdrawTmv(0, ether("1"), {from: owner});
+            await this.logic.create(release, {from: owner, value: deposit});
+        });
+    });
     describe('Others', function () {
 
         describe('withdrawable TMV', function () {
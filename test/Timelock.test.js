@@ -0,0 +1,208 @@
+const { constants, expectEvent, expectRevert, time } = require('openzeppelin-test-helpers');
+const { expect } = require('chai');
+const BN = web3.utils.BN;
+const { ZERO_ADDRESS } = constants;
+
+const Settings = artifacts.require('TimviSettings');
+const Timelock = artifacts.require('Timelock');
+const Token = artifacts.require('TimviToken');
+const Classic = artifacts.require('TBoxManager');
+const Oracle = artifacts.require('OracleContractMock');
+
+contract('Timelock', function ([admin, anotherAccount, oracle]) {
+
+    let delay = new BN(2 * 24 * 60 * 60);
+
+    // deploy & initial settings
+    beforeEach(async function () {
+        this.settings = await Settings.new();
+        this.timelock = await Timelock.new(this.settings.address, delay);
+        this.oracle = await Oracle.new();
+        await this.settings.setOracleAddress(this.oracle.address);
+        await this.settings.addOracleManager(this.timelock.address);
+        await this.settings.renounceOracleManager();
+        await this.settings.changeFeeManager(this.timelock.address);
+        await this.settings.setTimelock(this.timelock.address);
+
+        this.encode = (method, ...args) => this.settings.contract.methods[method](...args).encodeABI();
+        this.queue = (method, ...args) => this.timelock.queue(this.settings.address, this.encode(method, ...args), { from: admin });
+    });
+
+    describe('Deployment', function () {
+        it('reverts when the delay is out of range', async function () {
+            await expectRevert(Timelock.new(this.settings.address, 60), 'Delay out of range');
+            await expectRevert(Timelock.new(this.settings.address, 31 * 24 * 60 * 60), 'Delay out of range');
+        });
+        it('takes over the setters', async function () {
+            expect(await this.settings.isFeeManager(this.timelock.address)).to.equal(true);
+            expect(await this.settings.isFeeManager(admin)).to.equal(false);
+            expect(await this.settings.isOracleManager(admin)).to.equal(false);
+            await expectRevert.unspecified(this.settings.setSysCom(2000, { from: admin }));
+            await expectRevert.unspecified(this.settings.setOracleAddress(oracle, { from: admin }));
+        });
+    });
+
+    describe('Queueing', function () {
+        it('reverts by non-admin', async function () {
+            await expectRevert(this.timelock.queue(this.settings.address, this.encode('setSysCom', 2000), { from: anotherAccount }), 'You have no access');
+        });
+        it('reverts to zero address', async function () {
+            await expectRevert(this.timelock.queue(ZERO_ADDRESS, this.encode('setSysCom', 2000), { from: admin }), 'Zero address, be careful');
+        });
+        it('lists the pending changes', async function () {
+            let data = this.encode('setSysCom', 2000);
+            const { logs } = await this.timelock.queue(this.settings.address, data, { from: admin });
+            let eta = (await time.latest()).add(delay);
+            expectEvent.inLogs(logs, 'ChangeQueued', { id: new BN(0), target: this.settings.address, data: data, eta: eta });
+
+            await this.queue('setMinDepo', 1000);
+            await this.queue('setGasPriceLimit', 30000000000);
+            expect((await this.timelock.pendingChanges()).map(id => id.toString())).to.deep.equal(['0', '1', '2']);
+
+            let change = await this.timelock.getChange(0);
+            expect(change[0]).to.equal(this.settings.address);
+            expect(change[1]).to.equal(data);
+            expect(change[2]).to.be.bignumber.equal(eta);
+            expect(change[3]).to.equal(true);
+        });
+    });
+
+    describe('Executing', function () {
+        beforeEach(async function () {
+            await this.queue('setSysCom', 2000);
+        });
+
+        it('reverts before the delay passes', async function () {
+            await time.increase(delay.sub(new BN(60)));
+            await expectRevert(this.timelock.execute(0), 'Change is locked');
+            expect(await this.settings.sysFee()).to.be.bignumber.equal(new BN(3000));
+        });
+        it('applies the change after the delay', async function () {
+            await time.increase(delay);
+            const { logs } = await this.timelock.execute(0, { from: anotherAccount });
+            expectEvent.inLogs(logs, 'ChangeExecuted', { id: new BN(0), target: this.settings.address });
+
+            expect(await this.settings.sysFee()).to.be.bignumber.equal(new BN(2000));
+            expect(await this.timelock.pendingChanges()).to.have.lengthOf(0);
+            expect((await this.timelock.getChange(0))[3]).to.equal(false);
+        });
+        it('reverts executing twice', async function () {
+            await time.increase(delay);
+            await this.timelock.execute(0);
+            await expectRevert(this.timelock.execute(0), "Change isn't pending");
+        });
+        it('reverts when the setter reverts', async function () {
+            await this.queue('setSysCom', 4000);
+            await time.increase(delay);
+            await expectRevert(this.timelock.execute(1), 'Change failed');
+            expect((await this.timelock.pendingChanges()).map(id => id.toString())).to.deep.equal(['0', '1']);
+        });
+        it('removes another fee manager', async function () {
+            await this.queue('addFeeManager', anotherAccount);
+            await this.queue('removeFeeManager', anotherAccount);
+            await time.increase(delay);
+            await this.timelock.execute(1);
+            await this.timelock.execute(2);
+            expect(await this.settings.isFeeManager(anotherAccount)).to.equal(false);
+            expect(await this.settings.feeManagersCount()).to.be.bignumber.equal(new BN(1));
+        });
+        it('swaps the oracle', async function () {
+            await this.queue('setOracleAddress', oracle);
+            await time.increase(delay);
+            await this.timelock.execute(1);
+            expect(await this.settings.oracleAddress()).to.equal(oracle);
+        });
+    });
+
+    describe('Cancelling', function () {
+        beforeEach(async function () {
+            await this.queue('setSysCom', 2000);
+            await this.queue('setMinDepo', 1000);
+            await this.queue('setSafetyBag', 50000);
+        });
+
+        it('reverts by non-admin', async function () {
+            await expectRevert(this.timelock.cancel(0, { from: anotherAccount }), 'You have no access');
+        });
+        it('drops the change', async function () {
+            const { logs } = await this.timelock.cancel(0, { from: admin });
+            expectEvent.inLogs(logs, 'ChangeCancelled', { id: new BN(0) });
+            expect((await this.timelock.pendingChanges()).map(id => id.toString())).to.deep.equal(['2', '1']);
+
+            await time.increase(delay);
+            await expectRevert(this.timelock.execute(0), "Change isn't pending");
+            await this.timelock.execute(1);
+            await this.timelock.execute(2);
+            expect(await this.timelock.pendingChanges()).to.have.lengthOf(0);
+        });
+    });
+
+    describe('Own settings', function () {
+        it('reverts changing the delay directly', async function () {
+            await expectRevert(this.timelock.setDelay(60 * 60, { from: admin }), 'Call it through the queue');
+            await expectRevert(this.timelock.changeAdmin(anotherAccount, { from: admin }), 'Call it through the queue');
+        });
+        it('changes the delay through the queue', async function () {
+            let newDelay = new BN(60 * 60);
+            await this.timelock.queue(this.timelock.address, this.timelock.contract.methods.setDelay(newDelay.toString()).encodeABI());
+            await time.increase(delay);
+            const { logs } = await this.timelock.execute(0);
+            expectEvent.inLogs(logs, 'DelayUpdated', { value: newDelay });
+
+            await this.queue('setSysCom', 2000);
+            await time.increase(newDelay);
+            await this.timelock.execute(1);
+            expect(await this.settings.sysFee()).to.be.bignumber.equal(new BN(2000));
+        });
+        it('changes the admin through the queue', async function () {
+            await this.timelock.queue(this.timelock.address, this.timelock.contract.methods.changeAdmin(anotherAccount).encodeABI());
+            await time.increase(delay);
+            await this.timelock.execute(0);
+            expect(await this.timelock.admin()).to.equal(anotherAccount);
+            await expectRevert(this.queue('setSysCom', 2000), 'You have no access');
+        });
+    });
+
+    describe('Operations', function () {
+        it('leaves the fee withdrawal to the operators', async function () {
+            let token = await Token.new(this.settings.address);
+            let logic = await Classic.new(this.settings.address);
+            await this.settings.setTmvAddress(token.address);
+            await this.settings.setContractManager(logic.address);
+
+            // The operator passes the access check at once
+            await expectRevert(logic.withdrawFee(anotherAccount, { from: admin }), 'There is no available fees');
+            await expectRevert(logic.withdrawFee(anotherAccount, { from: anotherAccount }), 'You have no access');
+        });
+        it('unpauses through the queue only', async function () {
+            await this.settings.pause({ from: admin });
+            await expectRevert.unspecified(this.settings.unpause({ from: admin }));
+
+            await this.queue('unpause');
+            await time.increase(delay);
+            await this.timelock.execute(0);
+            expect(await this.settings.paused()).to.equal(false);
+        });
+    });
+
+    describe('Emergency shutdown', function () {
+        it('reverts by non-admin', async function () {
+            await expectRevert(this.timelock.emergencyShutdown({ from: anotherAccount }), 'You have no access');
+        });
+        it('reverts without the oracle price', async function () {
+            await this.oracle.setPrice(0);
+            await expectRevert(this.timelock.emergencyShutdown({ from: admin }), 'Zero price');
+        });
+        it('shuts the system down at once at the oracle price', async function () {
+            await this.oracle.setPrice(12000000);
+            await this.timelock.emergencyShutdown({ from: admin });
+            expect(await this.settings.shutdownPrice()).to.be.bignumber.equal(new BN(12000000));
+        });
+        it('queues a manual settlement price', async function () {
+            await this.queue('emergencyShutdown', 9000000);
+            await time.increase(delay);
+            await this.timelock.execute(0);
+            expect(await this.settings.shutdownPrice()).to.be.bignumber.equal(new BN(9000000));
+        });
+    });
+});
@@ -1,10 +1,11 @@
-const {constants, expectRevert, ether } = require('openzeppelin-test-helpers');
+const {constants, expectEvent, expectRevert, ether } = require('openzeppelin-test-helpers');
 const { expect } = require('chai');
 const BN = web3.utils.BN;
 const { ZERO_ADDRESS } = constants;
 const Settings = artifacts.require('TimviSettings');
+const Token = artifacts.require('TimviToken');
 
-contract('TimviSettings', function ([]) {
+contract('TimviSettings', function ([manager, anotherAccount, logic, anotherLogic]) {
 
     // deploy & initial settings
     beforeEach(async function () {
@@ -129,4 +130,268 @@ contract('TimviSettings', function ([]) {
             expect(res).to.be.bignumber.equal(value);
         });
     });
+
+    describe('Stability fee', function () {
+        it('reverts when the value out of range', async function () {
+            let value = new BN(20001);
+            await expectRevert(this.settings.setStabilityFee(value), 'Value out of range');
+        });
+        it('sets the correct value', async function () {
+            let value = new BN(20000);
+            await this.settings.setStabilityFee(value);
+            let res = await this.settings.stabilityFee();
+            expect(res).to.be.bignumber.equal(value);
+        });
+    });
+
+    describe('Emergency shutdown', function () {
+        it('reverts when called by not a fee manager', async function () {
+            await expectRevert.unspecified(this.settings.emergencyShutdown(10000000, {from: anotherAccount}));
+        });
+        it('reverts putting zero price', async function () {
+            await expectRevert(this.settings.emergencyShutdown(0), 'Zero price');
+        });
+        it('reverts when the system is already shut down', async function () {
+            await this.settings.emergencyShutdown(10000000);
+            await expectRevert(this.settings.emergencyShutdown(10000000), 'System is already shut down');
+        });
+        it('sets the settlement price', async function () {
+            let value = new BN(10000000);
+            await this.settings.emergencyShutdown(value);
+            let res = await this.settings.shutdownPrice();
+            expect(res).to.be.bignumber.equal(value);
+        });
+    });
+
+    describe('Roles', function () {
+        it('grants every role to the deployer', async function () {
+            expect(await this.settings.isFeeManager(manager)).to.equal(true);
+            expect(await this.settings.isOracleManager(manager)).to.equal(true);
+            expect(await this.settings.isGuardian(manager)).to.equal(true);
+            expect(await this.settings.isOperator(manager)).to.equal(true);
+            expect(await this.settings.isSettingsManager(manager)).to.equal(true);
+            expect(await this.settings.isFeeManager(anotherAccount)).to.equal(false);
+        });
+
+        describe('Fee managers', function () {
+            it('reverts granting by not a fee manager', async function () {
+                await expectRevert.unspecified(this.settings.addFeeManager(anotherAccount, {from: anotherAccount}));
+            });
+            it('reverts removing another fee manager by not the Timelock', async function () {
+                await this.settings.addFeeManager(anotherAccount);
+                await expectRevert.unspecified(this.settings.removeFeeManager(anotherAccount));
+                await this.settings.setTimelock(logic);
+                await expectRevert.unspecified(this.settings.removeFeeManager(anotherAccount));
+                await expectRevert.unspecified(this.settings.setTimelock(anotherLogic, {from: anotherAccount}));
+            });
+            it('reverts granting twice', async function () {
+                await expectRevert.unspecified(this.settings.addFeeManager(manager));
+            });
+            it('lets several fee managers set the parameters', async function () {
+                const { logs } = await this.settings.addFeeManager(anotherAccount);
+                expectEvent.inLogs(logs, 'FeeManagerAdded', { account: anotherAccount });
+
+                await this.settings.setSafetyBag(50000, {from: anotherAccount});
+                await this.settings.setMinDepo(ether('1'));
+                expect(await this.settings.globalSafetyBag()).to.be.bignumber.equal(new BN(50000));
+                expect(await this.settings.minDeposit()).to.be.bignumber.equal(ether('1'));
+            });
+            it('revokes the role by the Timelock', async function () {
+                await this.settings.addFeeManager(anotherAccount);
+                await this.settings.setTimelock(logic);
+                const { logs } = await this.settings.removeFeeManager(anotherAccount, {from: logic});
+                expectEvent.inLogs(logs, 'FeeManagerRemoved', { account: anotherAccount });
+                await expectRevert.unspecified(this.settings.setSafetyBag(50000, {from: anotherAccount}));
+            });
+            it('passes the role', async function () {
+                await this.settings.changeFeeManager(anotherAccount);
+                expect(await this.settings.isFeeManager(anotherAccount)).to.equal(true);
+                expect(await this.settings.isFeeManager(manager)).to.equal(false);
+                expect(await this.settings.feeManagersCount()).to.be.bignumber.equal(new BN(1));
+                await expectRevert.unspecified(this.settings.setSafetyBag(50000));
+            });
+            it('renounces the role', async function () {
+                await this.settings.addFeeManager(anotherAccount);
+                await this.settings.renounceFeeManager();
+                expect(await this.settings.isFeeManager(manager)).to.equal(false);
+                await expectRevert.unspecified(this.settings.renounceFeeManager());
+            });
+            it('reverts renouncing by the last fee manager', async function () {
+                await expectRevert.unspecified(this.settings.renounceFeeManager());
+                await this.settings.setTimelock(logic);
+                await expectRevert.unspecified(this.settings.removeFeeManager(manager, {from: logic}));
+                expect(await this.settings.isFeeManager(manager)).to.equal(true);
+            });
+        });
+
+        describe('Oracle managers', function () {
+            it('reverts setting the oracle by not an oracle manager', async function () {
+                await this.settings.addFeeManager(anotherAccount);
+                await expectRevert.unspecified(this.settings.setOracleAddress(anotherAccount, {from: anotherAccount}));
+            });
+            it('reverts granting by not a fee manager', async function () {
+                await this.settings.addOracleManager(anotherAccount);
+                await expectRevert.unspecified(this.settings.addOracleManager(logic, {from: anotherAccount}));
+            });
+            it('lets an oracle manager set the oracle only', async function () {
+                const { logs } = await this.settings.addOracleManager(anotherAccount);
+                expectEvent.inLogs(logs, 'OracleManagerAdded', { account: anotherAccount });
+
+                await this.settings.setOracleAddress(logic, {from: anotherAccount});
+                expect(await this.settings.oracleAddress()).to.equal(logic);
+                await expectRevert.unspecified(this.settings.setSafetyBag(50000, {from: anotherAccount}));
+            });
+            it('revokes the role', async function () {
+                await this.settings.addOracleManager(anotherAccount);
+                const { logs } = await this.settings.removeOracleManager(anotherAccount);
+                expectEvent.inLogs(logs, 'OracleManagerRemoved', { account: anotherAccount });
+                await expectRevert.unspecified(this.settings.setOracleAddress(logic, {from: anotherAccount}));
+            });
+        });
+
+        describe('Guardians', function () {
+            it('reverts granting by not a fee manager', async function () {
+                await expectRevert.unspecified(this.settings.addGuardian(anotherAccount, {from: anotherAccount}));
+            });
+            it("doesn't let a guardian change the parameters", async function () {
+                const { logs } = await this.settings.addGuardian(anotherAccount);
+                expectEvent.inLogs(logs, 'GuardianAdded', { account: anotherAccount });
+
+                await expectRevert.unspecified(this.settings.setSafetyBag(50000, {from: anotherAccount}));
+                await expectRevert.unspecified(this.settings.setOracleAddress(logic, {from: anotherAccount}));
+                await expectRevert.unspecified(this.settings.emergencyShutdown(10000000, {from: anotherAccount}));
+                await expectRevert.unspecified(this.settings.addGuardian(logic, {from: anotherAccount}));
+            });
+            it('revokes the role', async function () {
+                await this.settings.addGuardian(anotherAccount);
+                const { logs } = await this.settings.removeGuardian(anotherAccount);
+                expectEvent.inLogs(logs, 'GuardianRemoved', { account: anotherAccount });
+                expect(await this.settings.isGuardian(anotherAccount)).to.equal(false);
+            });
+        });
+
+        describe('Operators', function () {
+            it('reverts granting by not a fee manager', async function () {
+                await expectRevert.unspecified(this.settings.addOperator(anotherAccount, {from: anotherAccount}));
+            });
+            it("doesn't let an operator change the parameters", async function () {
+                const { logs } = await this.settings.addOperator(anotherAccount);
+                expectEvent.inLogs(logs, 'OperatorAdded', { account: anotherAccount });
+
+                await expectRevert.unspecified(this.settings.setSafetyBag(50000, {from: anotherAccount}));
+                await expectRevert.unspecified(this.settings.pause({from: anotherAccount}));
+                await expectRevert.unspecified(this.settings.addOperator(logic, {from: anotherAccount}));
+            });
+            it('revokes the role', async function () {
+                await this.settings.addOperator(anotherAccount);
+                const { logs } = await this.settings.removeOperator(anotherAccount);
+                expectEvent.inLogs(logs, 'OperatorRemoved', { account: anotherAccount });
+                expect(await this.settings.isOperator(anotherAccount)).to.equal(false);
+            });
+        });
+
+        describe('Contract managers', function () {
+            beforeEach(async function () {
+                this.token = await Token.new(this.settings.address);
+                await this.settings.setContractManager(logic);
+            });
+
+            it('reverts registering by not the settings manager', async function () {
+                await expectRevert.unspecified(this.settings.addContractManager(anotherLogic, {from: anotherAccount}));
+                await expectRevert.unspecified(this.settings.setContractManager(anotherLogic, {from: anotherAccount}));
+            });
+            it('reverts removing the primary logic contract', async function () {
+                await expectRevert.unspecified(this.settings.removeContractManager(logic));
+            });
+            it('lets several contracts mint', async function () {
+                const { logs } = await this.settings.addContractManager(anotherLogic);
+                expectEvent.inLogs(logs, 'ContractManagerAdded', { account: anotherLogic });
+                expect(await this.settings.contractManagers()).to.deep.equal([logic, anotherLogic]);
+
+                await this.token.mint(anotherAccount, ether('1'), {from: logic});
+                await this.token.mint(anotherAccount, ether('1'), {from: anotherLogic});
+                expect(await this.token.balanceOf(anotherAccount)).to.be.bignumber.equal(ether('2'));
+                await expectRevert(this.token.mint(anotherAccount, ether('1'), {from: anotherAccount}), 'You have no access');
+            });
+            it('removes a contract manager', async function () {
+                await this.settings.addContractManager(anotherLogic);
+                const { logs } = await this.settings.removeContractManager(anotherLogic);
+                expectEvent.inLogs(logs, 'ContractManagerRemoved', { account: anotherLogic });
+                expect(await this.settings.contractManagers()).to.deep.equal([logic]);
+                await expectRevert(this.token.mint(anotherAccount, ether('1'), {from: anotherLogic}), 'You have no access');
+            });
+            it('replaces the primary logic contract', async function () {
+                await this.settings.setContractManager(anotherLogic);
+                expect(await this.settings.tBoxManager()).to.equal(anotherLogic);
+                expect(await this.settings.contractManagers()).to.deep.equal([anotherLogic]);
+                expect(await this.settings.isContractManager(logic)).to.equal(false);
+            });
+            it('fixes the list once the settings manager is renounced', async function () {
+                await this.settings.renounceSettingsManager();
+                await expectRevert.unspecified(this.settings.addContractManager(anotherLogic));
+            });
+        });
+    });
+
+    describe('Pausing', function () {
+        beforeEach(async function () {
+            await this.settings.addGuardian(anotherAccount);
+        });
+
+        it('reverts pausing by not a guardian', async function () {
+            await expectRevert.unspecified(this.settings.pause({from: logic}));
+            await expectRevert.unspecified(this.settings.pauseModule(anotherLogic, {from: logic}));
+        });
+        it('reverts unpausing by a guardian', async function () {
+            await this.settings.pause({from: anotherAccount});
+            await this.settings.pauseModule(anotherLogic, {from: anotherAccount});
+            await expectRevert.unspecified(this.settings.unpause({from: anotherAccount}));
+            await expectRevert.unspecified(this.settings.unpauseModule(anotherLogic, {from: anotherAccount}));
+        });
+        it('reverts unpausing by an operator that is not a fee manager', async function () {
+            await this.settings.pause({from: anotherAccount});
+            await this.settings.pauseModule(anotherLogic, {from: anotherAccount});
+            await this.settings.addOperator(logic);
+            await expectRevert.unspecified(this.settings.unpause({from: logic}));
+            await expectRevert.unspecified(this.settings.unpauseModule(anotherLogic, {from: logic}));
+        });
+        it('lets another fee manager unpause', async function () {
+            await this.settings.addFeeManager(logic);
+            await this.settings.pause({from: anotherAccount});
+            await this.settings.pauseModule(anotherLogic, {from: anotherAccount});
+            await this.settings.unpause({from: logic});
+            await this.settings.unpauseModule(anotherLogic, {from: logic});
+            expect(await this.settings.isPaused(anotherLogic)).to.equal(false);
+        });
+        it('reverts pausing twice', async function () {
+            await this.settings.pause({from: anotherAccount});
+            await expectRevert(this.settings.pause({from: anotherAccount}), 'System is already paused');
+            await this.settings.pauseModule(anotherLogic, {from: anotherAccount});
+            await expectRevert(this.settings.pauseModule(anotherLogic, {from: anotherAccount}), 'Module is already paused');
+        });
+        it('reverts unpausing when not paused', async function () {
+            await expectRevert(this.settings.unpause(), "System isn't paused");
+            await expectRevert(this.settings.unpauseModule(anotherLogic), "Module isn't paused");
+        });
+        it('pauses every module', async function () {
+            const { logs } = await this.settings.pause({from: anotherAccount});
+            expectEvent.inLogs(logs, 'Paused', { _account: anotherAccount });
+            expect(await this.settings.isPaused(logic)).to.equal(true);
+            expect(await this.settings.isPaused(anotherLogic)).to.equal(true);
+
+            const receipt = await this.settings.unpause({from: manager});
+            expectEvent.inLogs(receipt.logs, 'Unpaused', { _account: manager });
+            expect(await this.settings.isPaused(logic)).to.equal(false);
+        });
+        it('pauses a single module', async function () {
+            const { logs } = await this.settings.pauseModule(anotherLogic, {from: anotherAccount});
+            expectEvent.inLogs(logs, 'ModulePaused', { _module: anotherLogic, _account: anotherAccount });
+            expect(await this.settings.isPaused(anotherLogic)).to.equal(true);
+            expect(await this.settings.isPaused(logic)).to.equal(false);
+
+            const receipt = await this.settings.unpauseModule(anotherLogic, {from: manager});
+            expectEvent.inLogs(receipt.logs, 'ModuleUnpaused', { _module: anotherLogic, _account: manager });
+            expect(await this.settings.isPaused(anotherLogic)).to.equal(false);
+        });
+    });
 });